@@ -7,12 +7,17 @@ import { validate } from './pipeline/1-validate.js';
 import { load } from './pipeline/2-load.js';
 import { transformToBronze } from './pipeline/3-transform-bronze.js';
 import { transformToSilver } from './pipeline/3-transform-silver.js';
+import { buildIdentityGraph } from './pipeline/3-transform-identity.js';
 import { transformToGold } from './pipeline/3-transform-gold.js';
+import { buildSessions } from './pipeline/3-transform-sessions.js';
 import { unload } from './pipeline/4-unload.js';
+import { applyIncrementalArgs } from './pipeline/incremental.js';
+import { applyDateFilterArgs } from './pipeline/date-filter.js';
 
 async function loadConfig() {
   const configData = await readFile('./config.json', 'utf8');
-  return JSON.parse(configData);
+  // --incremental [--files a,b | --since YYYY-MM-DD --until YYYY-MM-DD] [--start-date YYYY-MM-DD] [--end-date YYYY-MM-DD]
+  return applyDateFilterArgs(applyIncrementalArgs(JSON.parse(configData)));
 }
 
 async function main() {
@@ -49,11 +54,19 @@ async function main() {
     await transformToSilver(config);
     console.log('✅ Silver transformation complete\n');
 
-    console.log('🥇 Step 7: Transform silver to gold (eventification)');
+    console.log('🔗 Step 7: Stitch visitor identities');
+    await buildIdentityGraph(config);
+    console.log('✅ Identity stitching complete\n');
+
+    console.log('🥇 Step 8: Transform silver to gold (eventification)');
     await transformToGold(config);
     console.log('✅ Gold transformation complete\n');
 
-    // console.log('📦 Step 8: Export gold data');
+    console.log('🧭 Step 9: Build sessions table');
+    await buildSessions(config);
+    console.log('✅ Sessions complete\n');
+
+    // console.log('📦 Step 10: Export gold data');
     // await unload(config);
     // console.log('✅ Export complete\n');
 
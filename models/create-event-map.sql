@@ -34,7 +34,7 @@ sdr_evar_instances AS (
           WHEN SAFE_CAST(REGEXP_EXTRACT(EvarNumber, r'evar(\d+)') AS INT64) BETWEEN 1 AND 100
           THEN 99 + SAFE_CAST(REGEXP_EXTRACT(EvarNumber, r'evar(\d+)') AS INT64)  -- evar1 → 100, evar2 → 101, etc.
           WHEN SAFE_CAST(REGEXP_EXTRACT(EvarNumber, r'evar(\d+)') AS INT64) > 100
-          THEN 9999 + SAFE_CAST(REGEXP_EXTRACT(EvarNumber, r'evar(\d+)') AS INT64) -- evar101 → 10100, etc.
+          THEN 9899 + SAFE_CAST(REGEXP_EXTRACT(EvarNumber, r'evar(\d+)') AS INT64) -- evar101 → 10000, etc.
           ELSE NULL
         END
       ELSE NULL
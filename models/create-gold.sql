@@ -2,7 +2,7 @@
 -- Explodes Adobe hits into individual event records with proper sequencing
 -- Applies Adobe-specific column optimization (removes non-post columns to save ~50% space)
 CREATE OR REPLACE TABLE `${project}.${dataset}.${goldTable}`
-PARTITION BY DATE(ts_utc)
+PARTITION BY ${partitionBy}
 CLUSTER BY distinct_id, event_name, is_page_view
 AS
 WITH
@@ -10,23 +10,9 @@ WITH
 events_classified AS (
   SELECT
     *,
-    -- Extract measurement properties (events with values > 1 or special measurement events)
+    -- Measurement properties from measurement_event_codes, named from event_map
     STRUCT(
-      -- Static measurement extractions (legacy pattern matching)
-      (SELECT event.event_value FROM UNNEST(events_enhanced) AS event WHERE event.event_name LIKE '%Page Load Time%' LIMIT 1) AS page_load_time,
-      (SELECT event.event_value FROM UNNEST(events_enhanced) AS event WHERE event.event_name LIKE '%Time on Page%' LIMIT 1) AS time_on_page,
-      (SELECT event.event_value FROM UNNEST(events_enhanced) AS event WHERE event.event_name LIKE '%Scroll%' LIMIT 1) AS scroll_depth,
-      (SELECT event.event_value FROM UNNEST(events_enhanced) AS event WHERE event.event_name LIKE '%Form Start%' OR event.event_name LIKE '%Form Initialize%' LIMIT 1) AS form_starts,
-      (SELECT event.event_value FROM UNNEST(events_enhanced) AS event WHERE event.event_name LIKE '%Form Success%' OR event.event_name LIKE '%Form Completion%' LIMIT 1) AS form_completions,
-      (SELECT event.event_value FROM UNNEST(events_enhanced) AS event WHERE event.event_name LIKE '%Video%' LIMIT 1) AS video_plays,
-      (SELECT event.event_value FROM UNNEST(events_enhanced) AS event WHERE event.event_name LIKE '%Download%' LIMIT 1) AS downloads,
-      (SELECT event.event_value FROM UNNEST(events_enhanced) AS event WHERE event.event_name LIKE '%External%' LIMIT 1) AS external_links,
-      (SELECT event.event_value FROM UNNEST(events_enhanced) AS event WHERE event.event_name LIKE '%Link Click%' LIMIT 1) AS custom_link_clicks,
-
-      -- Dynamic measurement extractions (from measurement_event_codes)
-      (SELECT event.event_value FROM UNNEST(events_enhanced) AS event WHERE SAFE_CAST(event.event_code AS INT64) = 209 LIMIT 1) AS measurement_209_page_load_time,
-      (SELECT event.event_value FROM UNNEST(events_enhanced) AS event WHERE SAFE_CAST(event.event_code AS INT64) = 236 LIMIT 1) AS measurement_236_page_scroll_75,
-      (SELECT event.event_value FROM UNNEST(events_enhanced) AS event WHERE SAFE_CAST(event.event_code AS INT64) = 240 LIMIT 1) AS measurement_240
+      ${measurementFields}
     ) AS measurements,
 
     -- Extract only true business events (exclude eVar instances which should be properties)
@@ -50,21 +36,40 @@ events_classified AS (
     ) AS business_events
 
   FROM `${project}.${dataset}.${silverTable}`
+  ${identityJoin}
+  ${sourceFilter}
+),
+
+-- Hit identifiers (stable across rebuilds)
+hit_ids AS (
+  SELECT
+    *,
+    -- Stable hit identifier: Adobe's hitid plus visit_num/visit_page_num (bronze's dedup key, which
+    -- keeps hits with colliding hitids apart), or a hash of what identifies the hit when the feed has none
+    COALESCE(
+      CONCAT(
+        CAST(hitid_high AS STRING), '-', CAST(hitid_low AS STRING), '-',
+        COALESCE(CAST(visit_num AS STRING), ''), '-', COALESCE(CAST(visit_page_num AS STRING), '')
+      ),
+      TO_HEX(MD5(CONCAT(
+        distinct_id, '|',
+        CAST(UNIX_MICROS(ts_utc) AS STRING), '|',
+        COALESCE(CAST(visit_num AS STRING), ''), '|',
+        COALESCE(CAST(visit_page_num AS STRING), ''), '|',
+        COALESCE(events_list_clean, '')
+      )))
+    ) AS hit_id
+
+  FROM events_classified
 ),
 
 -- Generate hit-level base properties
 hit_base AS (
   SELECT
     *,
-    -- Create unique hit identifier
-    CONCAT(
-      distinct_id, '-',
-      CAST(UNIX_SECONDS(ts_utc) AS STRING), '-',
-      CAST(ROW_NUMBER() OVER (PARTITION BY distinct_id, ts_utc ORDER BY ts_utc) AS STRING)
-    ) AS hit_id,
-
-    -- Generate sequential hit number for traceability
-    ROW_NUMBER() OVER (ORDER BY ts_utc, distinct_id) AS original_hit_no,
+    -- The visitor's hit number on the day, for traceability; numbering within one visitor and
+    -- date keeps it stable when other visitors or dates are rebuilt
+    ROW_NUMBER() OVER (PARTITION BY distinct_id, ${hitDate} ORDER BY ts_utc, hit_id) AS original_hit_no,
 
     -- Determine primary event name for this hit
     CASE
@@ -73,16 +78,23 @@ hit_base AS (
       ELSE 'Action Tracked'
     END AS primary_event
 
-  FROM events_classified
+  FROM hit_ids
 ),
 
 -- Explode into individual events with proper sequencing
 events_exploded AS (
   -- Page View events (one per page view)
   SELECT
-    TO_HEX(MD5(CONCAT(distinct_id, '-', 'Page Viewed', '-', CAST(UNIX_MICROS(ts_utc) AS STRING)))) AS insert_id,
+    -- insert_id: hit, event code and position, so rebuilds reproduce it exactly
+    TO_HEX(MD5(CONCAT(hit_id, '|page_view|0'))) AS insert_id,
+    hit_id,
     ts_utc,
+    ts_local,
+    date_local,
     distinct_id,
+    user_id,
+    COALESCE(canonical_id, distinct_id) AS canonical_id,
+    visit_id,
     'Page Viewed' AS event_name,
     NULL AS original_event_code,
     NULL AS original_event_name,
@@ -95,23 +107,16 @@ events_exploded AS (
     COALESCE(pagename, page_url) AS page_title,
 
     -- Add all measurement properties to page view
-    measurements.page_load_time,
-    measurements.time_on_page,
-    measurements.scroll_depth,
-    measurements.form_starts,
-    measurements.form_completions,
-    measurements.video_plays,
-    measurements.downloads,
-    measurements.external_links,
-    measurements.custom_link_clicks,
-
-    -- Add dynamic measurement columns
-    measurements.measurement_209_page_load_time,
-    measurements.measurement_236_page_scroll_75,
-    measurements.measurement_240,
+${measurementColumns}
 
     CAST(NULL AS FLOAT64) AS event_value,
 
+    -- Product properties (business events only)
+    CAST(NULL AS STRING) AS product_category,
+    CAST(NULL AS STRING) AS product_name,
+    CAST(NULL AS INT64) AS product_quantity,
+    CAST(NULL AS FLOAT64) AS product_price,
+
     -- Visitor properties
     distinct_id AS visitor_id,
     visit_num,
@@ -126,19 +131,21 @@ events_exploded AS (
 
     -- Technology properties (denormalized with lookups)
     browser,
-    COALESCE(browser_lookup.name, CONCAT('Browser ', browser)) AS browser_name,
+    COALESCE(browser_lookup.name, CONCAT('Browser ', CAST(browser AS STRING))) AS browser_name,
     os,
-    COALESCE(os_lookup.name, CONCAT('OS ', os)) AS operating_system_name,
+    COALESCE(os_lookup.name, CONCAT('OS ', CAST(os AS STRING))) AS operating_system_name,
     user_agent,
+    is_bot,
+    traffic_class,
     c_color AS color_depth,
     javascript AS javascript_version,
     java_enabled,
     connection_type,
-    COALESCE(connection_lookup.name, CONCAT('Connection ', connection_type)) AS connection_type_name,
+    COALESCE(connection_lookup.name, CONCAT('Connection ', CAST(connection_type AS STRING))) AS connection_type_name,
 
     -- Geographic properties (denormalized with lookups)
     geo_country,
-    COALESCE(country_lookup.name, CONCAT('Country ', geo_country)) AS country_name,
+    COALESCE(country_lookup.name, CONCAT('Country ', CAST(geo_country AS STRING))) AS country_name,
     geo_region,
     geo_city,
 
@@ -146,31 +153,12 @@ events_exploded AS (
     post_referrer AS referrer_url,
     ref_domain,
     ref_type,
-    COALESCE(referrer_type_lookup.name, CONCAT('Referrer Type ', ref_type)) AS referrer_type_name,
+    COALESCE(referrer_type_lookup.name, CONCAT('Referrer Type ', CAST(ref_type AS STRING))) AS referrer_type_name,
     va_closer_detail,
     va_finder_detail,
 
-    -- Business-friendly eVar names from Silver layer
-    evar_page_name,
-    evar_current_url,
-    evar_time_since_last_use,
-    evar_primary_category,
-    evar_visitor_id,
-    evar_form_page_url,
-    evar_visit_duration,
-    evar_conductor_export_variable,
-    evar_location,
-
-    -- Business-friendly prop names from Silver layer
-    prop_page_name,
-    prop_current_url,
-    prop_previous_page,
-    prop_new_vs_repeat_visitors,
-    CAST(NULL AS STRING) AS primary_category_prop,
-    CAST(NULL AS STRING) AS visitor_id_prop,
-    CAST(NULL AS STRING) AS form_page_url_prop,
-    CAST(NULL AS STRING) AS location_prop,
-    CAST(NULL AS STRING) AS tag_name,
+    -- Business-friendly eVar and prop names from the SDR (filtered by pipeline_config.gold_columns)
+${sdrColumns}
 
     -- Timing
     visit_page_num,
@@ -194,9 +182,18 @@ events_exploded AS (
 
   -- Business events (one per event in business_events array)
   SELECT
-    TO_HEX(MD5(CONCAT(distinct_id, '-', COALESCE(event_map.name, event.event_name), '-', CAST(UNIX_MICROS(TIMESTAMP_ADD(ts_utc, INTERVAL (event_index + 1) * 5 SECOND)) AS STRING)))) AS insert_id,
-    TIMESTAMP_ADD(ts_utc, INTERVAL (event_index + 1) * 5 SECOND) AS ts_utc,  -- Nudge timestamps
+    TO_HEX(MD5(CONCAT(
+      hit_id, '|', CAST(event.event_code AS STRING), '|', CAST(event_index + 1 AS STRING),
+      COALESCE(CONCAT('|', CAST(product_index AS STRING)), '')
+    ))) AS insert_id,
+    hit_id,
+    ${eventTimestamp} AS ts_utc,  -- Offset per pipeline_config.event_timestamp_offset
+    ts_local,  -- Local time of the hit (not offset), so date_local matches original_timestamp
+    date_local,
     distinct_id,
+    user_id,
+    COALESCE(canonical_id, distinct_id) AS canonical_id,
+    visit_id,
     COALESCE(event_map.name, event.event_name) AS event_name,
     event.event_code AS original_event_code,
     COALESCE(base_event_lookup.name, event.event_name) AS original_event_name,
@@ -209,24 +206,17 @@ events_exploded AS (
     COALESCE(pagename, page_url) AS page_title,
 
     -- Measurement properties (inherited from hit)
-    measurements.page_load_time,
-    measurements.time_on_page,
-    measurements.scroll_depth,
-    measurements.form_starts,
-    measurements.form_completions,
-    measurements.video_plays,
-    measurements.downloads,
-    measurements.external_links,
-    measurements.custom_link_clicks,
-
-    -- Dynamic measurement columns
-    measurements.measurement_209_page_load_time,
-    measurements.measurement_236_page_scroll_75,
-    measurements.measurement_240,
+${measurementColumns}
 
     -- Event-specific value
     event.event_value,
 
+    -- Product properties (one row per product on commerce events when products.explode_in_gold)
+    product.category AS product_category,
+    product.product AS product_name,
+    product.quantity AS product_quantity,
+    product.price AS product_price,
+
     -- Visitor properties
     distinct_id AS visitor_id,
     visit_num,
@@ -241,19 +231,21 @@ events_exploded AS (
 
     -- Technology properties
     browser,
-    COALESCE(browser_lookup.name, CONCAT('Browser ', browser)) AS browser_name,
+    COALESCE(browser_lookup.name, CONCAT('Browser ', CAST(browser AS STRING))) AS browser_name,
     os,
-    COALESCE(os_lookup.name, CONCAT('OS ', os)) AS operating_system_name,
+    COALESCE(os_lookup.name, CONCAT('OS ', CAST(os AS STRING))) AS operating_system_name,
     user_agent,
+    is_bot,
+    traffic_class,
     c_color AS color_depth,
     javascript AS javascript_version,
     java_enabled,
     connection_type,
-    COALESCE(connection_lookup.name, CONCAT('Connection ', connection_type)) AS connection_type_name,
+    COALESCE(connection_lookup.name, CONCAT('Connection ', CAST(connection_type AS STRING))) AS connection_type_name,
 
     -- Geographic properties
     geo_country,
-    COALESCE(country_lookup.name, CONCAT('Country ', geo_country)) AS country_name,
+    COALESCE(country_lookup.name, CONCAT('Country ', CAST(geo_country AS STRING))) AS country_name,
     geo_region,
     geo_city,
 
@@ -261,30 +253,12 @@ events_exploded AS (
     post_referrer AS referrer_url,
     ref_domain,
     ref_type,
-    COALESCE(referrer_type_lookup.name, CONCAT('Referrer Type ', ref_type)) AS referrer_type_name,
+    COALESCE(referrer_type_lookup.name, CONCAT('Referrer Type ', CAST(ref_type AS STRING))) AS referrer_type_name,
     va_closer_detail,
     va_finder_detail,
 
-    -- Business-friendly names
-    evar_page_name,
-    evar_current_url,
-    evar_time_since_last_use,
-    evar_primary_category,
-    evar_visitor_id,
-    evar_form_page_url,
-    evar_visit_duration,
-    evar_conductor_export_variable,
-    evar_location,
-
-    prop_page_name,
-    prop_current_url,
-    prop_previous_page,
-    prop_new_vs_repeat_visitors,
-    CAST(NULL AS STRING) AS primary_category_prop,
-    CAST(NULL AS STRING) AS visitor_id_prop,
-    CAST(NULL AS STRING) AS form_page_url_prop,
-    CAST(NULL AS STRING) AS location_prop,
-    CAST(NULL AS STRING) AS tag_name,
+    -- Business-friendly eVar and prop names from the SDR (filtered by pipeline_config.gold_columns)
+${sdrColumns}
 
     -- Timing
     visit_page_num,
@@ -301,6 +275,7 @@ events_exploded AS (
 
   FROM hit_base,
   UNNEST(business_events) AS event WITH OFFSET AS event_index
+  LEFT JOIN UNNEST(IF(${explodeProducts} AND SAFE_CAST(event.event_code AS INT64) IN UNNEST(${productEventCodes}), products, [])) AS product WITH OFFSET AS product_index
   LEFT JOIN `${project}.${dataset}.event_map` event_map ON SAFE_CAST(event.event_code AS INT64) = event_map.code
   LEFT JOIN `${project}.${dataset}.lookup_events` base_event_lookup ON SAFE_CAST(event.event_code AS INT64) = base_event_lookup.id
   LEFT JOIN `${project}.${dataset}.lookup_browser` browser_lookup ON SAFE_CAST(browser AS INT64) = browser_lookup.id
@@ -313,9 +288,15 @@ events_exploded AS (
 
   -- Fallback events for hits with no page view and no business events but have measurements
   SELECT
-    TO_HEX(MD5(CONCAT(distinct_id, '-', 'Action Tracked', '-', CAST(UNIX_MICROS(ts_utc) AS STRING)))) AS insert_id,
+    TO_HEX(MD5(CONCAT(hit_id, '|action_tracked|999'))) AS insert_id,
+    hit_id,
     ts_utc,
+    ts_local,
+    date_local,
     distinct_id,
+    user_id,
+    COALESCE(canonical_id, distinct_id) AS canonical_id,
+    visit_id,
     'Action Tracked' AS event_name,
     NULL AS original_event_code,
     NULL AS original_event_name,
@@ -328,23 +309,16 @@ events_exploded AS (
     COALESCE(pagename, page_url, 'Unknown') AS page_title,
 
     -- Measurements are the main content for fallback events
-    measurements.page_load_time,
-    measurements.time_on_page,
-    measurements.scroll_depth,
-    measurements.form_starts,
-    measurements.form_completions,
-    measurements.video_plays,
-    measurements.downloads,
-    measurements.external_links,
-    measurements.custom_link_clicks,
-
-    -- Dynamic measurement columns
-    measurements.measurement_209_page_load_time,
-    measurements.measurement_236_page_scroll_75,
-    measurements.measurement_240,
+${measurementColumns}
 
     CAST(NULL AS FLOAT64) AS event_value,
 
+    -- Product properties (business events only)
+    CAST(NULL AS STRING) AS product_category,
+    CAST(NULL AS STRING) AS product_name,
+    CAST(NULL AS INT64) AS product_quantity,
+    CAST(NULL AS FLOAT64) AS product_price,
+
     -- Visitor properties
     distinct_id AS visitor_id,
     visit_num,
@@ -359,19 +333,21 @@ events_exploded AS (
 
     -- Technology properties
     browser,
-    COALESCE(browser_lookup.name, CONCAT('Browser ', browser)) AS browser_name,
+    COALESCE(browser_lookup.name, CONCAT('Browser ', CAST(browser AS STRING))) AS browser_name,
     os,
-    COALESCE(os_lookup.name, CONCAT('OS ', os)) AS operating_system_name,
+    COALESCE(os_lookup.name, CONCAT('OS ', CAST(os AS STRING))) AS operating_system_name,
     user_agent,
+    is_bot,
+    traffic_class,
     c_color AS color_depth,
     javascript AS javascript_version,
     java_enabled,
     connection_type,
-    COALESCE(connection_lookup.name, CONCAT('Connection ', connection_type)) AS connection_type_name,
+    COALESCE(connection_lookup.name, CONCAT('Connection ', CAST(connection_type AS STRING))) AS connection_type_name,
 
     -- Geographic properties
     geo_country,
-    COALESCE(country_lookup.name, CONCAT('Country ', geo_country)) AS country_name,
+    COALESCE(country_lookup.name, CONCAT('Country ', CAST(geo_country AS STRING))) AS country_name,
     geo_region,
     geo_city,
 
@@ -379,30 +355,12 @@ events_exploded AS (
     post_referrer AS referrer_url,
     ref_domain,
     ref_type,
-    COALESCE(referrer_type_lookup.name, CONCAT('Referrer Type ', ref_type)) AS referrer_type_name,
+    COALESCE(referrer_type_lookup.name, CONCAT('Referrer Type ', CAST(ref_type AS STRING))) AS referrer_type_name,
     va_closer_detail,
     va_finder_detail,
 
-    -- Business-friendly names
-    evar_page_name,
-    evar_current_url,
-    evar_time_since_last_use,
-    evar_primary_category,
-    evar_visitor_id,
-    evar_form_page_url,
-    evar_visit_duration,
-    evar_conductor_export_variable,
-    evar_location,
-
-    prop_page_name,
-    prop_current_url,
-    prop_previous_page,
-    prop_new_vs_repeat_visitors,
-    CAST(NULL AS STRING) AS primary_category_prop,
-    CAST(NULL AS STRING) AS visitor_id_prop,
-    CAST(NULL AS STRING) AS form_page_url_prop,
-    CAST(NULL AS STRING) AS location_prop,
-    CAST(NULL AS STRING) AS tag_name,
+    -- Business-friendly eVar and prop names from the SDR (filtered by pipeline_config.gold_columns)
+${sdrColumns}
 
     -- Timing
     visit_page_num,
@@ -423,15 +381,7 @@ events_exploded AS (
   WHERE NOT is_page_view
     AND ARRAY_LENGTH(business_events) = 0
     AND (
-      measurements.page_load_time IS NOT NULL
-      OR measurements.time_on_page IS NOT NULL
-      OR measurements.scroll_depth IS NOT NULL
-      OR measurements.form_starts IS NOT NULL
-      OR measurements.form_completions IS NOT NULL
-      OR measurements.video_plays IS NOT NULL
-      OR measurements.downloads IS NOT NULL
-      OR measurements.external_links IS NOT NULL
-      OR measurements.custom_link_clicks IS NOT NULL
+      ${measurementPredicate}
     )
 )
 
@@ -0,0 +1,38 @@
+-- Identity graph edges: each visitor (distinct_id) linked to every identifier seen on its hits
+-- Node types: visid (post_visid_high-low), mcvisid, cust (post_cust_visid), login (configured eVar)
+CREATE OR REPLACE TABLE `${project}.${dataset}.${edgesTable}`
+CLUSTER BY source_value, target_type
+AS
+WITH hit_identifiers AS (
+  SELECT
+    ts_utc,
+    distinct_id,
+    ARRAY(
+      SELECT AS STRUCT id.node_type, id.node_value
+      FROM UNNEST([
+        STRUCT(
+          'visid' AS node_type,
+          IF(post_visid_high IS NOT NULL AND post_visid_low IS NOT NULL,
+             CONCAT(CAST(post_visid_high AS STRING), '-', CAST(post_visid_low AS STRING)), NULL) AS node_value
+        ),
+        STRUCT('mcvisid', NULLIF(TRIM(CAST(mcvisid AS STRING)), '')),
+        STRUCT('cust', NULLIF(TRIM(CAST(post_cust_visid AS STRING)), '')),
+        STRUCT('login', ${loginIdentifier})
+      ]) AS id
+      WHERE id.node_value IS NOT NULL
+        AND id.node_value NOT IN (':', '-', '--')
+    ) AS identifiers
+  FROM `${project}.${dataset}.${silverTable}`
+  ${sourceFilter}
+)
+
+SELECT
+  'distinct_id' AS source_type,
+  distinct_id AS source_value,
+  id.node_type AS target_type,
+  id.node_value AS target_value,
+  COUNT(*) AS hits,
+  MIN(ts_utc) AS first_seen,
+  MAX(ts_utc) AS last_seen
+FROM hit_identifiers, UNNEST(identifiers) AS id
+GROUP BY source_type, source_value, target_type, target_value;
@@ -0,0 +1,83 @@
+-- Resolve identity clusters from the edge table by label propagation: every node starts labelled
+-- with its own key and repeatedly takes the smallest label among its neighbours until no label
+-- changes (or maxIterations is reached). Nodes sharing a label form one cluster.
+DECLARE iteration INT64 DEFAULT 0;
+DECLARE changed INT64 DEFAULT 1;
+
+CREATE TEMP TABLE links AS
+SELECT CONCAT(source_type, ':', source_value) AS node, CONCAT(target_type, ':', target_value) AS neighbour
+FROM `${project}.${dataset}.${edgesTable}`
+UNION ALL
+SELECT CONCAT(target_type, ':', target_value), CONCAT(source_type, ':', source_value)
+FROM `${project}.${dataset}.${edgesTable}`;
+
+CREATE TEMP TABLE labels AS
+SELECT DISTINCT node, node AS label
+FROM links;
+
+WHILE changed > 0 AND iteration < ${maxIterations} DO
+  CREATE OR REPLACE TEMP TABLE next_labels AS
+  SELECT l.node, LEAST(l.label, MIN(n.label)) AS label
+  FROM labels l
+  JOIN links ON links.node = l.node
+  JOIN labels n ON n.node = links.neighbour
+  GROUP BY l.node, l.label;
+
+  SET changed = (
+    SELECT COUNTIF(n.label != l.label)
+    FROM labels l
+    JOIN next_labels n USING (node)
+  );
+  CREATE OR REPLACE TEMP TABLE labels AS SELECT * FROM next_labels;
+  SET iteration = iteration + 1;
+END WHILE;
+
+CREATE OR REPLACE TABLE `${project}.${dataset}.${identityTable}`
+CLUSTER BY node_type, node_value
+AS
+WITH nodes AS (
+  SELECT
+    REGEXP_EXTRACT(node, r'^([^:]+):') AS node_type,
+    SUBSTR(node, STRPOS(node, ':') + 1) AS node_value,
+    label AS cluster_key
+  FROM labels
+),
+
+clusters AS (
+  SELECT
+    cluster_key,
+    COUNT(*) AS cluster_size,
+    COUNTIF(node_type = 'distinct_id') AS visitor_count,
+    COUNTIF(node_type IN ('login', 'cust')) AS known_id_count,
+    -- Known identifiers name the person: the login eVar first, then the custom visitor ID
+    ARRAY_AGG(
+      IF(node_type IN ('login', 'cust'), STRUCT(node_type AS source, node_value AS value), NULL)
+      IGNORE NULLS ORDER BY IF(node_type = 'login', 0, 1), node_value LIMIT 1
+    )[SAFE_OFFSET(0)] AS known_id,
+    -- Anonymous clusters are named after their smallest distinct_id
+    MIN(IF(node_type = 'distinct_id', node_value, NULL)) AS anchor_distinct_id
+  FROM nodes
+  GROUP BY cluster_key
+)
+
+SELECT
+  nodes.node_type,
+  nodes.node_value,
+  nodes.cluster_key,
+  clusters.cluster_size,
+  clusters.visitor_count,
+  clusters.known_id_count,
+  -- Clusters above maxClusterSize are most likely shared devices or shared logins merging
+  -- unrelated people; they are left unresolved so gold falls back to distinct_id
+  clusters.cluster_size > ${maxClusterSize} AS is_oversized,
+  IF(clusters.cluster_size > ${maxClusterSize}, NULL, clusters.known_id.value) AS user_id,
+  IF(clusters.cluster_size > ${maxClusterSize}, NULL, clusters.known_id.source) AS user_id_source,
+  CASE
+    WHEN clusters.cluster_size > ${maxClusterSize} THEN NULL
+    WHEN clusters.known_id IS NOT NULL THEN CONCAT(clusters.known_id.source, ':', clusters.known_id.value)
+    ELSE clusters.anchor_distinct_id
+  END AS canonical_id
+FROM nodes
+JOIN clusters USING (cluster_key);
+
+SELECT iteration AS iterations, changed AS unconverged_nodes;
@@ -0,0 +1,9 @@
+-- Cast the all-STRING staging load into the typed raw schema written by prepare()
+-- SAFE_CAST turns values that do not parse into NULL instead of failing the load
+-- Created as a TABLE for native loads and as a VIEW over the external table
+-- source_file is the feed file each row came from
+CREATE OR REPLACE ${objectType} `${project}.${dataset}.${rawTable}` AS
+SELECT
+  ${typedColumns},
+  ${sourceFile} AS source_file
+FROM `${project}.${dataset}.${stagingTable}`;
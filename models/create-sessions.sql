@@ -0,0 +1,67 @@
+-- One row per visit (silver visit_id) with entry/exit page, bounce flag, page count and duration
+-- Bounce follows Adobe: a visit with a single hit
+CREATE OR REPLACE TABLE `${project}.${dataset}.${sessionsTable}`
+PARTITION BY ${partitionBy}
+CLUSTER BY distinct_id
+AS
+WITH visit_hits AS (
+  SELECT
+    visit_id,
+    distinct_id,
+    user_id,
+    canonical_id,
+    visit_num,
+    ts_utc,
+    ts_local,
+    date_local,
+    is_page_view,
+    page_url,
+    pagename,
+    post_referrer
+  FROM `${project}.${dataset}.${silverTable}`
+  ${identityJoin}
+  ${sourceFilter}
+),
+
+visits AS (
+  SELECT
+    visit_id,
+    ANY_VALUE(distinct_id) AS distinct_id,
+    ANY_VALUE(user_id) AS user_id,
+    COALESCE(ANY_VALUE(canonical_id), ANY_VALUE(distinct_id)) AS canonical_id,
+    MIN(visit_num) AS visit_num,
+    MIN(ts_utc) AS session_start,
+    MAX(ts_utc) AS session_end,
+    MIN(ts_local) AS session_start_local,
+    ARRAY_AGG(date_local ORDER BY ts_utc LIMIT 1)[SAFE_OFFSET(0)] AS date_local,
+    COUNT(*) AS hit_count,
+    COUNTIF(is_page_view) AS page_count,
+    ARRAY_AGG(IF(is_page_view, STRUCT(pagename AS page_name, page_url), NULL) IGNORE NULLS ORDER BY ts_utc LIMIT 1)[SAFE_OFFSET(0)] AS entry_page,
+    ARRAY_AGG(IF(is_page_view, STRUCT(pagename AS page_name, page_url), NULL) IGNORE NULLS ORDER BY ts_utc DESC LIMIT 1)[SAFE_OFFSET(0)] AS exit_page,
+    ARRAY_AGG(post_referrer IGNORE NULLS ORDER BY ts_utc LIMIT 1)[SAFE_OFFSET(0)] AS entry_referrer
+  FROM visit_hits
+  WHERE visit_id IS NOT NULL
+    AND ts_utc IS NOT NULL
+  GROUP BY visit_id
+)
+
+SELECT
+  visit_id,
+  distinct_id,
+  user_id,
+  canonical_id,
+  visit_num,
+  session_start,
+  session_end,
+  session_start_local,
+  date_local,
+  TIMESTAMP_DIFF(session_end, session_start, SECOND) AS duration_seconds,
+  hit_count,
+  page_count,
+  hit_count = 1 AS is_bounce,
+  entry_page.page_name AS entry_page_name,
+  entry_page.page_url AS entry_page_url,
+  exit_page.page_name AS exit_page_name,
+  exit_page.page_url AS exit_page_url,
+  entry_referrer
+FROM visits;
@@ -1,7 +1,7 @@
 -- Transform Bronze to Silver layer with SDR mappings
 -- Applies Solution Design Reference column renaming and enhanced event processing
 CREATE OR REPLACE TABLE `${project}.${dataset}.${silverTable}`
-PARTITION BY DATE(ts_utc)
+PARTITION BY ${partitionBy}
 CLUSTER BY distinct_id, is_page_view
 AS
 WITH
@@ -30,16 +30,65 @@ events_parsed AS (
     ) AS events_enhanced,
 
     -- Extract eVar instances from events for separate processing
+    -- (codes 100-199 are eVar1-100, codes 10000+ eVar101+, as in sdr_evars)
     ARRAY(
       SELECT AS STRUCT
         event.event_code,
         event.event_value,
-        SAFE_CAST(event.event_code AS INT64) - 9999 AS evar_number
+        ${evarNumber} AS evar_number
       FROM UNNEST(events_array) AS event
-      WHERE SAFE_CAST(event.event_code AS INT64) >= 10000
-    ) AS evar_instances
+      WHERE SAFE_CAST(event.event_code AS INT64) BETWEEN 100 AND 199
+        OR SAFE_CAST(event.event_code AS INT64) >= 10000
+    ) AS evar_instances,
+
+    -- Parse post_product_list: products are comma-separated, fields semicolon-separated
+    -- (category;product;quantity;price;events;merchandising eVars), events and eVars pipe-separated
+    ARRAY(
+      SELECT AS STRUCT
+        NULLIF(TRIM(fields[SAFE_OFFSET(0)]), '') AS category,
+        NULLIF(TRIM(fields[SAFE_OFFSET(1)]), '') AS product,
+        SAFE_CAST(NULLIF(TRIM(fields[SAFE_OFFSET(2)]), '') AS INT64) AS quantity,
+        SAFE_CAST(NULLIF(TRIM(fields[SAFE_OFFSET(3)]), '') AS FLOAT64) AS price,
+        ARRAY(
+          SELECT AS STRUCT
+            event_code,
+            ${productEventName} AS event_name,
+            event_value
+          FROM (
+            SELECT
+              CASE
+                -- eventN is custom event N (code 199 + N); otherwise the feed's numeric code
+                WHEN REGEXP_CONTAINS(tok, r'(?i)^event\d+') THEN 199 + SAFE_CAST(REGEXP_EXTRACT(tok, r'(?i)^event(\d+)') AS INT64)
+                ELSE SAFE_CAST(REGEXP_EXTRACT(tok, r'^(\d+)') AS INT64)
+              END AS event_code,
+              SAFE_CAST(REGEXP_EXTRACT(tok, r'=\s*([-+]?\d*\.?\d+)') AS FLOAT64) AS event_value
+            FROM UNNEST(SPLIT(fields[SAFE_OFFSET(4)], '|')) AS tok
+          )
+          WHERE event_code IS NOT NULL
+        ) AS events,
+        ARRAY(
+          SELECT AS STRUCT
+            evar_number,
+            ${merchandisingEvarName} AS name,
+            value
+          FROM (
+            SELECT
+              SAFE_CAST(REGEXP_EXTRACT(tok, r'(?i)^evar(\d+)=') AS INT64) AS evar_number,
+              NULLIF(REGEXP_EXTRACT(tok, r'=(.*)$'), '') AS value
+            FROM UNNEST(SPLIT(fields[SAFE_OFFSET(5)], '|')) AS tok
+          )
+          WHERE evar_number IS NOT NULL
+        ) AS merchandising
+      FROM (
+        SELECT SPLIT(item, ';') AS fields, position
+        FROM UNNEST(SPLIT(post_product_list, ',')) AS item WITH OFFSET AS position
+        WHERE TRIM(item) != ''
+      )
+      ORDER BY position
+    ) AS products
 
   FROM `${project}.${dataset}.${bronzeTable}`
+  ${sourceFilter}
 ),
 
 -- Apply SPA-friendly page view detection and enhanced business logic
@@ -50,6 +99,31 @@ url_changes AS (
   FROM events_parsed
 ),
 
+-- Page view rules in order of precedence; page_view_reason records the first that matched
+page_view_rules AS (
+  SELECT
+    *,
+    CASE
+      -- Primary: traditional page view beacon
+      WHEN ${usePostPageEvent} AND SAFE_CAST(post_page_event AS INT64) = 0 THEN 'post_page_event'
+      -- Fallback A: configured eVar instance fired on a hit without link tracking
+      -- (link types 10-12, or a link URL/name)
+      WHEN ${useEvarInstances}
+        AND EXISTS (
+          SELECT 1 FROM UNNEST(evar_instances) AS instance
+          WHERE SAFE_CAST(instance.event_code AS INT64) IN UNNEST(${evarInstanceCodes})
+        )
+        AND COALESCE(SAFE_CAST(post_page_event AS INT64), 0) NOT IN (10, 11, 12)
+        AND NULLIF(post_page_event_var1, '') IS NULL
+        AND NULLIF(post_page_event_var2, '') IS NULL
+        THEN 'evar_instance'
+      -- Fallback B: URL change within same visitor (SPA detection)
+      WHEN ${useUrlChange} AND prev_url IS NOT NULL AND page_url IS NOT NULL AND prev_url != page_url THEN 'url_change'
+      ELSE NULL
+    END AS page_view_reason
+  FROM url_changes
+),
+
 silver_base AS (
   SELECT
     -- All original columns from Bronze (preserving full schema)
@@ -59,14 +133,8 @@ silver_base AS (
     events_enhanced,
     evar_instances,
 
-    -- Simplified page view detection (avoid complex subqueries for now)
-    CASE
-      -- Primary: traditional page view beacon
-      WHEN ${usePostPageEvent} AND (post_page_event = '0' OR SAFE_CAST(post_page_event AS INT64) = 0) THEN TRUE
-      -- Fallback B: URL change within same visitor (SPA detection)
-      WHEN ${useUrlChange} AND prev_url IS NOT NULL AND page_url IS NOT NULL AND prev_url != page_url THEN TRUE
-      ELSE FALSE
-    END AS is_page_view,
+    -- Page view detection (see page_view_rules)
+    page_view_reason IS NOT NULL AS is_page_view,
 
     -- Simplified event classification (avoid complex array analysis for now)
     CASE
@@ -80,8 +148,42 @@ ${evarAliases}
     -- Dynamic SDR-based column aliases for Props
 ${propAliases}
 
-  FROM url_changes
+  FROM page_view_rules
+),
+
+-- Visit identifier per pipeline_config.sessions (adobe visit_num or inactivity timeout)
+${visitsCte},
+
+-- Per-visitor hit rates for the traffic filter (busiest minute and hits per report day); rows
+-- without a distinct_id are not one visitor, so they get no rates and never match bot_rate
+visitor_minutes AS (
+  SELECT
+    *,
+    IF(distinct_id IS NULL, NULL,
+      COUNT(*) OVER (PARTITION BY distinct_id, TIMESTAMP_TRUNC(ts_utc, MINUTE))) AS hits_per_minute
+  FROM visits
+),
+
+visitor_rates AS (
+  SELECT
+    * EXCEPT (hits_per_minute),
+    IF(distinct_id IS NULL, NULL,
+      MAX(hits_per_minute) OVER (PARTITION BY distinct_id, ${rateDate})) AS peak_hits_per_minute,
+    IF(distinct_id IS NULL, NULL,
+      COUNT(*) OVER (PARTITION BY distinct_id, ${rateDate})) AS hits_per_day
+  FROM visitor_minutes
+),
+
+-- Bot and internal traffic classification per pipeline_config.traffic_filter
+traffic AS (
+  SELECT
+    * EXCEPT (peak_hits_per_minute, hits_per_day),
+    ${trafficClass} AS traffic_class
+  FROM visitor_rates
 )
 
-SELECT * FROM silver_base
-WHERE ts_utc IS NOT NULL;
\ No newline at end of file
+SELECT
+  *,
+  traffic_class IN UNNEST(${botClasses}) AS is_bot
+FROM traffic
+WHERE ts_utc IS NOT NULL${outputFilter};
\ No newline at end of file
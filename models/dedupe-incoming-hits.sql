@@ -0,0 +1,77 @@
+-- Incremental counterpart of remove-duplicate-hits.sql: rank the incoming copies of each hit
+-- (hitid plus visit_num/visit_page_num) together with the copies already in bronze and in the
+-- audit table, rewrite the hit's audit rows, and keep only winning incoming copies so a losing
+-- one never replaces the kept row.
+-- An incoming copy from the same source_file as an earlier row is a reload and replaces it.
+CREATE TABLE IF NOT EXISTS `${project}.${dataset}.${duplicatesTable}`
+PARTITION BY DATE(ts_utc)
+AS
+SELECT *, CAST(NULL AS STRING) AS kept_source_file
+FROM `${project}.${dataset}.${incomingTable}`
+WHERE FALSE;
+
+CREATE TEMP TABLE ranked_copies AS
+SELECT
+  * REPLACE (
+    IF(hitid_high IS NULL OR hitid_low IS NULL, 1,
+      ROW_NUMBER() OVER (PARTITION BY hitid_high, hitid_low, visit_num, visit_page_num ORDER BY ${deliveryOrder})) AS delivery_rank
+  ),
+  FIRST_VALUE(source_file) OVER (PARTITION BY hitid_high, hitid_low, visit_num, visit_page_num ORDER BY ${deliveryOrder}) AS kept_source_file
+FROM (
+  SELECT *, TRUE AS from_incoming
+  FROM `${project}.${dataset}.${incomingTable}`
+
+  UNION ALL
+
+  SELECT b.*, FALSE AS from_incoming
+  FROM `${project}.${dataset}.${bronzeTable}` b
+  WHERE EXISTS (
+    SELECT 1 FROM `${project}.${dataset}.${incomingTable}` i
+    WHERE i.hitid_high = b.hitid_high AND i.hitid_low = b.hitid_low
+      AND i.visit_num IS NOT DISTINCT FROM b.visit_num AND i.visit_page_num IS NOT DISTINCT FROM b.visit_page_num
+  )
+  AND NOT EXISTS (
+    SELECT 1 FROM `${project}.${dataset}.${incomingTable}` i
+    WHERE i.hitid_high = b.hitid_high AND i.hitid_low = b.hitid_low
+      AND i.visit_num IS NOT DISTINCT FROM b.visit_num AND i.visit_page_num IS NOT DISTINCT FROM b.visit_page_num
+      AND i.source_file = b.source_file
+  )
+
+  UNION ALL
+
+  SELECT d.* EXCEPT (kept_source_file), FALSE AS from_incoming
+  FROM `${project}.${dataset}.${duplicatesTable}` d
+  WHERE EXISTS (
+    SELECT 1 FROM `${project}.${dataset}.${incomingTable}` i
+    WHERE i.hitid_high = d.hitid_high AND i.hitid_low = d.hitid_low
+      AND i.visit_num IS NOT DISTINCT FROM d.visit_num AND i.visit_page_num IS NOT DISTINCT FROM d.visit_page_num
+  )
+  AND NOT EXISTS (
+    SELECT 1 FROM `${project}.${dataset}.${incomingTable}` i
+    WHERE i.hitid_high = d.hitid_high AND i.hitid_low = d.hitid_low
+      AND i.visit_num IS NOT DISTINCT FROM d.visit_num AND i.visit_page_num IS NOT DISTINCT FROM d.visit_page_num
+      AND i.source_file = d.source_file
+  )
+);
+
+BEGIN TRANSACTION;
+
+-- Every audit row of a hit ranked here is rewritten
+DELETE FROM `${project}.${dataset}.${duplicatesTable}` d
+WHERE EXISTS (
+  SELECT 1 FROM `${project}.${dataset}.${incomingTable}` i
+  WHERE i.hitid_high = d.hitid_high AND i.hitid_low = d.hitid_low
+    AND i.visit_num IS NOT DISTINCT FROM d.visit_num AND i.visit_page_num IS NOT DISTINCT FROM d.visit_page_num
+);
+
+INSERT INTO `${project}.${dataset}.${duplicatesTable}`
+SELECT * EXCEPT (from_incoming)
+FROM ranked_copies
+WHERE delivery_rank > 1;
+
+COMMIT TRANSACTION;
+
+CREATE OR REPLACE TABLE `${project}.${dataset}.${incomingTable}` AS
+SELECT * EXCEPT (from_incoming, kept_source_file)
+FROM ranked_copies
+WHERE from_incoming AND delivery_rank = 1;
@@ -3,9 +3,9 @@
 SELECT
   STRING_AGG(
     CASE
-      WHEN data_type = 'STRING' AND column_name NOT IN ('post_cust_hit_time_gmt', 'post_visid_high', 'post_visid_low', 'mcvisid', 'post_event_list', 'event_list') THEN
+      WHEN data_type = 'STRING' AND column_name NOT IN ('post_cust_hit_time_gmt', 'post_event_list', 'event_list') THEN
         CONCAT('NULLIF(NULLIF(NULLIF(NULLIF(', column_name, ', ""), ":"), "-"), "--") AS ', column_name)
-      WHEN column_name NOT IN ('post_cust_hit_time_gmt', 'post_visid_high', 'post_visid_low', 'mcvisid', 'post_event_list', 'event_list') THEN
+      WHEN column_name NOT IN ('post_cust_hit_time_gmt', 'post_event_list', 'event_list') THEN
         column_name
       ELSE NULL
     END,
@@ -14,4 +14,4 @@ SELECT
   ) AS cleaned_columns
 FROM `${project}.${dataset}.INFORMATION_SCHEMA.COLUMNS`
 WHERE table_name = '${rawTable}'
-  AND column_name NOT IN ('post_cust_hit_time_gmt', 'post_visid_high', 'post_visid_low', 'mcvisid', 'post_event_list', 'event_list');
\ No newline at end of file
+  AND column_name NOT IN ('post_cust_hit_time_gmt', 'post_event_list', 'event_list');
\ No newline at end of file
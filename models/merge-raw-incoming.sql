@@ -0,0 +1,15 @@
+-- Upsert newly loaded hits into raw, keyed on hitid plus visit_num/visit_page_num (colliding hitids)
+-- Each hit's incoming copies are reduced to the one pipeline_config.deduplication keeps, which
+-- replaces the row in raw when it sorts first under the same policy or reloads the same file
+MERGE `${project}.${dataset}.${rawTable}` AS target
+USING (
+  SELECT * FROM `${project}.${dataset}.${incomingTable}`
+  QUALIFY ROW_NUMBER() OVER (PARTITION BY hitid_high, hitid_low, visit_num, visit_page_num ORDER BY ${deliveryOrder}) = 1
+) AS source
+ON target.hitid_high = source.hitid_high
+   AND target.hitid_low = source.hitid_low
+   AND target.visit_num IS NOT DISTINCT FROM source.visit_num
+   AND target.visit_page_num IS NOT DISTINCT FROM source.visit_page_num
+WHEN MATCHED AND ${replaceCondition} THEN UPDATE SET
+  ${updateColumns}
+WHEN NOT MATCHED THEN INSERT ROW;
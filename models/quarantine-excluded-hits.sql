@@ -0,0 +1,25 @@
+-- Move hits tagged with an exclusion_reason out of bronze into the quarantine table
+-- Full builds start the quarantine over; incremental runs replace reloaded hits' earlier copies
+${quarantineCreate} `${project}.${dataset}.${quarantineTable}`
+PARTITION BY DATE(ts_utc)
+AS
+SELECT * FROM `${project}.${dataset}.${bronzeTable}` WHERE FALSE;
+
+BEGIN TRANSACTION;
+
+DELETE FROM `${project}.${dataset}.${quarantineTable}` q
+WHERE EXISTS (
+  SELECT 1 FROM `${project}.${dataset}.${bronzeTable}` b
+  WHERE b.hitid_high = q.hitid_high AND b.hitid_low = q.hitid_low
+    AND b.visit_num IS NOT DISTINCT FROM q.visit_num
+    AND b.visit_page_num IS NOT DISTINCT FROM q.visit_page_num
+);
+
+INSERT INTO `${project}.${dataset}.${quarantineTable}`
+SELECT * FROM `${project}.${dataset}.${bronzeTable}`
+WHERE exclusion_reason IS NOT NULL;
+
+DELETE FROM `${project}.${dataset}.${bronzeTable}`
+WHERE exclusion_reason IS NOT NULL;
+
+COMMIT TRANSACTION;
@@ -0,0 +1,19 @@
+-- Move every copy of a hit but the kept one (delivery_rank > 1) from bronze to the audit table
+-- kept_source_file names the feed file whose copy stayed in bronze
+CREATE OR REPLACE TABLE `${project}.${dataset}.${duplicatesTable}`
+PARTITION BY DATE(ts_utc)
+AS
+SELECT
+  dropped.*,
+  kept.source_file AS kept_source_file
+FROM `${project}.${dataset}.${bronzeTable}` dropped
+LEFT JOIN `${project}.${dataset}.${bronzeTable}` kept
+  ON kept.delivery_rank = 1
+  AND kept.hitid_high = dropped.hitid_high
+  AND kept.hitid_low = dropped.hitid_low
+  AND kept.visit_num IS NOT DISTINCT FROM dropped.visit_num
+  AND kept.visit_page_num IS NOT DISTINCT FROM dropped.visit_page_num
+WHERE dropped.delivery_rank > 1;
+
+DELETE FROM `${project}.${dataset}.${bronzeTable}`
+WHERE delivery_rank > 1;
@@ -0,0 +1,14 @@
+-- Replace the rows of an incremental run in one transaction, then drop the scratch table
+-- Reruns delete what the previous attempt inserted, so repeating a day is idempotent
+-- Columns are listed by name; incremental.js has already checked both tables share the schema
+BEGIN TRANSACTION;
+
+DELETE FROM `${project}.${dataset}.${table}` AS target
+WHERE ${deleteWhere};
+
+INSERT INTO `${project}.${dataset}.${table}` (${columns})
+SELECT ${columns} FROM `${project}.${dataset}.${incomingTable}`;
+
+COMMIT TRANSACTION;
+
+DROP TABLE `${project}.${dataset}.${incomingTable}`;
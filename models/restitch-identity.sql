@@ -0,0 +1,19 @@
+-- Incremental identity runs rebuild the whole map, but gold and sessions only rebuild the pending
+-- dates. Rows on other dates whose visitor joined, left or changed cluster take the new
+-- user_id/canonical_id here, as a full build would give them.
+CREATE TEMP TABLE changed_visitors AS
+SELECT distinct_id, cur.user_id, cur.canonical_id
+FROM (
+  SELECT node_value AS distinct_id, user_id, canonical_id
+  FROM `${project}.${dataset}.${identityTable}`
+  WHERE node_type = 'distinct_id'
+) cur
+FULL OUTER JOIN `${project}.${dataset}.${previousTable}` prev USING (distinct_id)
+WHERE cur.user_id IS DISTINCT FROM prev.user_id
+  OR cur.canonical_id IS DISTINCT FROM prev.canonical_id;
+
+${updates}
+
+DROP TABLE `${project}.${dataset}.${previousTable}`;
+
+SELECT COUNT(*) AS changed_visitors FROM changed_visitors;
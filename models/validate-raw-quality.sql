@@ -6,8 +6,8 @@ WITH quality_check AS (
   SELECT
     COUNT(*) AS total_records,
 
-    -- Count malformed hit_time_gmt (NULL or not exactly 10 digits)
-    COUNTIF(hit_time_gmt IS NULL OR NOT REGEXP_CONTAINS(hit_time_gmt, r'^[0-9]{10}$')) AS malformed_hit_time_gmt,
+    -- Count malformed hit_time_gmt (NULL or not exactly 10 digits; typed INT64 by prepare)
+    COUNTIF(hit_time_gmt IS NULL OR NOT REGEXP_CONTAINS(CAST(hit_time_gmt AS STRING), r'^[0-9]{10}$')) AS malformed_hit_time_gmt,
 
     -- Count malformed hitid_high (NULL or not 10-20 digits)
     COUNTIF(hitid_high IS NULL OR NOT REGEXP_CONTAINS(hitid_high, r'^[0-9]{10,20}$')) AS malformed_hitid_high,
@@ -17,7 +17,7 @@ WITH quality_check AS (
 
     -- Count records with ANY malformed field (will be dropped in Bronze)
     COUNTIF(
-      (hit_time_gmt IS NULL OR NOT REGEXP_CONTAINS(hit_time_gmt, r'^[0-9]{10}$'))
+      (hit_time_gmt IS NULL OR NOT REGEXP_CONTAINS(CAST(hit_time_gmt AS STRING), r'^[0-9]{10}$'))
       OR (hitid_high IS NULL OR NOT REGEXP_CONTAINS(hitid_high, r'^[0-9]{10,20}$'))
       OR (hitid_low IS NULL OR NOT REGEXP_CONTAINS(hitid_low, r'^[0-9]{10,20}$'))
     ) AS malformed_record_count
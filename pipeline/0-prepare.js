@@ -4,6 +4,8 @@ import { readFile, writeFile, rm, mkdir, readdir } from 'fs/promises';
 import { existsSync } from 'fs';
 import { join } from 'path';
 import { Logger } from './utils.js';
+import { resolveColumnTypes } from './column-types.js';
+import { INCREMENTAL_STATE_FILE } from './incremental.js';
 
 function sanitizeColumnName(name) {
   // Trim whitespace and remove quotes
@@ -35,11 +37,11 @@ function sanitizeColumnName(name) {
 export async function prepare(config) {
   Logger.info('=== Schema Preparation Phase ===\n\n');
 
-  // Clear tmp directory while preserving .gitkeep
+  // Clear tmp directory while preserving .gitkeep and the incremental load state
   Logger.info('Cleaning temporary directory...');
   if (existsSync(config.paths.tmpDir)) {
     const files = await readdir(config.paths.tmpDir);
-    const filesToRemove = files.filter(file => file !== '.gitkeep');
+    const filesToRemove = files.filter(file => file !== '.gitkeep' && file !== INCREMENTAL_STATE_FILE);
 
     if (filesToRemove.length > 0) {
       await Promise.all(
@@ -95,15 +97,22 @@ export async function prepare(config) {
       original: rawColumn,
       sanitized: sanitized
     });
+  });
 
-    // Add to schema
+  // Type each column from the Adobe dictionary plus pipeline_config.column_types overrides
+  const types = resolveColumnTypes(mappings.map(m => m.sanitized), config.pipeline_config?.column_types);
+  mappings.forEach((m, index) => {
+    m.type = types[index];
     schema.push({
-      name: sanitized,
-      type: 'STRING',
+      name: m.sanitized,
+      type: m.type,
       mode: 'NULLABLE'
     });
   });
 
+  const typeCounts = types.reduce((acc, type) => ({ ...acc, [type]: (acc[type] || 0) + 1 }), {});
+  Logger.info(`Column types: ${Object.entries(typeCounts).map(([type, n]) => `${type}=${n}`).join(', ')}`);
+
   // Write schema JSON
   const schemaJson = `${config.paths.tmpDir}/schema.json`;
   await writeFile(schemaJson, JSON.stringify(schema, null, 2));
@@ -111,7 +120,7 @@ export async function prepare(config) {
 
   // Write mapping TSV
   const mappingTsv = mappings
-    .map(m => `${m.position}\t${m.original}\t${m.sanitized}`)
+    .map(m => `${m.position}\t${m.original}\t${m.sanitized}\t${m.type}`)
     .join('\n');
 
   const sanitizeMap = `${config.paths.tmpDir}/sanitize-map.tsv`;
@@ -1,12 +1,20 @@
 // preprocess.js
-import { promises as fs, createReadStream, createWriteStream } from 'fs';
 import { dirname, basename, join } from 'path';
+import { tmpdir } from 'os';
+import { Worker, isMainThread } from 'worker_threads';
 import readline from 'readline';
 import pLimit from 'p-limit';
-import { Storage } from '@google-cloud/storage';
 import { Logger } from './utils.js';
-import { readFile } from 'fs/promises';
+import { getStorage, hasWildcard, joinUri } from './storage.js';
+import { PreprocessManifest } from './manifest.js';
+import { verifyAdobeManifests, assertAdobeManifests } from './adobe-manifest.js';
+import { readFile, mkdtemp, rm } from 'fs/promises';
+import { createReadStream } from 'fs';
 import { createGunzip, createGzip } from 'zlib';
+import { createHash } from 'crypto';
+import { Transform, pipeline } from 'stream';
+import { once } from 'events';
+import { isUtf8 } from 'buffer';
 
 // ------------------------------
 // Helper functions
@@ -32,83 +40,171 @@ const DEFAULT_CONFIG = {
   newlineReplacement: '\\n',
   paddingTolerance: 3,
   parallelism: 1,
+  discovery: 'full', // full | header | sample | auto (see resolveCanonicalTabs)
+  discoverySampleLines: 10000,
+  reconstructionMode: 'anchor', // anchor | escape (see reconstruct)
+  workers: 1,                   // worker threads per large local file (see reconstructParallel)
+  workerMinBytes: 256 * 1024 * 1024,
+  escapeReplacements: {},       // escape mode: { tab, newline, backslash } overrides
   printStats: false, // optional: canonicalTabs, rejectsPath, gcs: { ... }
 };
 
-// Adobe Analytics triple-anchor pattern (columns 318-320)
-// Allow start-of-line OR tab before hit_time_gmt, to survive physical line splits.
+// ------------------------------
+// Anchor layout
+// ------------------------------
+//
+// Adobe Analytics triple anchor: hit_time_gmt, hitid_high, hitid_low in consecutive columns.
+// Their positions come from the feed header (sanitize-map.tsv written by prepare(), or
+// lookups/columns.csv); the value patterns can be overridden with
+// pipeline_config.preprocess.anchor_patterns.
+//
+const ANCHOR_COLUMNS = ['hit_time_gmt', 'hitid_high', 'hitid_low'];
+
 // hit_time_gmt: 10 digits, hitid_high: 10-20 digits, hitid_low: 10-20 digits (flexible for any Adobe data)
-const TRIPLE_ANCHOR_RE = /(?:^|\t)([0-9]{10})\t([0-9]{10,20})\t([0-9]{10,20})(?=\t|$)/;
-const TRIPLE_ANCHOR_RE_G = new RegExp(TRIPLE_ANCHOR_RE, 'g');
+const DEFAULT_ANCHOR_PATTERNS = {
+  hit_time_gmt: '[0-9]{10}',
+  hitid_high: '[0-9]{10,20}',
+  hitid_low: '[0-9]{10,20}'
+};
 
-// Expected anchor offset from start-of-record in tabs:
-const HIT_TIME_GMT_COLUMN = 318; // 1-based
-const ANCHOR_TABS_BEFORE = HIT_TIME_GMT_COLUMN - 1; // 317
+// Only used when no header is available (standard 2023-era layout)
+const DEFAULT_HIT_TIME_GMT_COLUMN = 318; // 1-based
 
-// ------------------------------
-// IO helpers
-// ------------------------------
-function isGs(uri) {
-  return uri.startsWith('gs://');
+export function buildAnchorLayout({ hitTimeColumn = DEFAULT_HIT_TIME_GMT_COLUMN, headerColumns = null, patterns = {}, source = 'default' } = {}) {
+  const p = { ...DEFAULT_ANCHOR_PATTERNS, ...patterns };
+  const fields = ANCHOR_COLUMNS.map(name => {
+    try {
+      return new RegExp(`^(?:${p[name]})$`);
+    } catch (error) {
+      throw new Error(`Invalid anchor pattern for ${name}: ${p[name]} (${error.message})`);
+    }
+  });
+
+  // Allow start-of-line OR tab before hit_time_gmt, to survive physical line splits.
+  const anchor = `(?:^|\t)(?:${p.hit_time_gmt})\t(?:${p.hitid_high})\t(?:${p.hitid_low})(?=\t|$)`;
+
+  return {
+    hitTimeColumn,
+    tabsBefore: hitTimeColumn - 1, // expected anchor offset from start-of-record in tabs
+    headerColumns,
+    source,
+    anchorRe: new RegExp(anchor),
+    anchorReG: new RegExp(anchor, 'g'),
+    fieldRes: fields,
+    patterns: p
+  };
 }
 
-function looksGzipByName(name) {
-  return /\.gz$/i.test(name) || /\.gzip$/i.test(name);
+async function readHeaderColumns(config) {
+  const tmpDir = config.paths?.tmpDir || './tmp';
+  const lookupsDir = config.paths?.lookupsDir || './lookups';
+
+  // Prefer the sanitize map so names match the BigQuery schema exactly
+  const sanitizeMap = `${tmpDir}/sanitize-map.tsv`;
+  const mapContent = await readFile(sanitizeMap, 'utf8').catch(() => null);
+  if (mapContent) {
+    const columns = mapContent.trim().split('\n').map(line => line.split('\t')[2]);
+    return { columns, source: sanitizeMap };
+  }
+
+  const columnsFile = `${lookupsDir}/columns.csv`;
+  const csvContent = await readFile(columnsFile, 'utf8').catch(() => null);
+  if (csvContent) {
+    const columns = csvContent.trim().split('\n')[0].split(',')
+      .map(c => c.trim().replace(/^["']|["']$/g, '').toLowerCase());
+    return { columns, source: columnsFile };
+  }
+
+  return null;
 }
 
-function parseGsUri(uri) {
-  const [, , bucket, ...rest] = uri.split('/');
-  return { bucket, file: rest.join('/') };
+export async function resolveAnchorLayout(config = {}) {
+  const patterns = config.pipeline_config?.preprocess?.anchor_patterns || {};
+  const header = await readHeaderColumns(config);
+
+  if (!header) {
+    Logger.warn(`No sanitize-map.tsv or columns.csv found; assuming hit_time_gmt is column ${DEFAULT_HIT_TIME_GMT_COLUMN} (run prepare first to use the feed header)`);
+    return buildAnchorLayout({ patterns });
+  }
+
+  const positions = ANCHOR_COLUMNS.map(name => header.columns.indexOf(name));
+  const missing = ANCHOR_COLUMNS.filter((_, i) => positions[i] < 0);
+  if (missing.length) {
+    throw new Error(`Anchor columns missing from ${header.source}: ${missing.join(', ')}`);
+  }
+  if (positions[1] !== positions[0] + 1 || positions[2] !== positions[0] + 2) {
+    throw new Error(`Anchor columns must be consecutive in ${header.source}; found ${ANCHOR_COLUMNS.map((n, i) => `${n}=${positions[i] + 1}`).join(', ')}`);
+  }
+
+  return buildAnchorLayout({
+    hitTimeColumn: positions[0] + 1,
+    headerColumns: header.columns.length,
+    patterns,
+    source: header.source
+  });
 }
 
-async function openRead(uri, { autoGunzip = true } = {}) {
-  if (isGs(uri)) {
-    const storage = new Storage();
-    const { bucket, file } = parseGsUri(uri);
-    const f = storage.bucket(bucket).file(file);
+const DEFAULT_LAYOUT = buildAnchorLayout();
 
-    let shouldGunzip = autoGunzip && looksGzipByName(file);
-    if (autoGunzip && !shouldGunzip) {
-      try {
-        const [meta] = await f.getMetadata();
-        if ((meta.contentEncoding || '').toLowerCase().includes('gzip')) {
-          shouldGunzip = true;
-        }
-      } catch {
-        // ignore meta failure; fall back to extension heuristic
+// Reject sidecar: one JSON line per dropped record, tagged with why it was dropped
+const REJECT_REASONS = ['fragment', 'oversized_record', 'tab_overflow', 'realignment_failed'];
+const REJECT_PREVIEW_CHARS = 200;
+
+function formatRejectReasons(reasons) {
+  return Object.entries(reasons).filter(([, n]) => n).map(([r, n]) => `${r}=${n}`).join(', ');
+}
+
+// file.tsv.gz -> file-rejected.jsonl
+function rejectsFileName(fileName) {
+  return fileName.replace(/\.gz$/i, '').replace(/\.[^.]+$/, '') + '-rejected.jsonl';
+}
+
+// ------------------------------
+// IO helpers
+// ------------------------------
+function looksGzipByName(name) {
+  return /\.gz$/i.test(name) || /\.gzip$/i.test(name);
+}
+
+// Optional `hash` (a crypto Hash) is fed the raw stored bytes, before any gunzip, so the
+// digest matches what the storage backend reports (e.g. GCS md5Hash).
+// Optional `range` ({ start, end }, end exclusive) reads a byte slice of the stored object.
+async function openRead(uri, { autoGunzip = true, hash = null, range = null } = {}) {
+  const storage = getStorage(uri);
+
+  let shouldGunzip = autoGunzip && looksGzipByName(uri);
+  if (autoGunzip && !shouldGunzip) {
+    try {
+      const meta = await storage.stat(uri);
+      if ((meta?.contentEncoding || '').toLowerCase().includes('gzip')) {
+        shouldGunzip = true;
       }
+    } catch {
+      // ignore meta failure; fall back to extension heuristic
     }
+  }
 
-    const rs = f.createReadStream();
-    return shouldGunzip ? rs.pipe(createGunzip()) : rs;
+  const stages = [storage.createReadStream(uri, range ? { start: range.start, end: range.end - 1 } : {})];
+  if (hash) {
+    // A pass-through tap (not a bare 'data' listener) keeps backpressure intact, so no
+    // bytes are lost before the consumer attaches
+    stages.push(new Transform({
+      transform(chunk, _enc, cb) { hash.update(chunk); cb(null, chunk); }
+    }));
   }
+  if (shouldGunzip) stages.push(createGunzip());
 
-  const rs = createReadStream(uri);
-  return autoGunzip && looksGzipByName(uri) ? rs.pipe(createGunzip()) : rs;
+  // pipeline() so destroying the returned stream (e.g. after a bounded sample) also stops
+  // the download; errors surface on the returned stream
+  return stages.length === 1 ? stages[0] : pipeline(stages, () => {});
 }
 
 async function openWrite(uri, { autoGzip = true } = {}) {
   const shouldGzip = autoGzip && looksGzipByName(uri);
 
-  if (isGs(uri)) {
-    const storage = new Storage();
-    const { bucket, file } = parseGsUri(uri);
-    const ws = storage.bucket(bucket).file(file).createWriteStream({
-      resumable: false,
-      metadata: shouldGzip ? { contentEncoding: 'gzip' } : undefined,
-    });
-
-    if (shouldGzip) {
-      const gzipStream = createGzip();
-      gzipStream.pipe(ws);
-      return gzipStream;
-    }
-    return ws;
-  }
-
-  const dir = dirname(uri);
-  await fs.mkdir(dir, { recursive: true });
-  const ws = createWriteStream(uri);
+  const ws = await getStorage(uri).createWriteStream(uri, {
+    contentEncoding: shouldGzip ? 'gzip' : undefined
+  });
 
   if (shouldGzip) {
     const gzipStream = createGzip();
@@ -127,6 +223,17 @@ function countTabs(s) {
   return c;
 }
 
+// Tabs that separate fields under Adobe escaping (\<tab> and \\ are skipped)
+function countUnescapedTabs(s) {
+  let c = 0;
+  for (let i = 0; i < s.length; i++) {
+    const code = s.charCodeAt(i);
+    if (code === 92) i++;
+    else if (code === 9) c++;
+  }
+  return c;
+}
+
 // Split a string into [left, right] so that left contains exactly k tabs.
 function splitAtTabs(str, k) {
   if (k <= 0) return ['', str];
@@ -151,33 +258,46 @@ function splitAtTabs(str, k) {
 // The delta in absolute tabs between consecutive anchors is T.
 // We pick the mode delta (break ties by larger delta).
 //
-export async function discoverCanonicalTabs(uri) {
+// With maxLines, only that many physical lines are read (a prefix sample) and the stream
+// is abandoned; `sampled` tells the caller the histogram may not cover the whole file.
+// With escaped, backslash-escaped tabs are not counted (escape reconstruction mode).
+//
+export async function discoverCanonicalTabs(uri, layout = DEFAULT_LAYOUT, { maxLines = Infinity, escaped = false } = {}) {
+  const tabsIn = escaped ? countUnescapedTabs : countTabs;
   const inStream = await openRead(uri);
   const rl = readline.createInterface({ input: inStream, crlfDelay: Infinity });
 
+  const anchorRe = layout.anchorReG;
   let absTabs = 0;         // total tabs seen so far in the file
-  const anchorTabIdx = []; // absolute tab index BEFORE the anchor's leading \t (or char 0 if ^)
+  const anchorTabIdx = []; // absolute tab index of each anchor's hit_time_gmt field
+  let lines = 0;
+  let sampled = false;
 
   for await (const raw of rl) {
+    if (lines++ >= maxLines) {
+      sampled = true;
+      break;
+    }
     const line = raw.replace(/\r/g, '');
-    TRIPLE_ANCHOR_RE_G.lastIndex = 0;
+    anchorRe.lastIndex = 0;
 
     // Scan all anchors in this physical line
     let m;
     let pos = 0; // char index we've processed in this line
-    while ((m = TRIPLE_ANCHOR_RE_G.exec(line)) !== null) {
-      const before = line.slice(pos, m.index);
-      absTabs += countTabs(before); // ingest tabs up to match
-      anchorTabIdx.push(absTabs);   // absolute tabs BEFORE the (optional) leading \t
-      pos = m.index;                // don't consume the anchor itself here
-      // Advance past the whole match for next search window
-      pos = TRIPLE_ANCHOR_RE_G.lastIndex;
+    while ((m = anchorRe.exec(line)) !== null) {
+      absTabs += tabsIn(line.slice(pos, m.index)); // ingest tabs up to match
+      // Tabs before hit_time_gmt; the leading \t (if any) belongs to the previous field
+      anchorTabIdx.push(absTabs + (m[0].charCodeAt(0) === 9 ? 1 : 0));
+      // Ingest the anchor's own tabs and advance past the whole match
+      absTabs += countTabs(m[0]);
+      pos = anchorRe.lastIndex;
     }
 
     // Ingest remainder of line
     const tail = line.slice(pos);
-    absTabs += countTabs(tail);
+    absTabs += tabsIn(tail);
   }
+  if (sampled) inStream.destroy();
 
   if (anchorTabIdx.length < 2) {
     throw new Error('No valid triple anchors found - this may not be an Adobe Analytics file');
@@ -206,89 +326,159 @@ export async function discoverCanonicalTabs(uri) {
     histogram: Object.fromEntries(hist),
     records: anchorTabIdx.length,      // #anchors approximates #records
     validAnchors: anchorTabIdx.length, // for logging
+    modeShare: modeFreq / (anchorTabIdx.length - 1),
+    sampled,
   };
 }
 
 // ------------------------------
-// Reconstruction (streaming)
+// Discovery strategy
 // ------------------------------
 //
-// Maintain a buffer string starting at absolute tab index bufferStartAbsTabs,
-// and a running absolute tab count absTabs for the entire file.
-// When we hit an anchor at abs index A, the *start* of that record is
-// S = A - 317. The boundary (end of previous record) is at S.
-// We flush everything up to S (exactly K=S-bufferStartAbsTabs tabs) and
-// KEEP the remainder (columns 1..317 of the next record) in the buffer.
-// At EOF, flush the final record.
-//
-// Key changes:
-//  - Delay newlineReplacement injection via pendingNL.
-//  - When an aligned anchor is seen, split the *current line's* "before" segment
-//    at the exact tab count to close the previous record, finalize it, and
-//    start the new record with the remainder + anchor. Never slice the global buffer
-//    by K tabs.
-//
-// Assumptions retained:
-//  - TRIPLE_ANCHOR_RE_G matches hit_time_gmt (10 digits), hitid_high (10-20 digits), hitid_low (10-20 digits) (cols 318–320).
-//  - canonicalTabs = tabs-per-record (T) from discovery (mode of Δ between anchors).
-//  - Fallback realignment: If standard validation fails, search ±5 columns around expected anchor position
-//    to detect and correct field shifts caused by embedded tab characters in data.
+//   full   - discover over the whole file, then reconstruct (two reads)
+//   header - canonicalTabs = header columns - 1 (one read)
+//   sample - discover over the first discoverySampleLines lines (one read plus a prefix);
+//            falls back to full when the sample is ambiguous
+//   auto   - header when a header is known, otherwise sample
 //
-// ------------------------------
-// Reconstruction (streaming) - ANCHOR-SAFE & MEMORY-BOUNDED
-// ------------------------------
-async function reconstruct(
-  uriIn,
-  uriOut,
-  rejectsUri,
-  canonicalTabs,
-  newlineReplacement,
-  printStats,
-  paddingTolerance = 3
-) {
-  const inStream  = await openRead(uriIn);
-  const outStream = await openWrite(uriOut);
-  const rejStream = rejectsUri ? await openWrite(rejectsUri, { autoGzip: false }) : null;
+const DISCOVERY_STRATEGIES = ['full', 'header', 'sample', 'auto'];
+const SAMPLE_MIN_ANCHORS = 20;     // fewer anchors than this in the sample is not enough evidence
+const SAMPLE_MIN_MODE_SHARE = 0.5; // the winning delta must cover at least half of the sample
 
-  const rl = readline.createInterface({ input: inStream, crlfDelay: Infinity });
+export async function resolveCanonicalTabs(uri, layout, config) {
+  if (config.canonicalTabs !== undefined) {
+    return { canonicalTabs: config.canonicalTabs, strategy: 'config' };
+  }
 
-  // Current logical record under construction
-  let cur = "";
-  let curTabs = 0;
+  const requested = config.discovery || 'full';
+  if (!DISCOVERY_STRATEGIES.includes(requested)) {
+    throw new Error(`Unknown discovery strategy "${requested}" (expected one of: ${DISCOVERY_STRATEGIES.join(', ')})`);
+  }
 
-  // Track whether we just crossed a physical newline while continuing the SAME record
-  let pendingNL = false;
+  const strategy = requested === 'auto' ? (layout.headerColumns ? 'header' : 'sample') : requested;
+  const escaped = config.reconstructionMode === 'escape';
 
-  // Basic metrics
-  let records = 0, ok = 0, bad = 0, realigned = 0;
+  if (strategy === 'header') {
+    if (!layout.headerColumns) {
+      throw new Error('Discovery strategy "header" needs sanitize-map.tsv or columns.csv; run prepare first or use "sample"');
+    }
+    return { canonicalTabs: layout.headerColumns - 1, strategy };
+  }
+
+  if (strategy === 'sample') {
+    let sample = null;
+    try {
+      sample = await discoverCanonicalTabs(uri, layout, { maxLines: config.discoverySampleLines, escaped });
+    } catch (error) {
+      Logger.warn(`Sample discovery failed for ${uri} (${error.message}); falling back to full discovery`);
+    }
+
+    if (sample && (!sample.sampled || (sample.validAnchors >= SAMPLE_MIN_ANCHORS && sample.modeShare >= SAMPLE_MIN_MODE_SHARE))) {
+      return { ...sample, strategy };
+    }
+    if (sample) {
+      Logger.warn(`Sample discovery for ${uri} is ambiguous (${sample.validAnchors} anchors, mode covers ${(sample.modeShare * 100).toFixed(0)}%); falling back to full discovery`);
+    }
+  }
 
-  const writeOut = (s) => outStream.write(s);
-  const writeRej = (s) => rejStream && rejStream.write(s);
+  const full = await discoverCanonicalTabs(uri, layout, { escaped });
+  return { ...full, strategy: 'full' };
+}
+
+// ------------------------------
+// Byte helpers (reconstruction engine)
+// ------------------------------
+//
+// reconstruct() works on raw Buffer chunks: records are kept as lists of Buffer slices
+// into the input and copied straight into a batched output buffer, so the hot path never
+// builds per-record strings or re-splits rows. Strings are only made for the rare
+// trim/realign/reject paths.
+//
+const TAB = 9, LF = 10, CR = 13, BACKSLASH = 92;
+const NL = Buffer.from('\n');
+const OUT_BUFFER_BYTES = 1024 * 1024;
+const OUT_BUFFER_MIN_TAIL = 64 * 1024;
 
-  // Hard guardrails against pathological growth (and accidental infinite loops)
-  const MAX_CUR_LEN = 64 * 1024 * 1024;       // 64 MB of text in one logical row is already extreme
-  const MAX_TAB_MULTIPLIER = 8;               // if we ever exceed 8x the expected tabs, bail and reject
+function countTabBytes(buf) {
+  let c = 0;
+  for (let i = 0; i < buf.length; i++) if (buf[i] === TAB) c++;
+  return c;
+}
 
-  function countTabsLocal(s) {
-    let c = 0;
-    for (let i = 0; i < s.length; i++) if (s.charCodeAt(i) === 9) c++;
-    return c;
+// Byte index of the k-th tab (1-based), or -1
+function nthTabIndex(buf, k) {
+  let i = -1;
+  for (let n = 0; n < k; n++) {
+    i = buf.indexOf(TAB, i + 1);
+    if (i === -1) return -1;
   }
+  return i;
+}
 
-  function appendToCur(str, consumePending) {
-    if (!str) return;
-    if (consumePending && pendingNL) {
-      cur += newlineReplacement; // e.g. "\\n"
-      pendingNL = false;
-    }
-    cur += str;
-    curTabs += countTabsLocal(str);
+// Batches small writes into 1 MB buffers. Flushed bytes are handed to the stream and never
+// overwritten: writing continues in the unused tail, or in a fresh buffer.
+function createOutputBuffer(stream) {
+  let buf = Buffer.allocUnsafe(OUT_BUFFER_BYTES);
+  let used = 0;
+
+  function flush() {
+    if (!used) return;
+    stream.write(buf.subarray(0, used));
+    buf = buf.length - used >= OUT_BUFFER_MIN_TAIL ? buf.subarray(used) : Buffer.allocUnsafe(OUT_BUFFER_BYTES);
+    used = 0;
+  }
 
-    // Safety: if this record is getting absurdly large, reject it to avoid OOM
-    if (cur.length > MAX_CUR_LEN || curTabs > canonicalTabs * MAX_TAB_MULTIPLIER) {
-      writeRej(cur + "\n"); bad++;
-      cur = ""; curTabs = 0; pendingNL = false;
+  function write(bytes) {
+    if (bytes.length > buf.length - used) {
+      flush();
+      if (bytes.length >= OUT_BUFFER_BYTES) {
+        stream.write(bytes);
+        return;
+      }
+      if (bytes.length > buf.length) buf = Buffer.allocUnsafe(OUT_BUFFER_BYTES);
     }
+    bytes.copy(buf, used);
+    used += bytes.length;
+  }
+
+  return {
+    write,
+    writeParts(parts) { for (const p of parts) write(p); },
+    flush
+  };
+}
+
+// ------------------------------
+// Record sink (shared by both reconstruction modes)
+// ------------------------------
+//
+// Takes one logical record at a time (as Buffer parts) and decides
+// keep/pad/trim/realign/reject, so both modes write the same output shape and the same
+// stats and reject entries.
+//
+function createRecordSink({ out, rejStream, canonicalTabs, paddingTolerance, layout }) {
+  const stats = {
+    records: 0, ok: 0, bad: 0, realigned: 0,
+    rejectReasons: Object.fromEntries(REJECT_REASONS.map(r => [r, 0]))
+  };
+
+  const toText = (parts) => Buffer.concat(parts).toString('utf8');
+  const padding = []; // padding[n] = n tabs + newline
+
+  // One JSON object per rejected record. pos = { lineStart, lineEnd, byteOffset }
+  function reject(reason, parts, tabs, pos) {
+    stats.bad++;
+    stats.rejectReasons[reason]++;
+    if (!rejStream) return;
+    const record = toText(parts);
+    rejStream.write(JSON.stringify({
+      reason,
+      tabs,
+      canonicalTabs,
+      ...pos,
+      length: record.length,
+      preview: record.length > REJECT_PREVIEW_CHARS ? record.slice(0, REJECT_PREVIEW_CHARS) + '…' : record
+    }) + "\n");
   }
 
   function looksLikeFragment(tabsInRow) {
@@ -302,7 +492,7 @@ async function reconstruct(
     const parts = record.split('\t');
 
     // Search for triple anchor pattern in a small range around expected position
-    const expectedAnchorStart = ANCHOR_TABS_BEFORE; // 317 (0-based: 316)
+    const expectedAnchorStart = layout.tabsBefore; // 0-based index of hit_time_gmt
     const searchRange = 5; // Search ±5 positions from expected
 
     for (let offset = -searchRange; offset <= searchRange; offset++) {
@@ -316,9 +506,9 @@ async function reconstruct(
 
         // Check if this looks like our triple anchor pattern
         if (field1 && field2 && field3 &&
-            /^[0-9]{10}$/.test(field1) &&
-            /^[0-9]{10,20}$/.test(field2) &&
-            /^[0-9]{10,20}$/.test(field3)) {
+            layout.fieldRes[0].test(field1) &&
+            layout.fieldRes[1].test(field2) &&
+            layout.fieldRes[2].test(field3)) {
 
           // Found the anchor! Now realign the record
           if (offset === 0) {
@@ -348,77 +538,506 @@ async function reconstruct(
     return null; // Could not realign
   }
 
-  function finalizeCur() {
-    if (!cur) return;
-    records++;
+  function finalize(parts, tabs, pos) {
+    stats.records++;
 
-    const cols = curTabs + 1;               // tabs + 1 = columns
+    const cols = tabs + 1;                  // tabs + 1 = columns
     const targetCols = canonicalTabs + 1;
 
-    if (curTabs === canonicalTabs) {
-      writeOut(cur + "\n"); ok++;
+    if (tabs === canonicalTabs) {
+      out.writeParts(parts); out.write(NL); stats.ok++;
     } else if (cols < targetCols && (targetCols - cols) <= paddingTolerance) {
       // Slightly short: pad with tabs
-      writeOut(cur + "\t".repeat(targetCols - cols) + "\n"); ok++;
+      const n = targetCols - cols;
+      padding[n] ??= Buffer.from("\t".repeat(n) + "\n");
+      out.writeParts(parts); out.write(padding[n]); stats.ok++;
     } else if (cols > targetCols && (cols - targetCols) <= paddingTolerance) {
-      // Slightly long: trim extra columns
-      const parts = cur.split("\t");
-      writeOut(parts.slice(0, targetCols).join("\t") + "\n"); ok++;
-    } else if (looksLikeFragment(curTabs)) {
-      writeRej(cur + "\n"); bad++;
+      // Slightly long: trim extra columns (everything from the targetCols-th tab on)
+      const record = Buffer.concat(parts);
+      out.write(record.subarray(0, nthTabIndex(record, targetCols))); out.write(NL); stats.ok++;
+    } else if (looksLikeFragment(tabs)) {
+      reject('fragment', parts, tabs, pos);
     } else {
       // Before rejecting, try to realign using triple anchor fallback
-      const realignedRecord = tryRealignRecord(cur);
+      const realignedRecord = tryRealignRecord(toText(parts));
       if (realignedRecord) {
-        writeOut(realignedRecord + "\n"); ok++; realigned++;
+        out.write(Buffer.from(realignedRecord + "\n")); stats.ok++; stats.realigned++;
       } else {
-        writeRej(cur + "\n"); bad++;
+        reject('realignment_failed', parts, tabs, pos);
       }
     }
+  }
+
+  return { stats, reject, finalize };
+}
+
+// Hard guardrails against pathological growth (and accidental infinite loops)
+const MAX_CUR_LEN = 64 * 1024 * 1024;       // 64 MB of text in one logical row is already extreme
+const MAX_TAB_MULTIPLIER = 8;               // if we ever exceed 8x the expected tabs, bail and reject
+
+// ------------------------------
+// Reconstruction (streaming)
+// ------------------------------
+//
+// Two modes share the streaming loop, source-position tracking and record sink:
+//
+//   anchor - rebuild rows by tab count (below); embedded tabs/newlines are repaired
+//            heuristically via padding tolerance and triple-anchor realignment.
+//   escape - tokenize by Adobe's escaping rules (\<tab>, \<newline>, \\); escaped
+//            characters become escapeReplacements and only rows that still have the
+//            wrong column count go through padding/realignment.
+//
+// Anchor mode:
+//
+// Maintain a buffer string starting at absolute tab index bufferStartAbsTabs,
+// and a running absolute tab count absTabs for the entire file.
+// When we hit an anchor at abs index A, the *start* of that record is
+// S = A - 317. The boundary (end of previous record) is at S.
+// We flush everything up to S (exactly K=S-bufferStartAbsTabs tabs) and
+// KEEP the remainder (columns 1..317 of the next record) in the buffer.
+// At EOF, flush the final record.
+//
+// Key changes:
+//  - Delay newlineReplacement injection via pendingNL.
+//  - When an aligned anchor is seen, split the *current line's* "before" segment
+//    at the exact tab count to close the previous record, finalize it, and
+//    start the new record with the remainder + anchor. Never slice the global buffer
+//    by K tabs.
+//
+// Assumptions retained:
+//  - layout.anchorRe matches hit_time_gmt, hitid_high, hitid_low at the columns named by the feed header.
+//  - canonicalTabs = tabs-per-record (T) from discovery (mode of Δ between anchors).
+//  - Fallback realignment: If standard validation fails, search ±5 columns around expected anchor position
+//    to detect and correct field shifts caused by embedded tab characters in data.
+//
+function createAnchorReconstructor(sink, canonicalTabs, newlineReplacement) {
+  const newlineBytes = Buffer.from(newlineReplacement);
+
+  // Current logical record under construction (Buffer slices, total bytes, tabs)
+  let cur = [];
+  let curLen = 0;
+  let curTabs = 0;
+
+  // Track whether we just crossed a physical newline while continuing the SAME record
+  let pendingNL = false;
+
+  function resetCur() {
+    cur = []; curLen = 0; curTabs = 0;
+  }
+
+  function appendToCur(bytes, consumePending, pos) {
+    if (!bytes.length) return;
+    if (consumePending && pendingNL) {
+      cur.push(newlineBytes); // e.g. "\\n"
+      curLen += newlineBytes.length;
+      pendingNL = false;
+    }
+    cur.push(bytes);
+    curLen += bytes.length;
+    curTabs += countTabBytes(bytes);
 
-    cur = "";
-    curTabs = 0;
+    // Safety: if this record is getting absurdly large, reject it to avoid OOM
+    if (curLen > MAX_CUR_LEN || curTabs > canonicalTabs * MAX_TAB_MULTIPLIER) {
+      sink.reject(curLen > MAX_CUR_LEN ? 'oversized_record' : 'tab_overflow', cur, curTabs, pos);
+      resetCur(); pendingNL = false;
+    }
+  }
+
+  function finalizeCur(pos) {
+    if (!curLen) return;
+    sink.finalize(cur, curTabs, pos);
+    resetCur();
     // caller owns pendingNL; do not touch it here
   }
 
-  for await (const rawLine of rl) {
-    // Normalize CRLF → LF, keep everything else verbatim
-    const line = rawLine.replace(/\r/g, "");
+  return {
+    inRecord: () => curLen > 0,
+
+    line(bytes, pos) {
+      // We're starting a new physical line. If we're *already* building a record,
+      // remember to inject newlineReplacement *once* before we append this line's
+      // first byte of content that belongs to the same record.
+      pendingNL = (curLen > 0);
+
+      // Append the entire physical line to the current logical record
+      appendToCur(bytes, true, pos);
+
+      // Heuristic for when to emit a record:
+      // - If we have accumulated at least the canonical number of tabs,
+      //   it's time to close. (Most rows will hit ==; > means malformed,
+      //   but we still finalize and let finalizeCur decide keep/reject.)
+      if (curTabs >= canonicalTabs) {
+        finalizeCur(pos);
+        // After finalizing, we are between records at a physical newline, so clear pendingNL.
+        pendingNL = false;
+      } else {
+        // Not enough columns yet: keep accumulating; on the next line,
+        // we'll insert newlineReplacement before appending any content.
+        // pendingNL remains true until we actually append more content.
+      }
+    },
+
+    // EOF: emit any remaining partial record
+    end(pos) {
+      if (curLen) finalizeCur(pos);
+    }
+  };
+}
 
-    // We're starting a new physical line. If we're *already* building a record,
-    // remember to inject newlineReplacement *once* before we append this line's
-    // first byte of content that belongs to the same record.
-    pendingNL = (cur.length > 0);
+// Escape mode: a physical line ending in an odd number of backslashes continues the
+// record (escaped newline); every other line break ends it.
+function createEscapeReconstructor(sink, canonicalTabs, replacements) {
+  const tabBytes = Buffer.from(replacements.tab);
+  const newlineBytes = Buffer.from(replacements.newline);
+  const backslashBytes = Buffer.from(replacements.backslash);
 
-    // Append the entire physical line to the current logical record
-    appendToCur(line, true);
+  let cur = [];
+  let curLen = 0;
+  let curTabs = 0;
+  let open = false; // a record is in progress (cur may legitimately be empty so far)
 
-    // Heuristic for when to emit a record:
-    // - If we have accumulated at least the canonical number of tabs,
-    //   it's time to close. (Most rows will hit ==; > means malformed,
-    //   but we still finalize and let finalizeCur decide keep/reject.)
-    if (curTabs >= canonicalTabs) {
-      finalizeCur();
-      // After finalizing, we are between records at a physical newline, so clear pendingNL.
-      pendingNL = false;
-    } else {
-      // Not enough columns yet: keep accumulating; on the next line,
-      // we'll insert newlineReplacement before appending any content.
-      // pendingNL remains true until we actually append more content.
+  function push(bytes) {
+    if (!bytes.length) return;
+    cur.push(bytes);
+    curLen += bytes.length;
+  }
+
+  function resetCur() {
+    cur = []; curLen = 0; curTabs = 0; open = false;
+  }
+
+  // Decode one physical line into cur: escaped characters become their safe form and
+  // only unescaped tabs are counted. Unknown escapes are kept verbatim. Returns whether
+  // the line ended in an escaped newline.
+  function decodeInto(bytes) {
+    let tabs = countTabBytes(bytes);
+    let start = 0;
+    for (let i = bytes.indexOf(BACKSLASH); i !== -1; ) {
+      if (i + 1 === bytes.length) {
+        push(bytes.subarray(start, i));
+        push(newlineBytes);
+        curTabs += tabs;
+        return true;
+      }
+      const next = bytes[i + 1];
+      if (next === TAB || next === BACKSLASH) {
+        push(bytes.subarray(start, i));
+        push(next === TAB ? tabBytes : backslashBytes);
+        if (next === TAB) tabs--;
+        start = i + 2;
+        i = bytes.indexOf(BACKSLASH, i + 2);
+      } else {
+        i = bytes.indexOf(BACKSLASH, i + 1);
+      }
     }
+    push(bytes.subarray(start));
+    curTabs += tabs;
+    return false;
   }
 
-  // EOF: emit any remaining partial record
-  if (cur) finalizeCur();
+  return {
+    inRecord: () => open,
+
+    line(bytes, pos) {
+      if (!open && !bytes.length) return; // blank line between records
 
+      const continued = decodeInto(bytes);
+      open = true;
+
+      if (curLen > MAX_CUR_LEN || curTabs > canonicalTabs * MAX_TAB_MULTIPLIER) {
+        sink.reject(curLen > MAX_CUR_LEN ? 'oversized_record' : 'tab_overflow', cur, curTabs, pos);
+        resetCur();
+        return;
+      }
+
+      if (!continued) {
+        sink.finalize(cur, curTabs, pos);
+        resetCur();
+      }
+    },
+
+    // EOF inside an escaped newline: emit what we have
+    end(pos) {
+      if (open) sink.finalize(cur, curTabs, pos);
+    }
+  };
+}
+
+const RECONSTRUCTION_MODES = ['anchor', 'escape'];
+
+export async function reconstruct(
+  uriIn,
+  uriOut,
+  rejectsUri,
+  canonicalTabs,
+  {
+    mode = 'anchor',
+    newlineReplacement = DEFAULT_CONFIG.newlineReplacement,
+    escapeReplacements = {},
+    printStats = false,
+    paddingTolerance = 3,
+    layout = DEFAULT_LAYOUT,
+    range = null
+  } = {}
+) {
+  if (!RECONSTRUCTION_MODES.includes(mode)) {
+    throw new Error(`Unknown reconstruction mode "${mode}" (expected one of: ${RECONSTRUCTION_MODES.join(', ')})`);
+  }
+
+  const startTime = Date.now();
+  const hash      = createHash('md5');
+  const inStream  = await openRead(uriIn, { hash, range });
+  const outStream = await openWrite(uriOut);
+  const rejStream = rejectsUri ? await openWrite(rejectsUri, { autoGzip: false }) : null;
+
+  const out = createOutputBuffer(outStream);
+  const sink = createRecordSink({ out, rejStream, canonicalTabs, paddingTolerance, layout });
+  const reconstructor = mode === 'escape'
+    ? createEscapeReconstructor(sink, canonicalTabs, { tab: '\\t', newline: newlineReplacement, backslash: '\\', ...escapeReplacements })
+    : createAnchorReconstructor(sink, canonicalTabs, newlineReplacement);
+
+  // Source position of the record under construction. Byte offsets are exact positions
+  // in the decompressed stream.
+  let lineNo = 0;
+  let lineStartByte = 0;
+  const pos = { lineStart: 0, lineEnd: 0, byteOffset: 0 };
+
+  function emitLine(bytes) {
+    // Invalid UTF-8 is normalized to U+FFFD, as a text decoder would
+    if (!isUtf8(bytes)) bytes = Buffer.from(bytes.toString('utf8'));
+
+    lineNo++;
+    if (!reconstructor.inRecord()) {
+      pos.lineStart = lineNo;
+      pos.byteOffset = lineStartByte;
+    }
+    pos.lineEnd = lineNo;
+
+    reconstructor.line(bytes, pos);
+  }
+
+  // Physical lines end at \n, \r\n or a lone \r. A line that runs past the end of a chunk
+  // is carried as parts until its terminator arrives.
+  let carry = [];
+  let chunkStart = 0;   // absolute offset of the current chunk
+  let skipLF = false;   // previous chunk ended in \r; a leading \n belongs to it
+
+  for await (const chunk of inStream) {
+    let i = 0;
+    if (skipLF && chunk.length) {
+      skipLF = false;
+      if (chunk[0] === LF) {
+        i = 1;
+        lineStartByte = chunkStart + 1;
+      }
+    }
+    const hasCR = chunk.indexOf(CR, i) !== -1;
+
+    while (i < chunk.length) {
+      let j = chunk.indexOf(LF, i);
+      if (hasCR) {
+        const r = chunk.indexOf(CR, i);
+        if (r !== -1 && (j === -1 || r < j)) j = r;
+      }
+
+      if (j === -1) {
+        carry.push(chunk.subarray(i));
+        break;
+      }
+
+      let line = chunk.subarray(i, j);
+      if (carry.length) {
+        carry.push(line);
+        line = Buffer.concat(carry);
+        carry = [];
+      }
+
+      let next = j + 1;
+      if (chunk[j] === CR) {
+        if (next < chunk.length) {
+          if (chunk[next] === LF) next++;
+        } else {
+          skipLF = true;
+        }
+      }
+
+      emitLine(line);
+      lineStartByte = chunkStart + next;
+      i = next;
+    }
+
+    chunkStart += chunk.length;
+    out.flush();
+    if (outStream.writableNeedDrain) await once(outStream, 'drain');
+  }
+
+  // EOF: a final line without a terminator
+  if (carry.length) emitLine(Buffer.concat(carry));
+  reconstructor.end(pos);
+  out.flush();
+
+  const { records, ok, bad, realigned, rejectReasons } = sink.stats;
+  const recordsPerSec = Math.round(records / Math.max((Date.now() - startTime) / 1000, 0.001));
   if (printStats) {
-    Logger.info(`Processed ${uriIn}: ${records} records, ${ok} ok, ${bad} rejected, ${realigned} realigned, canonical tabs: ${canonicalTabs}`);
+    Logger.info(`Processed ${uriIn}: ${records} records, ${ok} ok, ${bad} rejected, ${realigned} realigned, canonical tabs: ${canonicalTabs} (${mode} mode, ${recordsPerSec} records/sec)`);
   }
 
   await new Promise((r) => outStream.end(r));
   if (rejStream) await new Promise((r) => rejStream.end(r));
 
-  return { records, ok, bad, realigned, canonicalTabs };
+  return { records, ok, bad, realigned, rejectReasons, lines: lineNo, recordsPerSec, canonicalTabs, reconstructionMode: mode, checksum: hash.digest('base64') };
+}
+
+// ------------------------------
+// Parallel reconstruction (worker threads)
+// ------------------------------
+//
+// Large uncompressed local files are cut into byte ranges at record boundaries and each
+// range is reconstructed by reconstruct() in a worker (preprocess-worker.js). A boundary
+// is the start of a physical line that carries the triple anchor at the expected tab
+// position and follows a line that necessarily closed the previous record (>= canonicalTabs
+// tabs in anchor mode, no trailing escaped newline in escape mode). The serial path is
+// between records at exactly those points, so parts concatenated in order, and the summed
+// stats, match a serial run.
+//
+const SPLIT_SEARCH_WINDOW = 16 * 1024 * 1024; // bytes scanned after each target offset
+
+function endsWithEscapedNewline(line) {
+  let n = 0;
+  for (let i = line.length - 1; i >= 0 && line.charCodeAt(i) === 92; i--) n++;
+  return n % 2 === 1;
+}
+
+// First record boundary at or after `target`, or null if none is found in the window
+export async function findRecordBoundary(uri, target, size, canonicalTabs, layout, mode) {
+  const end = Math.min(size, target + SPLIT_SEARCH_WINDOW) - 1;
+  const chunks = [];
+  for await (const chunk of getStorage(uri).createReadStream(uri, { start: target, end })) chunks.push(chunk);
+  // latin1 keeps one char per byte, so string indexes are byte offsets
+  const text = Buffer.concat(chunks).toString('latin1');
+  const tabsIn = mode === 'escape' ? countUnescapedTabs : countTabs;
+
+  // Only lines that start after a newline inside the window are known to be whole
+  let prevStart = text.indexOf('\n') + 1;
+  if (prevStart === 0) return null;
+
+  while (true) {
+    const prevEnd = text.indexOf('\n', prevStart);
+    if (prevEnd < 0) return null;
+    const nextEnd = text.indexOf('\n', prevEnd + 1);
+    if (nextEnd < 0) return null;
+
+    const prev = text.slice(prevStart, prevEnd);
+    const next = text.slice(prevEnd + 1, nextEnd);
+
+    // reconstruct() also breaks lines on a lone \r, which would change the serial record boundaries
+    const prevCloses = !/\r./.test(prev) && (mode === 'escape'
+      ? !endsWithEscapedNewline(prev.replace(/\r$/, ''))
+      : tabsIn(prev) >= canonicalTabs);
+
+    if (prevCloses) {
+      const m = layout.anchorRe.exec(next);
+      if (m && tabsIn(next.slice(0, m.index)) + (m[0].charCodeAt(0) === 9 ? 1 : 0) === layout.tabsBefore) {
+        return target + prevEnd + 1;
+      }
+    }
+    prevStart = prevEnd + 1;
+  }
+}
+
+async function findSplitPoints(uri, size, parts, canonicalTabs, layout, mode) {
+  const points = [];
+  for (let i = 1; i < parts; i++) {
+    const target = Math.floor((size * i) / parts);
+    if (points.length && target <= points[points.length - 1]) continue;
+    const boundary = await findRecordBoundary(uri, target, size, canonicalTabs, layout, mode);
+    if (boundary !== null && boundary < size && (!points.length || boundary > points[points.length - 1])) {
+      points.push(boundary);
+    }
+  }
+  return points;
+}
+
+function runWorker(workerData) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./preprocess-worker.js', import.meta.url), { workerData });
+    let result = null;
+    worker.once('message', (msg) => { result = msg; });
+    worker.once('error', reject);
+    worker.once('exit', (code) => {
+      if (result) resolve(result);
+      else reject(new Error(`Preprocess worker for bytes ${workerData.range.start}-${workerData.range.end} exited with code ${code}`));
+    });
+  });
+}
+
+export async function reconstructParallel(uriIn, uriOut, rejectsUri, canonicalTabs, options, { workers, size }) {
+  const { mode = 'anchor', layout = DEFAULT_LAYOUT } = options;
+  const points = await findSplitPoints(uriIn, size, workers, canonicalTabs, layout, mode);
+  const bounds = [0, ...points, size];
+  const ranges = bounds.slice(1).map((end, i) => ({ start: bounds[i], end }));
+
+  if (ranges.length < 2) {
+    Logger.warn(`No record boundaries found to split ${uriIn}; reconstructing serially`);
+    return reconstruct(uriIn, uriOut, rejectsUri, canonicalTabs, options);
+  }
+
+  Logger.info(`Reconstructing ${uriIn} in ${ranges.length} chunks across worker threads`);
+  const startTime = Date.now();
+  const tmpDir = await mkdtemp(join(tmpdir(), 'adobe-preprocess-'));
+
+  try {
+    const { layout: _layout, ...workerOptions } = options;
+    const results = await Promise.all(ranges.map((range, i) => runWorker({
+      uri: uriIn,
+      range,
+      outPath: join(tmpDir, `part-${i}.tsv`),
+      rejectsPath: rejectsUri ? join(tmpDir, `part-${i}-rejected.jsonl`) : null,
+      canonicalTabs,
+      options: { ...workerOptions, printStats: false },
+      layout: { hitTimeColumn: layout.hitTimeColumn, headerColumns: layout.headerColumns, patterns: layout.patterns, source: layout.source }
+    })));
+
+    // Concatenate output parts in order
+    const outStream = await openWrite(uriOut);
+    for (let i = 0; i < ranges.length; i++) {
+      for await (const chunk of createReadStream(join(tmpDir, `part-${i}.tsv`))) {
+        if (!outStream.write(chunk)) await once(outStream, 'drain');
+      }
+    }
+    await new Promise((r) => outStream.end(r));
+
+    // Rewrite reject positions from chunk-relative to file-relative
+    if (rejectsUri) {
+      const rejStream = await openWrite(rejectsUri, { autoGzip: false });
+      let lineOffset = 0;
+      for (let i = 0; i < ranges.length; i++) {
+        const rl = readline.createInterface({ input: createReadStream(join(tmpDir, `part-${i}-rejected.jsonl`)), crlfDelay: Infinity });
+        for await (const line of rl) {
+          const entry = JSON.parse(line);
+          entry.lineStart += lineOffset;
+          entry.lineEnd += lineOffset;
+          entry.byteOffset += ranges[i].start;
+          if (!rejStream.write(JSON.stringify(entry) + "\n")) await once(rejStream, 'drain');
+        }
+        lineOffset += results[i].lines;
+      }
+      await new Promise((r) => rejStream.end(r));
+    }
+
+    const totals = results.reduce((acc, r) => {
+      acc.records += r.records; acc.ok += r.ok; acc.bad += r.bad; acc.realigned += r.realigned; acc.lines += r.lines;
+      for (const [reason, count] of Object.entries(r.rejectReasons)) acc.rejectReasons[reason] += count;
+      return acc;
+    }, { records: 0, ok: 0, bad: 0, realigned: 0, lines: 0, rejectReasons: Object.fromEntries(REJECT_REASONS.map(r => [r, 0])) });
+
+    // Chunks are hashed separately and MD5 does not combine, so no whole-file checksum here;
+    // the manifest falls back to size and mtime for local files
+    const recordsPerSec = Math.round(totals.records / Math.max((Date.now() - startTime) / 1000, 0.001));
+    return { ...totals, recordsPerSec, canonicalTabs, reconstructionMode: mode, chunks: ranges.length, checksum: null };
+  } finally {
+    await rm(tmpDir, { recursive: true, force: true });
+  }
 }
 
 
@@ -431,80 +1050,74 @@ export async function preprocessFile(inputPath, outputPath, options = {}) {
 
   Logger.info(`Preprocessing ${inputPath} -> ${outputPath}`);
 
-  let canonicalTabs;
-  if (config.canonicalTabs !== undefined) {
-    canonicalTabs = config.canonicalTabs;
-  } else {
-    const { canonicalTabs: T, records, validAnchors, histogram } = await discoverCanonicalTabs(inputPath);
-    canonicalTabs = T;
-    if (config.printStats) {
-      Logger.info(`Discovered canonical tabs (mode Δ between anchors): ${canonicalTabs} (anchors=${validAnchors})`);
+  const layout = config.anchorLayout || await resolveAnchorLayout(config);
+
+  const { canonicalTabs, strategy: discoveryStrategy, validAnchors, histogram } = await resolveCanonicalTabs(inputPath, layout, config);
+  if (config.printStats) {
+    Logger.info(`Canonical tabs: ${canonicalTabs} (discovery: ${discoveryStrategy}${validAnchors ? `, anchors=${validAnchors}` : ''})`);
+    if (histogram) {
       const top = Object.entries(histogram).sort((a, b) => b[1] - a[1]).slice(0, 5).map(([d, f]) => `${d}:${f}`).join(', ');
       Logger.info(`Top deltas: ${top}`);
     }
   }
 
-  // Rejects path: {filename}-rejected.tsv (ungzipped for easy reading)
-  const rejectsPath = config.rejectsPath || (() => {
-    const base = basename(outputPath);
-    const dir = dirname(outputPath);
-    const name = base.replace(/(\.[^.]+)?(\.[^.]+)?$/, '-rejected$1').replace(/\.gz$/, '');
-    return join(dir, name);
-  })();
+  // A disagreement here means the header describes a different feed; realigning against it
+  // would silently reshape every row
+  if (layout.headerColumns && canonicalTabs !== layout.headerColumns - 1) {
+    throw new Error(
+      `Header ${layout.source} has ${layout.headerColumns} columns (${layout.headerColumns - 1} tabs per record) ` +
+      `but the data has ${canonicalTabs} tabs per record; check that the header matches this feed`
+    );
+  }
 
-  const result = await reconstruct(
-    inputPath,
-    outputPath,
-    rejectsPath,
-    canonicalTabs,
-    config.newlineReplacement,
-    config.printStats,
-    config.paddingTolerance
-  );
+  // Rejects path: {filename}-rejected.jsonl next to the output
+  const rejectsPath = config.rejectsPath || joinUri(dirname(outputPath), rejectsFileName(basename(outputPath)));
+
+  const reconstructOptions = {
+    mode: config.reconstructionMode,
+    newlineReplacement: config.newlineReplacement,
+    escapeReplacements: config.escapeReplacements,
+    printStats: config.printStats,
+    paddingTolerance: config.paddingTolerance,
+    layout
+  };
+
+  // Worker threads only pay off when ranges can be read independently: plain local files
+  const storage = getStorage(inputPath);
+  const stat = config.workers > 1 && storage.scheme === 'file' && !looksGzipByName(inputPath)
+    ? await storage.stat(inputPath)
+    : null;
+
+  const result = stat && stat.size >= config.workerMinBytes
+    ? await reconstructParallel(inputPath, outputPath, rejectsPath, canonicalTabs, reconstructOptions, { workers: config.workers, size: stat.size })
+    : await reconstruct(inputPath, outputPath, rejectsPath, canonicalTabs, reconstructOptions);
 
   const endTime = Date.now();
   const durationMs = endTime - startTime;
 
   Logger.success(
-    `Preprocessed ${inputPath}: ${result.ok}/${result.records} records processed${result.bad ? `, ${result.bad} rejected` : ''}${result.realigned ? `, ${result.realigned} realigned` : ''} (${formatDuration(durationMs)})`
+    `Preprocessed ${inputPath}: ${result.ok}/${result.records} records processed${result.bad ? `, ${result.bad} rejected (${formatRejectReasons(result.rejectReasons)})` : ''}${result.realigned ? `, ${result.realigned} realigned` : ''} (${formatDuration(durationMs)}, ${result.recordsPerSec} records/sec)`
   );
-  return { ...result, durationMs };
+  return { ...result, discoveryStrategy, durationMs };
 }
 
 // ------------------------------
-// Local folder helpers
+// Folder helpers
 // ------------------------------
-async function findFiles(pattern) {
-  if (!pattern.includes('*') && !pattern.includes('?')) return [pattern];
-
-  if (pattern.endsWith('/*.tsv') || pattern.endsWith('/*.tsv.gz')) {
-    const dir = pattern.replace(/\/\*\.tsv(\.gz)?$/, '');
-    const wantGz = pattern.endsWith('.gz');
-    const files = await fs.readdir(dir).catch(err => {
-      throw new Error(`Cannot read directory ${dir}: ${err.message}`);
-    });
-    return files
-      .filter(f => wantGz ? f.endsWith('.tsv.gz') : f.endsWith('.tsv'))
-      .map(f => join(dir, f));
-  }
-
-  throw new Error(`Complex glob patterns not supported: ${pattern}. Use "some/dir/*.tsv" or "some/dir/*.tsv.gz".`);
-}
-
 export async function preprocessFolder(inputPattern, outputDir, options = {}) {
   const config = { ...DEFAULT_CONFIG, ...options };
   const startTime = Date.now();
 
-  const files = await findFiles(inputPattern);
+  const files = await expandWildcard(inputPattern);
   if (!files.length) throw new Error(`No files found for pattern: ${inputPattern}`);
 
   Logger.info(`Found ${files.length} files to preprocess`);
-  await fs.mkdir(outputDir, { recursive: true });
 
+  const anchorLayout = config.anchorLayout || await resolveAnchorLayout(config);
   const limit = pLimit(config.pipeline_config?.parallelism ?? config.parallelism ?? DEFAULT_CONFIG.parallelism);
   const tasks = files.map(file => {
-    const out = join(outputDir, basename(file));
-    return limit(() => preprocessFile(file, out, config).then(result => ({ file, result })));
+    const out = joinUri(outputDir, basename(file));
+    return limit(() => preprocessFile(file, out, { ...config, anchorLayout }).then(result => ({ file, result })));
   });
 
   const results = await Promise.all(tasks);
@@ -526,33 +1139,12 @@ export async function preprocessFolder(inputPattern, outputDir, options = {}) {
 }
 
 // ------------------------------
-// GCS wildcard expansion + pipeline
+// Wildcard expansion + pipeline
 // ------------------------------
-async function expandGcsWildcard(pattern) {
-  const m = pattern.match(/^gs:\/\/([^\/]+)\/(.+)$/);
-  if (!m) throw new Error(`Invalid GCS URI: ${pattern}`);
-  const [, bucketName, path] = m;
-
-  if (!path.includes('*') && !path.includes('?')) return [pattern];
-
-  const lastSlash = path.lastIndexOf('/');
-  const directory = lastSlash >= 0 ? path.substring(0, lastSlash + 1) : '';
-  const filePattern = lastSlash >= 0 ? path.substring(lastSlash + 1) : path;
-
-  const storage = new Storage();
-  const bucket = storage.bucket(bucketName);
-  const [files] = await bucket.getFiles({ prefix: directory });
-
-  const regexPattern = filePattern
-    .replace(/\./g, '\\.')
-    .replace(/\*/g, '.*')
-    .replace(/\?/g, '.');
-  const regex = new RegExp(`^${directory}${regexPattern}$`);
-
-  const uris = files
-    .filter(f => regex.test(f.name))
-    .map(f => `gs://${bucketName}/${f.name}`);
+async function expandWildcard(pattern) {
+  if (!hasWildcard(pattern)) return [pattern];
 
+  const uris = await getStorage(pattern).list(pattern);
   Logger.info(`Found ${uris.length} files for pattern: ${pattern}`);
   return uris;
 }
@@ -574,72 +1166,161 @@ export async function preprocess(config) {
     throw new Error('transformDest cannot be the same as or overlap with sourceUri');
   }
 
-  const inputFiles = await expandGcsWildcard(inputPattern);
+  const inputFiles = await expandWildcard(inputPattern);
   if (!inputFiles.length) {
     Logger.warn('No files found matching input pattern');
     return;
   }
 
   const parallelism = config.pipeline_config?.parallelism ?? config.parallelism ?? DEFAULT_CONFIG.parallelism;
+  const resume = config.pipeline_config?.preprocess?.resume ?? true;
+  const discovery = config.pipeline_config?.preprocess?.discovery ?? DEFAULT_CONFIG.discovery;
+  const discoverySampleLines = config.pipeline_config?.preprocess?.discovery_sample_lines ?? DEFAULT_CONFIG.discoverySampleLines;
+  const reconstructionMode = config.pipeline_config?.preprocess?.reconstruction_mode ?? DEFAULT_CONFIG.reconstructionMode;
+  const escapeReplacements = config.pipeline_config?.preprocess?.escape_replacements ?? DEFAULT_CONFIG.escapeReplacements;
+  const workers = config.pipeline_config?.preprocess?.workers ?? DEFAULT_CONFIG.workers;
+  const workerMinBytes = config.pipeline_config?.preprocess?.worker_min_bytes ?? DEFAULT_CONFIG.workerMinBytes;
 
   Logger.info(`Preprocessing from: ${inputPattern}`);
   Logger.info(`Preprocessing to:   ${outputDir}`);
-  Logger.info(`Processing ${inputFiles.length} files with parallelism: ${parallelism}`);
+
+  const anchorLayout = await resolveAnchorLayout(config);
+  Logger.info(`Anchor: hit_time_gmt at column ${anchorLayout.hitTimeColumn}${anchorLayout.headerColumns ? ` of ${anchorLayout.headerColumns}` : ''} (${anchorLayout.source})`);
+  Logger.info(`Reconstruction: ${reconstructionMode} mode${workers > 1 ? `, up to ${workers} worker threads for local files over ${Math.round(workerMinBytes / 1048576)} MB` : ''}`);
+  Logger.info(`Discovery: ${discovery}${discovery === 'sample' || discovery === 'auto' ? ` (sample of ${discoverySampleLines} lines)` : ''}`);
+
+  // Manifest of completed files; on rerun, unchanged files that already finished are skipped
+  const manifest = await PreprocessManifest.load(outputDir);
+  if (manifest.size && resume) {
+    Logger.info(`Resuming from manifest: ${manifest.uri} (${manifest.size} entries)`);
+  } else if (manifest.size) {
+    Logger.info(`Resume disabled; reprocessing all files and rewriting ${manifest.uri}`);
+  }
+
+  const storage = getStorage(inputPattern);
+  const outputStorage = getStorage(outputDir);
+  const pending = [];
+  const skipped = [];
+
+  for (const inputFile of inputFiles) {
+    const fileName = basename(inputFile);
+    const outputFile = joinUri(outputDir, fileName);
+
+    const rejectsPath = joinUri(rejectsDir, rejectsFileName(fileName));
+
+    const stat = await storage.stat(inputFile);
+    const previousMode = manifest.get(inputFile)?.result?.reconstructionMode ?? 'anchor';
+    const staleReason = manifest.staleReason(inputFile, stat) ||
+      (previousMode !== reconstructionMode ? `reconstruction mode changed (${previousMode} → ${reconstructionMode})` : null);
+
+    if (resume && !staleReason && await outputStorage.exists(outputFile)) {
+      skipped.push({ inputFile, outputFile, result: manifest.get(inputFile).result, skipped: true });
+    } else {
+      if (resume && manifest.get(inputFile)) {
+        Logger.info(`Reprocessing ${fileName}: ${staleReason || 'output missing'}`);
+      }
+      pending.push({ inputFile, outputFile, rejectsPath, stat });
+    }
+  }
+
+  if (skipped.length) {
+    Logger.info(`Skipping ${skipped.length} already-complete files`);
+  }
+  Logger.info(`Processing ${pending.length} files with parallelism: ${parallelism}`);
   const limit = pLimit(parallelism);
 
   let completedFiles = 0;
-  const tasks = inputFiles.map((inputFile, index) => {
-    const fileName = basename(inputFile);
-    const outputFile = outputDir.endsWith('/')
-      ? `${outputDir}${fileName}`
-      : `${outputDir}/${fileName}`;
-
-    // Rejects: file.tsv.gz -> file-rejected.tsv (plain .tsv)
-    const rejectFileName = fileName.replace(/(\.[^.]+)?(\.[^.]+)?$/, '-rejected$1').replace(/\.gz$/, '');
-    const rejectsPath = rejectsDir.endsWith('/')
-      ? `${rejectsDir}${rejectFileName}`
-      : `${rejectsDir}/${rejectFileName}`;
-
-    return limit(() =>
-      preprocessFile(inputFile, outputFile, {
-        ...config,
-        rejectsPath,
-        printStats: false
-      }).then(result => {
-        completedFiles++;
-        if (inputFiles.length > 5 && completedFiles % Math.ceil(inputFiles.length / 10) === 0) {
-          const progress = Math.round((completedFiles / inputFiles.length) * 100);
-          Logger.info(`Progress: ${completedFiles}/${inputFiles.length} files completed (${progress}%)`);
-        }
-        return { inputFile, outputFile, result };
-      })
-    );
-  });
+  const tasks = pending.map(({ inputFile, outputFile, rejectsPath, stat }) =>
+    limit(async () => {
+      let result;
+      try {
+        result = await preprocessFile(inputFile, outputFile, {
+          ...config,
+          anchorLayout,
+          discovery,
+          discoverySampleLines,
+          reconstructionMode,
+          escapeReplacements,
+          workers,
+          workerMinBytes,
+          rejectsPath,
+          printStats: false
+        });
+      } catch (error) {
+        Logger.error(`Failed to preprocess ${inputFile}: ${error.message}`);
+        await manifest.markFailed(inputFile, { stat, error });
+        return { inputFile, outputFile, error };
+      }
 
-  const results = await Promise.all(tasks);
+      const { checksum, ...summary } = result;
+      await manifest.markComplete(inputFile, { stat, checksum, outputUri: outputFile, rejectsUri: rejectsPath, result: summary });
+
+      completedFiles++;
+      if (pending.length > 5 && completedFiles % Math.ceil(pending.length / 10) === 0) {
+        const progress = Math.round((completedFiles / pending.length) * 100);
+        Logger.info(`Progress: ${completedFiles}/${pending.length} files completed (${progress}%)`);
+      }
+      return { inputFile, outputFile, result: summary };
+    })
+  );
+
+  const processed = await Promise.all(tasks);
+  const failures = processed.filter(r => r.error);
+  const results = [...skipped, ...processed.filter(r => !r.error)];
 
   const endTime = Date.now();
   const totalDurationMs = endTime - startTime;
 
   const totals = results.reduce((acc, { result }) => {
     acc.records += result.records; acc.ok += result.ok; acc.bad += result.bad; acc.realigned += (result.realigned || 0);
+    for (const [reason, count] of Object.entries(result.rejectReasons || {})) {
+      acc.rejectReasons[reason] = (acc.rejectReasons[reason] || 0) + count;
+    }
     return acc;
-  }, { records: 0, ok: 0, bad: 0, realigned: 0 });
+  }, { records: 0, ok: 0, bad: 0, realigned: 0, rejectReasons: {} });
 
   const recordsPerSec = (totals.records / (totalDurationMs / 1000)).toFixed(0);
-  const avgFileTime = (totalDurationMs / results.length / 1000).toFixed(1);
+  const avgFileTime = pending.length ? (totalDurationMs / pending.length / 1000).toFixed(1) : '0.0';
 
-  Logger.success(`Preprocessed ${results.length} files in ${formatDuration(totalDurationMs)}: ${totals.ok}/${totals.records} records processed${totals.bad ? `, ${totals.bad} rejected` : ''}${totals.realigned ? `, ${totals.realigned} realigned` : ''}`);
+  Logger.success(`Preprocessed ${results.length} files in ${formatDuration(totalDurationMs)}${skipped.length ? ` (${skipped.length} skipped as complete)` : ''}: ${totals.ok}/${totals.records} records processed${totals.bad ? `, ${totals.bad} rejected` : ''}${totals.realigned ? `, ${totals.realigned} realigned` : ''}`);
+  const strategies = processed.filter(r => !r.error).reduce((acc, { result }) => {
+    acc[result.discoveryStrategy] = (acc[result.discoveryStrategy] || 0) + 1;
+    return acc;
+  }, {});
+  if (Object.keys(strategies).length) {
+    Logger.info(`Discovery used: ${Object.entries(strategies).map(([k, n]) => `${k}=${n}`).join(', ')}`);
+  }
+  if (totals.bad) {
+    Logger.info(`Rejects by reason: ${formatRejectReasons(totals.rejectReasons)} (details in ${rejectsDir}*-rejected.jsonl)`);
+  }
   Logger.info(`Performance: ${recordsPerSec} records/sec, ${avgFileTime}s avg per file`);
+  Logger.info(`Manifest: ${manifest.uri}`);
+
+  if (failures.length) {
+    throw new Error(`${failures.length} of ${inputFiles.length} files failed to preprocess; rerun to retry only those files:\n${failures.map(f => `  - ${f.inputFile}: ${f.error.message}`).join('\n')}`);
+  }
+
+  // Compare what Adobe says it delivered with what we read and kept
+  Logger.info('Verifying against Adobe feed manifest...');
+  assertAdobeManifests(await verifyAdobeManifests(config, { preprocessManifest: manifest, sourceFiles: inputFiles }));
+
+  return results;
 }
 
 // ------------------------------
 // CLI
 // ------------------------------
-if (import.meta.url === `file://${process.argv[1]}`) {
+// Workers inherit process.argv, so they must not run the CLI when importing this module
+if (isMainThread && import.meta.url === `file://${process.argv[1]}`) {
   try {
     const configData = await readFile('./config.json', 'utf8');
     const config = JSON.parse(configData);
+
+    // --force ignores the manifest and reprocesses every file
+    if (process.argv.includes('--force')) {
+      config.pipeline_config = { ...config.pipeline_config, preprocess: { ...config.pipeline_config?.preprocess, resume: false } };
+    }
+
     await preprocess(config);
   } catch (err) {
     Logger.error(`Preprocessing failed: ${err.message}`);
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+
+import { readFile, writeFile, mkdir, readdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname, basename, join } from 'path';
+import { gunzipSync } from 'zlib';
+import { Logger } from './utils.js';
+import { getStorage, hasWildcard, joinUri } from './storage.js';
+
+// ------------------------------
+// Lookup archive layout
+// ------------------------------
+//
+// Every feed delivery carries a {rsid}_{date}-lookup_data.tar.gz with one TSV per lookup.
+// Two files are renamed on the way in; every other TSV lands in values/ under its own name.
+//
+const ARCHIVE_TARGETS = {
+  'column_headers.tsv': 'columns.csv',
+  'event.tsv': 'events.tsv'
+};
+
+function targetFor(entryName) {
+  const name = basename(entryName);
+  if (!name.endsWith('.tsv')) return null;
+  return ARCHIVE_TARGETS[name] || `values/${name}`;
+}
+
+// ------------------------------
+// Tar reader
+// ------------------------------
+//
+// Lookup archives are a few MB, so the whole archive is read into memory and walked
+// header by header. Handles ustar prefixes and GNU long names; skips PAX metadata.
+//
+function readTarString(block, start, length) {
+  const end = block.indexOf(0, start);
+  return block.toString('utf8', start, end >= 0 && end < start + length ? end : start + length);
+}
+
+export function* readTarEntries(buffer) {
+  let offset = 0;
+  let longName = null;
+
+  while (offset + 512 <= buffer.length) {
+    const header = buffer.subarray(offset, offset + 512);
+    if (header.every(b => b === 0)) break;
+
+    const size = parseInt(readTarString(header, 124, 12).trim() || '0', 8);
+    const type = String.fromCharCode(header[156] || 48);
+    const prefix = readTarString(header, 345, 155);
+    const name = readTarString(header, 0, 100);
+    const dataStart = offset + 512;
+    const data = buffer.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / 512) * 512;
+
+    if (type === 'L') {
+      longName = readTarString(data, 0, size);
+      continue;
+    }
+
+    const fullName = longName || (prefix ? `${prefix}/${name}` : name);
+    longName = null;
+    if (type === '0' || type === '7') yield { name: fullName.replace(/^\.\//, ''), data };
+  }
+}
+
+export async function readLookupArchive(uri) {
+  let buffer = await getStorage(uri).readFile(uri);
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) buffer = gunzipSync(buffer);
+
+  const files = new Map();
+  for (const entry of readTarEntries(buffer)) {
+    const target = targetFor(entry.name);
+    if (!target) continue;
+    if (files.has(target)) throw new Error(`Lookup archive has two entries for ${target}: ${entry.name}`);
+    files.set(target, { source: entry.name, content: entry.data.toString('utf8') });
+  }
+  return files;
+}
+
+// ------------------------------
+// Diffing
+// ------------------------------
+function toColumnsCsv(columnHeadersTsv) {
+  const header = columnHeadersTsv.split(/\r?\n/)[0];
+  return `${header.split('\t').join(',')}\n`;
+}
+
+export function diffColumns(before, after) {
+  const oldCols = before.trim().split('\n')[0].split(',');
+  const newCols = after.trim().split('\n')[0].split(',');
+  const oldSet = new Set(oldCols);
+  const newSet = new Set(newCols);
+  const added = newCols.filter(c => !oldSet.has(c));
+  const removed = oldCols.filter(c => !newSet.has(c));
+  const moved = !added.length && !removed.length && oldCols.join(',') !== newCols.join(',');
+
+  const notes = [`${oldCols.length} → ${newCols.length} columns`];
+  if (added.length) notes.push(`added: ${added.slice(0, 5).join(', ')}${added.length > 5 ? `, +${added.length - 5} more` : ''}`);
+  if (removed.length) notes.push(`removed: ${removed.slice(0, 5).join(', ')}${removed.length > 5 ? `, +${removed.length - 5} more` : ''}`);
+  if (moved) notes.push('same columns in a different order');
+  return notes.join('; ');
+}
+
+// Lookup TSVs are keyed by their first column (id → label)
+function keyedRows(content) {
+  const rows = new Map();
+  for (const line of content.split(/\r?\n/)) {
+    if (!line) continue;
+    const tab = line.indexOf('\t');
+    rows.set(tab < 0 ? line : line.slice(0, tab), line);
+  }
+  return rows;
+}
+
+export function diffRows(before, after) {
+  const oldRows = keyedRows(before);
+  const newRows = keyedRows(after);
+  let added = 0, removed = 0, changed = 0;
+  const examples = [];
+
+  for (const [key, line] of newRows) {
+    if (!oldRows.has(key)) added++;
+    else if (oldRows.get(key) !== line) {
+      changed++;
+      if (examples.length < 3) examples.push(`${key}: "${oldRows.get(key).split('\t')[1] ?? ''}" → "${line.split('\t')[1] ?? ''}"`);
+    }
+  }
+  for (const key of oldRows.keys()) {
+    if (!newRows.has(key)) removed++;
+  }
+
+  return `${added} added, ${removed} removed, ${changed} changed${examples.length ? ` (${examples.join('; ')})` : ''}`;
+}
+
+// ------------------------------
+// Main export
+// ------------------------------
+async function resolveArchiveUri(config, archiveUri) {
+  const pattern = archiveUri ||
+    config.pipeline_config?.lookups?.archive_uri ||
+    joinUri(dirname(config.gcs.sourceUri), '*lookup_data.tar.gz');
+
+  if (!hasWildcard(pattern)) return pattern;
+
+  // Several deliveries in one folder: take the latest (names end in the feed date)
+  const matches = (await getStorage(pattern).list(pattern)).sort();
+  if (!matches.length) throw new Error(`No lookup archive found at: ${pattern}`);
+  if (matches.length > 1) Logger.info(`Found ${matches.length} lookup archives; using the latest`);
+  return matches[matches.length - 1];
+}
+
+export async function ingestLookups(config, { archiveUri, dryRun = false } = {}) {
+  Logger.info('=== Lookup Ingestion Phase ===');
+
+  const uri = await resolveArchiveUri(config, archiveUri);
+  const lookupsDir = config.paths.lookupsDir;
+  Logger.info(`Archive: ${uri}`);
+  Logger.info(`Lookups directory: ${lookupsDir}${dryRun ? ' (dry run, nothing will be written)' : ''}`);
+
+  const files = await readLookupArchive(uri);
+  if (!files.has('columns.csv')) {
+    throw new Error(`column_headers.tsv not found in ${uri}; is this an Adobe lookup_data archive?`);
+  }
+
+  const report = { added: [], changed: [], unchanged: [], missing: [] };
+
+  for (const [target, { source, content: raw }] of [...files].sort(([a], [b]) => a.localeCompare(b))) {
+    const content = target === 'columns.csv' ? toColumnsCsv(raw) : raw;
+    const path = join(lookupsDir, target);
+    const existing = existsSync(path) ? await readFile(path, 'utf8') : null;
+
+    if (existing === null) {
+      report.added.push(target);
+      Logger.info(`  + ${target} (from ${source})`);
+    } else if (existing === content) {
+      report.unchanged.push(target);
+      continue;
+    } else {
+      const summary = target === 'columns.csv' ? diffColumns(existing, content) : diffRows(existing, content);
+      report.changed.push({ target, summary });
+      Logger.warn(`  ~ ${target}: ${summary}`);
+    }
+
+    if (!dryRun) {
+      await mkdir(dirname(path), { recursive: true });
+      await writeFile(path, content);
+    }
+  }
+
+  // Lookups we have that this delivery does not; left in place
+  const valuesDir = join(lookupsDir, 'values');
+  report.missing = existsSync(valuesDir)
+    ? (await readdir(valuesDir)).filter(f => f.endsWith('.tsv') && !files.has(`values/${f}`)).map(f => `values/${f}`)
+    : [];
+  for (const target of report.missing) Logger.warn(`  - ${target}: not in archive (kept)`);
+
+  Logger.success(`Lookups: ${report.added.length} added, ${report.changed.length} changed, ${report.unchanged.length} unchanged${dryRun ? ' (dry run)' : ''}`);
+  if (!dryRun && (report.added.includes('columns.csv') || report.changed.some(c => c.target === 'columns.csv'))) {
+    Logger.warn('columns.csv changed; rerun npm run prep to regenerate the schema');
+  }
+  return report;
+}
+
+// Allow running as standalone script:
+//   npm run lookups [-- <archive uri>] [--dry-run]
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    const configData = await readFile('./config.json', 'utf8');
+    const config = JSON.parse(configData);
+    const args = process.argv.slice(2);
+    await ingestLookups(config, {
+      archiveUri: args.find(a => !a.startsWith('--')),
+      dryRun: args.includes('--dry-run')
+    });
+  } catch (error) {
+    Logger.error(`Lookup ingestion failed: ${error.message}`);
+    process.exit(1);
+  }
+}
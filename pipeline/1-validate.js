@@ -5,6 +5,9 @@ import { mkdir } from 'fs/promises';
 import { existsSync } from 'fs';
 import { join } from 'path';
 import { Logger, BigQueryHelper, StorageHelper } from './utils.js';
+import { getStorage, parseUri, joinUri, hasWildcard } from './storage.js';
+import { PreprocessManifest } from './manifest.js';
+import { verifyAdobeManifests, assertAdobeManifests } from './adobe-manifest.js';
 
 // Expected file structure for lookups directory
 const EXPECTED_FILE_STRUCTURE = {
@@ -86,6 +89,80 @@ async function validateDirectoryStructure(lookupsDir) {
   }
 }
 
+// Check every source file against the manifest written by preprocess(): it must be
+// complete, unchanged since it was processed, and its output must still exist.
+// Returns null when no manifest exists (older preprocess runs).
+async function validatePreprocessManifest(config) {
+  const manifest = await PreprocessManifest.load(config.gcs.transformDest);
+  if (!manifest.size) return null;
+
+  Logger.info(`Checking preprocess manifest: ${manifest.uri}`);
+
+  const sourceUri = config.gcs.sourceUri;
+  const storage = getStorage(sourceUri);
+  const sourceFiles = hasWildcard(sourceUri) ? await storage.list(sourceUri) : [sourceUri];
+
+  if (sourceFiles.length === 0) {
+    throw new Error(`No source files found at: ${sourceUri}`);
+  }
+
+  const problems = [];
+  const totals = { records: 0, ok: 0, bad: 0, realigned: 0 };
+
+  for (const file of sourceFiles) {
+    const stat = await storage.stat(file);
+    let reason = manifest.staleReason(file, stat);
+    const entry = manifest.get(file);
+
+    if (!reason && !(await getStorage(entry.output).exists(entry.output))) {
+      reason = `output missing (${entry.output})`;
+    }
+
+    if (reason) {
+      problems.push(`${file}: ${reason}`);
+    } else {
+      totals.records += entry.result.records;
+      totals.ok += entry.result.ok;
+      totals.bad += entry.result.bad;
+      totals.realigned += entry.result.realigned || 0;
+    }
+  }
+
+  if (problems.length > 0) {
+    const shown = problems.slice(0, 10).map(p => `  - ${p}`).join('\n');
+    const more = problems.length > 10 ? `\n  ... and ${problems.length - 10} more` : '';
+    throw new Error(`Preprocessing incomplete for ${problems.length} of ${sourceFiles.length} source files. Rerun: npm run preprocess\n${shown}${more}`);
+  }
+
+  Logger.info(`Manifest totals: ${totals.ok}/${totals.records} records kept, ${totals.bad} rejected, ${totals.realigned} realigned`);
+  return { files: sourceFiles.length, totals };
+}
+
+// Legacy check for transformDest folders without a manifest: compare file counts only
+async function validatePreprocessFileCounts(config, storage) {
+  // Get file counts from source and transform destinations
+  const sourceFileCount = await storage.getFileCount(config.gcs.sourceUri);
+  const transformPattern = joinUri(config.gcs.transformDest, '*.tsv.gz');
+  const transformFileCount = await storage.getFileCount(transformPattern);
+
+  Logger.info(`Source files (${config.gcs.sourceUri}): ${sourceFileCount}`);
+  Logger.info(`Preprocessed files (${transformPattern}): ${transformFileCount}`);
+
+  if (sourceFileCount === 0) {
+    throw new Error(`No source files found at: ${config.gcs.sourceUri}`);
+  }
+
+  if (transformFileCount === 0) {
+    throw new Error(`transformDest is configured but no preprocessed files found. Run preprocessing first: npm run preprocess`);
+  }
+
+  if (sourceFileCount !== transformFileCount) {
+    throw new Error(`File count mismatch: ${sourceFileCount} source files but ${transformFileCount} preprocessed files. Preprocessing may be incomplete - run: npm run preprocess`);
+  }
+
+  Logger.success(`Preprocessing validation passed: ${sourceFileCount} files preprocessed correctly`);
+}
+
 export async function validate(config) {
   Logger.info('=== Validation Phase ===');
   Logger.info(`Project: ${config.project}`);
@@ -149,48 +226,50 @@ export async function validate(config) {
   const bq = new BigQueryHelper(config);
   await bq.ensureDataset();
 
-  // Check GCS access
-  Logger.info('Checking GCS access...');
+  // Check source storage access (gs://, file:// or mem://)
+  Logger.info(`Checking ${parseUri(config.gcs.sourceUri).scheme}:// source access...`);
   const storage = new StorageHelper();
   const sourceExists = await storage.checkUriExists(config.gcs.sourceUri);
   if (sourceExists) {
-    Logger.success(`GCS source data found: ${config.gcs.sourceUri}`);
+    Logger.success(`Source data found: ${config.gcs.sourceUri}`);
   } else {
-    throw new Error(`No GCS objects found at: ${config.gcs.sourceUri}`);
+    throw new Error(`No objects found at: ${config.gcs.sourceUri}`);
   }
 
   // Check transformDest if configured (preprocessed files)
   if (config.gcs.transformDest) {
     Logger.info('Validating preprocessing completion...');
 
-    // Get file counts from source and transform destinations
-    const sourceFileCount = await storage.getFileCount(config.gcs.sourceUri);
-    const transformFileCount = await storage.getFileCount(config.gcs.transformDest + '*.tsv.gz');
-
-    Logger.info(`Source files (${config.gcs.sourceUri}): ${sourceFileCount}`);
-    Logger.info(`Preprocessed files (${config.gcs.transformDest}*.tsv.gz): ${transformFileCount}`);
-
-    if (sourceFileCount === 0) {
-      throw new Error(`No source files found at: ${config.gcs.sourceUri}`);
-    }
-
-    if (transformFileCount === 0) {
-      throw new Error(`transformDest is configured but no preprocessed files found. Run preprocessing first: npm run preprocess`);
-    }
-
-    if (sourceFileCount !== transformFileCount) {
-      throw new Error(`File count mismatch: ${sourceFileCount} source files but ${transformFileCount} preprocessed files. Preprocessing may be incomplete - run: npm run preprocess`);
+    const manifestCheck = await validatePreprocessManifest(config);
+    if (manifestCheck) {
+      Logger.success(`Preprocessing validation passed: ${manifestCheck.files} files match the preprocess manifest`);
+    } else {
+      Logger.warn('No preprocess manifest found; falling back to comparing file counts');
+      await validatePreprocessFileCounts(config, storage);
     }
-
-    Logger.success(`Preprocessing validation passed: ${sourceFileCount} files preprocessed correctly`);
   }
 
-  // Check export bucket access
-  const exportBucket = config.gcs.exportPrefix.match(/^gs:\/\/([^\/]+)/)?.[1];
-  if (exportBucket) {
-    Logger.success(`Export bucket accessible: gs://${exportBucket}`);
+  // Check delivered files (and preprocessed record counts) against Adobe's feed manifest
+  Logger.info('Checking Adobe feed manifest...');
+  const sourceUri = config.gcs.sourceUri;
+  const sourceFiles = hasWildcard(sourceUri) ? await getStorage(sourceUri).list(sourceUri) : [sourceUri];
+  const preprocessManifest = config.gcs.transformDest ? await PreprocessManifest.load(config.gcs.transformDest) : null;
+  assertAdobeManifests(await verifyAdobeManifests(config, {
+    preprocessManifest: preprocessManifest?.size ? preprocessManifest : null,
+    sourceFiles
+  }));
+
+  // Check export destination
+  let exportTarget;
+  try {
+    exportTarget = parseUri(config.gcs.exportPrefix);
+  } catch (error) {
+    throw new Error(`Invalid export URI format: ${config.gcs.exportPrefix} (${error.message})`);
+  }
+  if (exportTarget.scheme === 'gs') {
+    Logger.success(`Export bucket accessible: gs://${exportTarget.bucket}`);
   } else {
-    throw new Error(`Invalid export URI format: ${config.gcs.exportPrefix}`);
+    Logger.success(`Export destination (${exportTarget.scheme}://): ${config.gcs.exportPrefix}`);
   }
 
   // Add comprehensive config validation summary
@@ -2,12 +2,27 @@
 
 import { readFile } from 'fs/promises';
 import { Logger, BigQueryHelper, loadSqlTemplate } from './utils.js';
+import { getStorage, parseUri, joinUri, hasWildcard } from './storage.js';
+import { safeCastColumns, castFailureCounts } from './column-types.js';
+import { incrementalSettings, applyIncrementalArgs, loadIncrementalState, saveIncrementalState, selectIncrementalFiles } from './incremental.js';
+import { deduplicationSettings, deliveryOrder, replacesKeptCopy, HIT_KEY } from './deduplication.js';
+
+// Preprocessed files (transformDest) take precedence over the raw feed (sourceUri)
+function resolveSourceUri(config) {
+  return config.gcs.transformDest ?
+    joinUri(config.gcs.transformDest, config.gcs.sourceUri.split('/').pop()) :
+    config.gcs.sourceUri;
+}
 
-async function createExternalTable(config, bq, tableName, sourceUri, schema) {
+// sourceUris is one URI (wildcards allowed) or a list of them
+async function createExternalTable(config, bq, tableName, sourceUris, schema) {
   Logger.info(`Creating external table: ${tableName}`);
 
   // Convert schema to BigQuery DDL format
   const schemaFields = schema.map(field => `${field.name} ${field.type}`).join(',\n  ');
+  const uris = (Array.isArray(sourceUris) ? sourceUris : [sourceUris])
+    .map(uri => `'${uri.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`)
+    .join(', ');
 
   const createTableSql = `
     CREATE OR REPLACE EXTERNAL TABLE \`${config.project}.${config.dataset}.${tableName}\`
@@ -16,7 +31,7 @@ async function createExternalTable(config, bq, tableName, sourceUri, schema) {
     )
     OPTIONS (
       format = 'CSV',
-      uris = ['${sourceUri}'],
+      uris = [${uris}],
       field_delimiter = '\\t',
       quote = '',
       allow_jagged_rows = true,
@@ -29,14 +44,7 @@ async function createExternalTable(config, bq, tableName, sourceUri, schema) {
   Logger.success(`External table created: ${tableName}`);
 }
 
-async function loadRawData(config, bq) {
-  const tableName = config.tables.raw;
-
-  if (await bq.tableExists(tableName)) {
-    Logger.info(`Raw table ${tableName} already exists; skipping load.`);
-    return;
-  }
-
+async function readSchema(config) {
   // Check if schema file exists (generated by prepare step)
   const schemaJson = `${config.paths.tmpDir}/schema.json`;
   let schemaData;
@@ -48,22 +56,44 @@ async function loadRawData(config, bq) {
     }
     throw error;
   }
-  const schema = JSON.parse(schemaData);
+  return JSON.parse(schemaData);
+}
 
-  // Determine source URI - use transformDest if available (preprocessed files), otherwise sourceUri
-  const sourceUri = config.gcs.transformDest ?
-    config.gcs.transformDest + config.gcs.sourceUri.split('/').pop() :
-    config.gcs.sourceUri;
+// Load feed files into tableName. files limits the load to specific objects; by default
+// everything matching sourceUri is loaded.
+async function loadFeedTable(config, bq, tableName, sourceUri, schema, files = null) {
+  const { scheme } = parseUri(sourceUri);
 
-  Logger.info(`About to load from GCS URI: ${sourceUri}`);
-  Logger.info(`Schema has ${schema.length} fields`);
+  // The feed is loaded as STRING into a staging table and then cast into the typed schema,
+  // so a single unparseable value becomes NULL instead of failing the load. The staging step
+  // also records each row's feed file in source_file, which bronze deduplication orders by.
+  const typed = schema.some(field => field.type !== 'STRING');
+  const stringSchema = schema.map(field => ({ ...field, type: 'STRING' }));
+  const external = config.pipeline_config.use_external_tables;
+  const stagingTable = `${tableName}_${external ? 'external' : 'staging'}`;
+  const table = (name) => `\`${config.project}.${config.dataset}.${name}\``;
 
   // Check if external tables are enabled
-  if (config.pipeline_config.use_external_tables) {
-    Logger.info(`Creating external table: ${tableName}`);
-    await createExternalTable(config, bq, tableName, sourceUri, schema);
+  if (external) {
+    if (scheme !== 'gs') {
+      throw new Error(`External tables require a gs:// source, got: ${sourceUri}`);
+    }
+    Logger.info(`Creating external table: ${stagingTable}`);
+    await createExternalTable(config, bq, stagingTable, sourceUri, stringSchema);
+  } else if (scheme === 'gs') {
+    // One query over a temporary external table reads every file (the wildcard, or the selected
+    // files) in a single job and takes each row's file from _FILE_NAME
+    const sourceTable = `${stagingTable}_source`;
+    Logger.info(`Loading raw data into native table: ${stagingTable} (via ${sourceTable})`);
+    Logger.info(`Allowing up to ${config.validation.expectedErrors || 0} bad records during load`);
+    await createExternalTable(config, bq, sourceTable, files || sourceUri, stringSchema);
+    await bq.executeQuery(`
+      CREATE OR REPLACE TABLE ${table(stagingTable)} AS
+      SELECT *, _FILE_NAME AS source_file FROM ${table(sourceTable)}
+    `);
+    await bq.executeQuery(`DROP EXTERNAL TABLE IF EXISTS ${table(sourceTable)}`);
   } else {
-    Logger.info(`Loading raw data into native table: ${tableName}`);
+    Logger.info(`Loading raw data into native table: ${stagingTable}`);
 
     // Load options for Adobe data - critical: disable quoting to prevent column drift
     const loadOptions = {
@@ -77,18 +107,205 @@ async function loadRawData(config, bq) {
     };
 
     Logger.info(`Allowing up to ${loadOptions.maxBadRecords} bad records during load`);
-    await bq.loadTable(tableName, sourceUri, schema, loadOptions);
+
+    // Local files are uploaded one by one into {staging}_file and appended with their name
+    const storage = getStorage(sourceUri);
+    const localFiles = files || await storage.list(sourceUri);
+    if (!localFiles.length) {
+      throw new Error(`No local files found for: ${sourceUri}`);
+    }
+    const fileTable = `${stagingTable}_file`;
+    for (const [index, file] of localFiles.entries()) {
+      await bq.loadLocalTable(fileTable, storage.toPath(file), stringSchema, loadOptions);
+      await bq.executeQuery(`
+        ${index === 0 ? `CREATE OR REPLACE TABLE ${table(stagingTable)} AS` : `INSERT INTO ${table(stagingTable)}`}
+        SELECT *, @source_file AS source_file FROM ${table(fileTable)}
+      `, { source_file: file });
+    }
+    await bq.executeQuery(`DROP TABLE IF EXISTS ${table(fileTable)}`);
+  }
+
+  if (typed) {
+    await reportCastFailures(config, bq, stagingTable, schema);
+  }
+
+  Logger.info(`Casting ${stagingTable} into typed ${external ? 'view' : 'table'}: ${tableName}`);
+  const typedSql = await loadSqlTemplate('./models/create-raw-typed.sql', {
+    project: config.project,
+    dataset: config.dataset,
+    rawTable: tableName,
+    stagingTable,
+    objectType: external ? 'VIEW' : 'TABLE',
+    typedColumns: safeCastColumns(schema),
+    // External tables expose the file each row was read from as _FILE_NAME
+    sourceFile: external ? '_FILE_NAME' : 'source_file'
+  });
+  await bq.executeQuery(typedSql);
+
+  // The view reads through the external table; a native staging copy is no longer needed
+  if (!external) {
+    await bq.executeQuery(`DROP TABLE IF EXISTS ${table(stagingTable)}`);
   }
 
   // Get row count
-  const countSql = `SELECT COUNT(*) as num_rows FROM \`${config.project}.${config.dataset}.${tableName}\``;
+  const countSql = `SELECT COUNT(*) as num_rows FROM ${table(tableName)}`;
   const [rows] = await bq.bq.query(countSql);
   Logger.info(`Loaded ${rows[0].num_rows} rows into ${tableName}`);
+}
+
+function checkLoadableSource(sourceUri) {
+  const { scheme } = parseUri(sourceUri);
+  Logger.info(`About to load from ${scheme}:// URI: ${sourceUri}`);
+
+  if (scheme === 'mem') {
+    throw new Error(`In-memory storage cannot be loaded into BigQuery: ${sourceUri}. Use a gs:// or file:// location.`);
+  }
+}
+
+async function loadRawData(config, bq) {
+  if (incrementalSettings(config).enabled) {
+    return loadRawIncremental(config, bq);
+  }
+
+  const tableName = config.tables.raw;
+
+  if (await bq.tableExists(tableName)) {
+    Logger.info(`Raw table ${tableName} already exists; skipping load.`);
+    return;
+  }
+
+  const schema = await readSchema(config);
+
+  // Determine source URI - use transformDest if available (preprocessed files), otherwise sourceUri
+  const sourceUri = resolveSourceUri(config);
+  checkLoadableSource(sourceUri);
+  Logger.info(`Schema has ${schema.length} fields`);
+
+  await loadFeedTable(config, bq, tableName, sourceUri, schema);
 
   // Data quality validation checks
   await validateRawDataQuality(config, bq, tableName);
 }
 
+// Load only the selected feed files into {raw}_incoming and merge them into raw on the hit key.
+// The incoming table is left for transformToBronze(), which works out the affected dates.
+async function loadRawIncremental(config, bq) {
+  const settings = incrementalSettings(config);
+  const tableName = config.tables.raw;
+  const incomingTable = `${tableName}_incoming`;
+
+  if (config.pipeline_config.use_external_tables) {
+    throw new Error('Incremental loads need native tables; disable pipeline_config.use_external_tables');
+  }
+
+  const schema = await readSchema(config);
+  const sourceUri = resolveSourceUri(config);
+  checkLoadableSource(sourceUri);
+
+  const storage = getStorage(sourceUri);
+  const files = hasWildcard(sourceUri) ? await storage.list(sourceUri) : [sourceUri];
+  const stats = new Map();
+  for (const file of files) stats.set(file, await storage.stat(file));
+
+  // The state only describes raw while raw exists (a dropped dataset leaves it behind)
+  const state = await loadIncrementalState(config);
+  if (!(await bq.tableExists(tableName)) && Object.keys(state.loadedFiles).length) {
+    Logger.warn(`${tableName} does not exist; ignoring the ${Object.keys(state.loadedFiles).length} files recorded as loaded`);
+    state.loadedFiles = {};
+  }
+  const selected = selectIncrementalFiles(files, stats, settings, state);
+  const loadedAt = new Date().toISOString();
+
+  if (!selected.length) {
+    Logger.success(`Incremental load: no new files among ${files.length} source files`);
+    await saveIncrementalState(config, { ...state, run: { files: [], incomingTable: null, dates: [], loadedAt } });
+    return;
+  }
+
+  Logger.info(`Incremental load: ${selected.length} of ${files.length} files into ${incomingTable}`);
+  selected.slice(0, 5).forEach(file => Logger.info(`  • ${file}`));
+  if (selected.length > 5) Logger.info(`  ... and ${selected.length - 5} more files`);
+
+  await loadFeedTable(config, bq, incomingTable, sourceUri, schema, selected);
+  await validateRawDataQuality(config, bq, incomingTable);
+
+  // Hits are keyed on hitid; rows without one cannot be merged idempotently
+  const [missingRows] = await bq.bq.query(`
+    SELECT COUNT(*) AS count
+    FROM \`${config.project}.${config.dataset}.${incomingTable}\`
+    WHERE hitid_high IS NULL OR hitid_low IS NULL
+  `);
+  if (missingRows[0].count > 0) {
+    Logger.warn(`${missingRows[0].count} incoming rows have no hitid and will not be merged into ${tableName}`);
+  }
+
+  // With deduplication on, every incoming copy is kept for bronze, which ranks them against the
+  // copies already kept and writes the losers to the audit table; otherwise one row per hitid
+  await bq.executeQuery(`
+    CREATE OR REPLACE TABLE \`${config.project}.${config.dataset}.${incomingTable}\` AS
+    SELECT * FROM \`${config.project}.${config.dataset}.${incomingTable}\`
+    WHERE hitid_high IS NOT NULL AND hitid_low IS NOT NULL
+    ${deduplicationSettings(config).enabled ? '' : `QUALIFY ROW_NUMBER() OVER (PARTITION BY ${HIT_KEY} ORDER BY ${deliveryOrder(config)}) = 1`}
+  `);
+
+  if (await bq.tableExists(tableName)) {
+    Logger.info(`Merging ${incomingTable} into ${tableName} on ${HIT_KEY}`);
+    const mergeSql = await loadSqlTemplate('./models/merge-raw-incoming.sql', {
+      project: config.project,
+      dataset: config.dataset,
+      rawTable: tableName,
+      incomingTable,
+      deliveryOrder: deliveryOrder(config),
+      replaceCondition: replacesKeptCopy(config),
+      updateColumns: [...schema.map(field => field.name), 'source_file'].map(name => `${name} = source.${name}`).join(',\n  ')
+    });
+    await bq.executeQuery(mergeSql);
+  } else {
+    Logger.info(`Creating ${tableName} from the first incremental load`);
+    await bq.executeQuery(`
+      CREATE TABLE \`${config.project}.${config.dataset}.${tableName}\` AS
+      SELECT * FROM \`${config.project}.${config.dataset}.${incomingTable}\`
+      QUALIFY ROW_NUMBER() OVER (PARTITION BY ${HIT_KEY} ORDER BY ${deliveryOrder(config)}) = 1
+    `);
+  }
+
+  for (const file of selected) {
+    const stat = stats.get(file);
+    state.loadedFiles[file] = { size: stat?.size ?? null, generation: stat?.generation ?? null, loadedAt };
+  }
+  await saveIncrementalState(config, { ...state, run: { files: selected, incomingTable, dates: null, loadedAt } });
+  Logger.success('Incremental load complete; bronze, silver and gold will rebuild only the dates these hits touch');
+}
+
+// Count values in typed columns that SAFE_CAST turned into NULL
+async function reportCastFailures(config, bq, stagingTable, schema) {
+  Logger.info('Checking typed columns for values that do not parse...');
+
+  const sql = `
+    SELECT
+      ${castFailureCounts(schema)}
+    FROM \`${config.project}.${config.dataset}.${stagingTable}\`
+  `;
+  const [rows] = await bq.bq.query(sql);
+  const types = new Map(schema.map(field => [field.name, field.type]));
+  const failures = Object.entries(rows[0] || {})
+    .map(([name, count]) => [name, Number(count)])
+    .filter(([, count]) => count > 0)
+    .sort((a, b) => b[1] - a[1]);
+
+  if (!failures.length) {
+    Logger.success('All typed column values parsed');
+    return;
+  }
+
+  Logger.warn(`${failures.length} typed columns have values that will be NULL after casting:`);
+  for (const [name, count] of failures.slice(0, 10)) {
+    Logger.warn(`  - ${name} (${types.get(name)}): ${count.toLocaleString()} values`);
+  }
+  if (failures.length > 10) Logger.warn(`  ... and ${failures.length - 10} more`);
+  Logger.info('   Override a column type with pipeline_config.column_types if this is expected');
+}
+
 async function validateRawDataQuality(config, bq, tableName) {
   Logger.info('Running data quality validation checks...');
 
@@ -201,10 +418,8 @@ export async function load(config) {
   Logger.info(`Dataset: ${config.dataset}`);
   Logger.info(`Raw table: ${config.tables.raw}`);
 
-  const sourceUri = config.gcs.transformDest ?
-    config.gcs.transformDest + config.gcs.sourceUri.split('/').pop() :
-    config.gcs.sourceUri;
-  Logger.info(`GCS URI: ${sourceUri}${config.gcs.transformDest ? ' (preprocessed)' : ' (raw)'}`);
+  const sourceUri = resolveSourceUri(config);
+  Logger.info(`Source URI: ${sourceUri}${config.gcs.transformDest ? ' (preprocessed)' : ' (raw)'}`);
   console.log();
 
   const bq = new BigQueryHelper(config);
@@ -377,9 +592,7 @@ async function generateLoadSummary(config, bq) {
   Logger.success(`  • SDR mapping tables: ${loadedTables.filter(t => t.type.includes('SDR')).length}`);
 
   // Data source information
-  const sourceUri = config.gcs.transformDest ?
-    config.gcs.transformDest + config.gcs.sourceUri.split('/').pop() :
-    config.gcs.sourceUri;
+  const sourceUri = resolveSourceUri(config);
   Logger.info(`  • Data source: ${sourceUri}${config.gcs.transformDest ? ' (preprocessed)' : ' (raw)'}`);
 
   // Warning for missing tables
@@ -399,7 +612,8 @@ async function generateLoadSummary(config, bq) {
 if (import.meta.url === `file://${process.argv[1]}`) {
   try {
     const configData = await readFile('./config.json', 'utf8');
-    const config = JSON.parse(configData);
+    // --incremental [--files a,b | --since YYYY-MM-DD --until YYYY-MM-DD]
+    const config = applyIncrementalArgs(JSON.parse(configData));
     await load(config);
   } catch (error) {
     Logger.error(`Loading failed: ${error.message}`);
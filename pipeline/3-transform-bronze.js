@@ -2,6 +2,12 @@
 
 import { readFile } from 'fs/promises';
 import { Logger, BigQueryHelper, loadSqlTemplate } from './utils.js';
+import { incrementalSettings, applyIncrementalArgs, loadIncrementalState, saveIncrementalState, replacePartitions, dropOnSchemaDrift } from './incremental.js';
+import { applyDateFilterArgs, dateFilterCondition, describeDateFilter, whereClause } from './date-filter.js';
+import { visitorIdColumns } from './visitor-id.js';
+import { exclusionSettings, exclusionReasonColumn, quarantineTable } from './hit-exclusion.js';
+import { reportSuiteTimezone, reportDate, describeTimezone } from './timezone.js';
+import { deduplicationSettings, deliveryRankColumn, deliveryOrder, duplicatesTable, HIT_KEY, sameHit } from './deduplication.js';
 
 async function performBronzeDataQuality(config, bq, stats) {
   Logger.info('Running Bronze data quality checks...');
@@ -19,7 +25,7 @@ async function performBronzeDataQuality(config, bq, stats) {
       WHERE COALESCE(distinct_id, '') = ''
     ),
     duplicate_hits AS (
-      SELECT COUNT(*) - COUNT(DISTINCT CONCAT(hitid_high, '-', hitid_low)) as count
+      SELECT COUNT(*) - COUNT(DISTINCT TO_JSON_STRING(STRUCT(${HIT_KEY}))) as count
       FROM \`${config.project}.${config.dataset}.${config.tables.bronze}\`
       WHERE hitid_high IS NOT NULL AND hitid_low IS NOT NULL
     )
@@ -49,8 +55,80 @@ async function performBronzeDataQuality(config, bq, stats) {
     Logger.success(`✅ Visitor ID quality: ${(100 - dq.pct_empty_visitor_id).toFixed(1)}% valid visitor IDs`);
   }
 
+  // Which visitor_id_precedence source each row's distinct_id came from
+  const [sourceRows] = await bq.bq.query(`
+    SELECT distinct_id_source, COUNT(*) as row_count
+    FROM \`${config.project}.${config.dataset}.${config.tables.bronze}\`
+    GROUP BY distinct_id_source
+    ORDER BY row_count DESC
+  `);
+  Logger.info('Visitor ID sources:');
+  for (const row of sourceRows) {
+    const pct = (row.row_count / stats.total_rows) * 100;
+    Logger.info(`  • ${row.distinct_id_source}: ${row.row_count} rows (${pct.toFixed(1)}%)`);
+  }
+  const unresolved = sourceRows.find(r => r.distinct_id_source === 'none');
+  if (unresolved) {
+    Logger.warn(`⚠️  ${unresolved.row_count} rows matched no visitor ID source; add "fallback" to visitor_id_precedence to fingerprint them`);
+  }
+
+  // date_time is Adobe's own report-suite local time; an offset of 30+ minutes on most rows
+  // means pipeline_config.timezone doesn't match the report suite
+  const [timeRows] = await bq.bq.query(`
+    WITH offsets AS (
+      SELECT DATETIME_DIFF(SAFE.PARSE_DATETIME('%Y-%m-%d %H:%M:%S', date_time), ts_local, MINUTE) AS offset_minutes
+      FROM \`${config.project}.${config.dataset}.${config.tables.bronze}\`
+      WHERE ts_local IS NOT NULL
+        AND SAFE.PARSE_DATETIME('%Y-%m-%d %H:%M:%S', date_time) IS NOT NULL
+    )
+    SELECT
+      COUNT(*) as compared,
+      COUNTIF(ABS(offset_minutes) >= 30) as mismatched,
+      APPROX_TOP_COUNT(offset_minutes, 1)[SAFE_OFFSET(0)].value as typical_offset_minutes
+    FROM offsets
+  `);
+  const time = timeRows[0];
+  if (time.compared > 0 && time.mismatched > 0) {
+    const pctMismatched = (time.mismatched / time.compared) * 100;
+    const hint = Math.abs(time.typical_offset_minutes) >= 30 ? `; date_time is usually ${(time.typical_offset_minutes / 60).toFixed(1)}h off, check pipeline_config.timezone` : '';
+    Logger.warn(`⚠️  ${time.mismatched} rows (${pctMismatched.toFixed(2)}%) have a date_time 30+ minutes away from ts_local${hint}`);
+  } else if (time.compared > 0) {
+    Logger.success(`✅ Local time check: ts_local matches date_time on ${time.compared} rows`);
+  }
+
+  // Rows moved to the quarantine table by pipeline_config.hit_exclusion
+  if (exclusionSettings(config).enabled) {
+    const [reasonRows] = await bq.bq.query(`
+      SELECT exclusion_reason, COUNT(*) as row_count
+      FROM \`${config.project}.${config.dataset}.${quarantineTable(config)}\`
+      GROUP BY exclusion_reason
+      ORDER BY row_count DESC
+    `);
+    const excluded = reasonRows.reduce((sum, row) => sum + row.row_count, 0);
+    const scanned = stats.total_rows + excluded;
+    Logger.info(`Excluded hits: ${excluded} of ${scanned} rows (${scanned ? ((excluded / scanned) * 100).toFixed(1) : '0.0'}%) in ${quarantineTable(config)}`);
+    for (const row of reasonRows) {
+      Logger.info(`  • ${row.exclusion_reason}: ${row.row_count} rows`);
+    }
+  }
+
+  // Extra deliveries of a hit were moved to the audit table; rows still sharing a hitid
+  // are only expected with deduplication disabled
+  if (deduplicationSettings(config).enabled) {
+    const [auditRows] = await bq.bq.query(`
+      SELECT COUNT(*) as removed, COUNT(DISTINCT TO_JSON_STRING(STRUCT(${HIT_KEY}))) as hits
+      FROM \`${config.project}.${config.dataset}.${duplicatesTable(config)}\`
+    `);
+    const audit = auditRows[0];
+    if (audit.removed > 0) {
+      Logger.info(`Removed ${audit.removed} duplicate deliveries of ${audit.hits} hits (see ${duplicatesTable(config)})`);
+    } else {
+      Logger.success('✅ No duplicate deliveries found');
+    }
+  }
+
   if (dq.duplicate_hit_count > 0) {
-    Logger.warn(`⚠️  Found ${dq.duplicate_hit_count} duplicate hit IDs`);
+    Logger.warn(`⚠️  Found ${dq.duplicate_hit_count} rows sharing a hit ID`);
   } else {
     Logger.success(`✅ No duplicate hit IDs detected`);
   }
@@ -68,30 +146,14 @@ async function performBronzeDataQuality(config, bq, stats) {
   }
 }
 
-export async function transformToBronze(config) {
-  Logger.info('=== Bronze Transformation Phase ===\n\n');
-  Logger.info(`Transforming ${config.tables.raw} → ${config.tables.bronze}`);
-  console.log();
-
-  const bq = new BigQueryHelper(config);
-
-  // Ensure dataset exists
-  await bq.ensureDataset();
-
-  // Check if Bronze table already exists
-  if (await bq.tableExists(config.tables.bronze)) {
-    Logger.info(`Bronze table ${config.tables.bronze} already exists; skipping creation.`);
-    return;
-  }
-
-  Logger.info(`Creating Bronze table: ${config.tables.bronze}`);
-
+// Render the bronze template over rawTable into bronzeTable
+async function buildBronzeTable(config, bq, rawTable, bronzeTable) {
   // First, generate dynamic column cleaning SQL using INFORMATION_SCHEMA
   Logger.info('Generating dynamic column cleaning SQL...');
   const columnGenSql = await loadSqlTemplate('./models/generate-bronze-columns.sql', {
     project: config.project,
     dataset: config.dataset,
-    rawTable: config.tables.raw
+    rawTable
   });
 
   const [columnRows] = await bq.bq.query(columnGenSql);
@@ -101,18 +163,175 @@ export async function transformToBronze(config) {
   const bronzeSql = await loadSqlTemplate('./models/create-bronze-clean.sql', {
     project: config.project,
     dataset: config.dataset,
-    rawTable: config.tables.raw,
-    bronzeTable: config.tables.bronze,
-    cleanedColumns: cleanedColumns
+    rawTable,
+    bronzeTable,
+    cleanedColumns: cleanedColumns,
+    visitorIdColumns: visitorIdColumns(config),
+    exclusionReason: exclusionReasonColumn(config),
+    reportSuiteTimezone: reportSuiteTimezone(config),
+    partitionBy: reportDate(config),
+    deliveryRank: deliveryRankColumn(config),
+    // date_local is only an alias in the final SELECT, so the local window repeats its expression
+    dateFilter: whereClause(dateFilterCondition(config, 'ts_utc', `DATE(ts_utc, ${reportSuiteTimezone(config)})`))
   });
 
   await bq.executeQuery(bronzeSql);
+}
+
+// Move the extra copies of duplicated hits from bronze to the audit table (full builds)
+async function removeDuplicateHits(config, bq) {
+  if (!deduplicationSettings(config).enabled) return;
+
+  Logger.info(`Moving duplicate hits to ${duplicatesTable(config)} (keep ${deduplicationSettings(config).keep})...`);
+  const sql = await loadSqlTemplate('./models/remove-duplicate-hits.sql', {
+    project: config.project,
+    dataset: config.dataset,
+    bronzeTable: config.tables.bronze,
+    duplicatesTable: duplicatesTable(config)
+  });
+  await bq.executeQuery(sql);
+}
+
+// Rank the incoming copies of each hit against the copies already kept or audited, with the
+// same keep policy as a full build; losing incoming copies are dropped before they reach bronze
+async function dedupeIncomingHits(config, bq, incomingTable) {
+  if (!deduplicationSettings(config).enabled) return;
+
+  Logger.info(`Ranking incoming copies against ${config.tables.bronze} and ${duplicatesTable(config)} (keep ${deduplicationSettings(config).keep})...`);
+  const sql = await loadSqlTemplate('./models/dedupe-incoming-hits.sql', {
+    project: config.project,
+    dataset: config.dataset,
+    bronzeTable: config.tables.bronze,
+    incomingTable,
+    duplicatesTable: duplicatesTable(config),
+    deliveryOrder: deliveryOrder(config)
+  });
+  await bq.executeQuery(sql);
+}
+
+// Move rows tagged with an exclusion_reason from bronze to the quarantine table. A full build
+// starts the quarantine over; incremental runs replace the copies of reloaded hits.
+async function quarantineExcludedHits(config, bq, { fullBuild }) {
+  if (!exclusionSettings(config).enabled) return;
+
+  Logger.info(`Moving excluded hits to ${quarantineTable(config)}...`);
+  const sql = await loadSqlTemplate('./models/quarantine-excluded-hits.sql', {
+    project: config.project,
+    dataset: config.dataset,
+    bronzeTable: config.tables.bronze,
+    quarantineTable: quarantineTable(config),
+    quarantineCreate: fullBuild ? 'CREATE OR REPLACE TABLE' : 'CREATE TABLE IF NOT EXISTS'
+  });
+  await bq.executeQuery(sql);
+}
+
+// Bronze is a row-by-row transform of raw, so only the incoming hits are rebuilt: they replace
+// any earlier copy of the same hit. Every report date they land on (or moved away from) is recorded
+// for silver and gold, which do depend on neighbouring rows. Returns false when bronze was built
+// with an older schema and has been dropped for a full rebuild.
+async function transformBronzeIncremental(config, bq) {
+  const state = await loadIncrementalState(config);
+  const run = state.run;
+  if (!run) {
+    throw new Error('No incremental load recorded; run npm run load -- --incremental first');
+  }
+  if (!run.incomingTable) {
+    Logger.success('Incremental run loaded no new files; bronze unchanged');
+    await saveIncrementalState(config, { ...state, run: { ...run, dates: [], silverDates: null } });
+    return true;
+  }
+
+  const bronzeTable = config.tables.bronze;
+  const incomingTable = `${bronzeTable}_incoming`;
+  const table = (name) => `\`${config.project}.${config.dataset}.${name}\``;
+
+  Logger.info(`Building ${incomingTable} from ${run.incomingTable} (${run.files.length} files)`);
+  await buildBronzeTable(config, bq, run.incomingTable, incomingTable);
+  if (await dropOnSchemaDrift(config, bq, { table: bronzeTable, incomingTable })) return false;
+  await dedupeIncomingHits(config, bq, incomingTable);
+
+  // Dates are report dates, the partitions of every layer (date_local with date_basis local)
+  const [dateRows] = await bq.bq.query(`
+    SELECT DISTINCT CAST(report_date AS STRING) AS d
+    FROM (
+      SELECT ${reportDate(config)} AS report_date FROM ${table(incomingTable)}
+      WHERE ts_utc IS NOT NULL
+      UNION ALL
+      SELECT ${reportDate(config, 'b.ts_utc', 'b.date_local')}
+      FROM ${table(bronzeTable)} b
+      JOIN ${table(incomingTable)} i ON ${sameHit('i', 'b')}
+      WHERE b.ts_utc IS NOT NULL
+    )
+    ORDER BY d
+  `);
+  const dates = dateRows.map(r => r.d);
+
+  await replacePartitions(config, bq, {
+    table: bronzeTable,
+    incomingTable,
+    deleteWhere: `EXISTS (
+  SELECT 1 FROM ${table(incomingTable)} i
+  WHERE ${sameHit('i', 'target')}
+)`
+  });
+  await quarantineExcludedHits(config, bq, { fullBuild: false });
+  await bq.executeQuery(`DROP TABLE IF EXISTS ${table(run.incomingTable)}`);
+
+  await saveIncrementalState(config, { ...state, run: { ...run, dates, silverDates: null } });
+  Logger.success(`Bronze updated from ${run.files.length} files; ${dates.length} dates to rebuild${dates.length ? ` (${dates[0]} → ${dates[dates.length - 1]})` : ''}`);
+  return true;
+}
+
+export async function transformToBronze(config) {
+  Logger.info('=== Bronze Transformation Phase ===\n\n');
+  Logger.info(`Transforming ${config.tables.raw} → ${config.tables.bronze}`);
+  Logger.info(`Date window: ${describeDateFilter(config)}`);
+  Logger.info(`Report-suite timezone: ${describeTimezone(config)}`);
+  console.log();
+
+  const bq = new BigQueryHelper(config);
+
+  // Ensure dataset exists
+  await bq.ensureDataset();
+
+  // Incremental runs apply only the hits merged into raw by the last incremental load
+  if (incrementalSettings(config).enabled && await bq.tableExists(config.tables.bronze)) {
+    if (await transformBronzeIncremental(config, bq)) return;
+  }
+
+  // Check if Bronze table already exists
+  if (await bq.tableExists(config.tables.bronze)) {
+    Logger.info(`Bronze table ${config.tables.bronze} already exists; skipping creation.`);
+    return;
+  }
+
+  Logger.info(`Creating Bronze table: ${config.tables.bronze}`);
+  await buildBronzeTable(config, bq, config.tables.raw, config.tables.bronze);
+  await removeDuplicateHits(config, bq);
+  await quarantineExcludedHits(config, bq, { fullBuild: true });
 
   // Get row count
   const countSql = `SELECT COUNT(*) as row_count FROM \`${config.project}.${config.dataset}.${config.tables.bronze}\``;
   const [rows] = await bq.bq.query(countSql);
   Logger.success(`Bronze table created with ${rows[0].row_count} rows`);
 
+  // A full build covers every date; later incremental steps start from here
+  if (incrementalSettings(config).enabled) {
+    const state = await loadIncrementalState(config);
+    if (state.run) {
+      const [dateRows] = await bq.bq.query(`
+        SELECT DISTINCT CAST(${reportDate(config)} AS STRING) AS d
+        FROM \`${config.project}.${config.dataset}.${config.tables.bronze}\`
+        WHERE ts_utc IS NOT NULL
+        ORDER BY d
+      `);
+      await saveIncrementalState(config, { ...state, run: { ...state.run, dates: dateRows.map(r => r.d), silverDates: null } });
+      if (state.run.incomingTable) {
+        await bq.executeQuery(`DROP TABLE IF EXISTS \`${config.project}.${config.dataset}.${state.run.incomingTable}\``);
+      }
+    }
+  }
+
   // Quality check - validate distinct_id and timestamp parsing
   const qualitySql = `
     SELECT
@@ -144,7 +363,8 @@ export async function transformToBronze(config) {
 if (import.meta.url === `file://${process.argv[1]}`) {
   try {
     const configData = await readFile('./config.json', 'utf8');
-    const config = JSON.parse(configData);
+    // --incremental [--files a,b | --since YYYY-MM-DD --until YYYY-MM-DD] [--start-date YYYY-MM-DD] [--end-date YYYY-MM-DD]
+    const config = applyDateFilterArgs(applyIncrementalArgs(JSON.parse(configData)));
     await transformToBronze(config);
   } catch (error) {
     Logger.error(`Bronze transformation failed: ${error.message}`);
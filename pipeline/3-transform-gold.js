@@ -2,10 +2,35 @@
 
 import { readFile } from 'fs/promises';
 import { Logger, BigQueryHelper, loadSqlTemplate } from './utils.js';
+import { applyIncrementalArgs, pendingDates, replacePartitions, dateList, shiftDate } from './incremental.js';
+import { applyDateFilterArgs, dateFilterCondition, describeDateFilter, whereClause } from './date-filter.js';
+import { identitySettings, identityJoinSql } from './3-transform-identity.js';
+import { sdrColumnAliases, selectGoldAliases, aliasColumns } from './sdr-aliases.js';
+import { measurementCodes, resolveMeasurements, measurementFields, measurementSelect, measurementPredicate } from './measurements.js';
+import { productSettings, productGoldVars } from './products.js';
+import { reportDate } from './timezone.js';
+import { reportedTrafficCondition } from './traffic-filter.js';
+
+// Business events on a hit get distinct timestamps per pipeline_config.event_timestamp_offset:
+// "seconds" (default) adds 5s per event, "milliseconds" 1ms per event, "none" keeps the hit's time
+const EVENT_TIMESTAMP_OFFSETS = {
+  none: 'ts_utc',
+  milliseconds: 'TIMESTAMP_ADD(ts_utc, INTERVAL (event_index + 1) MILLISECOND)',
+  seconds: 'TIMESTAMP_ADD(ts_utc, INTERVAL (event_index + 1) * 5 SECOND)'
+};
+
+export function eventTimestampSql(config) {
+  const offset = config.pipeline_config.event_timestamp_offset || 'seconds';
+  if (!EVENT_TIMESTAMP_OFFSETS[offset]) {
+    throw new Error(`Invalid pipeline_config.event_timestamp_offset "${offset}" (expected one of: ${Object.keys(EVENT_TIMESTAMP_OFFSETS).join(', ')})`);
+  }
+  return EVENT_TIMESTAMP_OFFSETS[offset];
+}
 
 export async function transformToGold(config) {
   Logger.info('=== Gold Transformation Phase ===\n\n');
   Logger.info(`Transforming ${config.tables.silver} → ${config.tables.gold} (Eventification)`);
+  Logger.info(`Date window: ${describeDateFilter(config)}`);
   console.log();
 
   const bq = new BigQueryHelper(config);
@@ -13,8 +38,15 @@ export async function transformToGold(config) {
   // Ensure dataset exists
   await bq.ensureDataset();
 
+  // Incremental runs rebuild only the dates touched by the last load (null = full build)
+  const dates = await pendingDates(config, bq, config.tables.gold);
+  if (dates && !dates.length) {
+    Logger.success('No dates to rebuild; gold unchanged');
+    return;
+  }
+
   // Check if Gold table already exists
-  if (await bq.tableExists(config.tables.gold)) {
+  if (!dates && await bq.tableExists(config.tables.gold)) {
     Logger.info(`Gold table ${config.tables.gold} already exists; skipping creation.`);
     return;
   }
@@ -42,30 +74,83 @@ export async function transformToGold(config) {
     Logger.success('SDR mapping tables verified');
   }
 
-  Logger.info(`Creating Gold table: ${config.tables.gold}`);
+  const goldTable = dates ? `${config.tables.gold}_incoming` : config.tables.gold;
+  if (dates) {
+    Logger.info(`Rebuilding ${dates.length} Gold dates (${dates[0]} → ${dates[dates.length - 1]}) via ${goldTable}`);
+  } else {
+    Logger.info(`Creating Gold table: ${config.tables.gold}`);
+  }
+
+  // user_id / canonical_id come from the identity map when stitching is enabled
+  const useIdentity = identitySettings(config).enabled;
+  const identityJoin = await identityJoinSql(config, bq);
+
+  // Gold carries the same SDR aliases silver created, narrowed by gold_columns include/exclude
+  const goldAliases = selectGoldAliases(config, await sdrColumnAliases(config, bq));
+  Logger.info(`Gold SDR columns: ${goldAliases.length ? goldAliases.map(a => a.alias).join(', ') : 'none'}`);
+
+  // Measurement events become per-hit columns named from event_map
+  const measurements = await resolveMeasurements(config, bq);
+  if (productSettings(config).explodeInGold) {
+    Logger.info(`Product rows: one per product on event codes ${productSettings(config).eventCodes.join(', ')}`);
+  }
+  Logger.info(`Measurement columns: ${measurements.length ? measurements.map(m => `${m.column} (${m.code}, ${m.aggregate})`).join(', ') : 'none'}`);
 
   // Load SQL template and execute
   const goldSql = await loadSqlTemplate('./models/create-gold.sql', {
     project: config.project,
     dataset: config.dataset,
     silverTable: config.tables.silver,
-    goldTable: config.tables.gold,
-    measurementEventCodes: JSON.stringify(config.pipeline_config.measurement_event_codes),
+    goldTable,
+    partitionBy: reportDate(config),
+    hitDate: reportDate(config),
+    identityJoin,
+    eventTimestamp: eventTimestampSql(config),
+    sdrColumns: aliasColumns(goldAliases),
+    measurementFields: measurementFields(measurements),
+    measurementColumns: measurementSelect(measurements),
+    measurementPredicate: measurementPredicate(measurements),
+    ...productGoldVars(config),
+    sourceFilter: whereClause(
+      dates && `${reportDate(config)} IN UNNEST(${dateList(dates)})`,
+      dateFilterCondition(config),
+      reportedTrafficCondition(config)
+    ),
+    measurementEventCodes: JSON.stringify(measurementCodes(config)),
     ignoreHits: JSON.stringify(config.pipeline_config.ignore_hits)
   });
 
   await bq.executeQuery(goldSql);
 
+  // Gold rows are keyed to their hit's date by original_timestamp (date_local is the hit's
+  // already): nudged event timestamps can spill past midnight, so the next day's UTC partition
+  // is searched as well
+  if (dates) {
+    const partitionDate = reportDate(config, 'target.ts_utc', 'target.date_local');
+    const hitDate = reportDate(config, 'target.original_timestamp', 'target.date_local');
+    const replaced = await replacePartitions(config, bq, {
+      table: config.tables.gold,
+      incomingTable: goldTable,
+      deleteWhere: partitionDate === hitDate
+        ? `${hitDate} IN UNNEST(${dateList(dates)})`
+        : `${partitionDate} IN UNNEST(${dateList([...new Set(dates.flatMap(d => [d, shiftDate(d, 1)]))])})
+  AND ${hitDate} IN UNNEST(${dateList(dates)})`
+    });
+    if (!replaced) return transformToGold(config);
+  }
+
   // Get comprehensive metrics
   const metricsSql = `
     SELECT
       COUNT(*) as total_events,
       COUNT(DISTINCT distinct_id) as unique_visitors,
+      COUNT(DISTINCT canonical_id) as unique_people,
+      COUNT(DISTINCT user_id) as known_users,
       COUNT(DISTINCT insert_id) as unique_events,
       SUM(CASE WHEN event_name = 'Page Viewed' THEN 1 ELSE 0 END) as page_view_events,
       SUM(CASE WHEN is_link_tracking THEN 1 ELSE 0 END) as link_tracking_events,
       COUNT(DISTINCT event_name) as unique_event_types,
-      COUNT(DISTINCT DATE(ts_utc)) as date_range_days,
+      COUNT(DISTINCT ${reportDate(config, 'original_timestamp')}) as date_range_days,
       ROUND(AVG(SAFE_CAST(visit_page_num AS FLOAT64)), 2) as avg_pages_per_visit,
       ROUND(AVG(SAFE_CAST(event_sequence AS FLOAT64)), 2) as avg_events_per_hit
     FROM \`${config.project}.${config.dataset}.${config.tables.gold}\`
@@ -74,11 +159,14 @@ export async function transformToGold(config) {
   const [metricsRows] = await bq.bq.query(metricsSql);
   const metrics = metricsRows[0];
 
-  Logger.success(`Gold table created with ${metrics.total_events} events`);
+  Logger.success(`Gold table ${dates ? 'updated' : 'created'} with ${metrics.total_events} events`);
 
   Logger.info('Gold table eventification metrics:');
   Logger.info(`  • Total events: ${metrics.total_events}`);
   Logger.info(`  • Unique visitors: ${metrics.unique_visitors}`);
+  if (useIdentity) {
+    Logger.info(`  • Stitched people (canonical_id): ${metrics.unique_people} (${metrics.known_users} known users)`);
+  }
   Logger.info(`  • Page view events: ${metrics.page_view_events}`);
   Logger.info(`  • Link tracking events: ${metrics.link_tracking_events}`);
   Logger.info(`  • Unique event types: ${metrics.unique_event_types}`);
@@ -86,9 +174,19 @@ export async function transformToGold(config) {
   Logger.info(`  • Avg pages per visit: ${metrics.avg_pages_per_visit}`);
   Logger.info(`  • Avg events per hit: ${metrics.avg_events_per_hit}`);
 
-  // Get Silver row count for DQ comparison
-  const silverCountSql = `SELECT COUNT(*) as row_count FROM \`${config.project}.${config.dataset}.${config.tables.silver}\``;
+  // Get Silver row count for DQ comparison; bot/internal rows left out of gold are not counted
+  const trafficCondition = reportedTrafficCondition(config);
+  const silverCountSql = `
+    SELECT
+      ${trafficCondition ? `COUNTIF(${trafficCondition})` : 'COUNT(*)'} as row_count,
+      COUNTIF(traffic_class != 'human') as flagged_rows
+    FROM \`${config.project}.${config.dataset}.${config.tables.silver}\`
+  `;
   const [silverRows] = await bq.bq.query(silverCountSql);
+  const flaggedRows = silverRows[0].flagged_rows;
+  if (flaggedRows) {
+    Logger.info(`Bot/internal traffic: ${flaggedRows} silver hits ${trafficCondition ? 'excluded from' : 'kept in'} gold (pipeline_config.traffic_filter.exclude_in_gold)`);
+  }
 
   // Sample the most common events
   const topEventsSql = `
@@ -106,7 +204,7 @@ export async function transformToGold(config) {
   });
 
   // Gold-specific data quality checks
-  await performGoldDataQuality(config, bq, { ...stats, silver_rows: silverRows[0].row_count });
+  await performGoldDataQuality(config, bq, { ...metrics, silver_rows: silverRows[0].row_count });
 
   Logger.success('Gold transformation complete - data is now fully eventified!');
 }
@@ -141,6 +239,13 @@ async function performGoldDataQuality(config, bq, stats) {
     Logger.success(`Event expansion ratio looks healthy (${expansionRatio.toFixed(2)}x)`);
   }
 
+  // insert_id is derived from the hit, event code and position, so it must be unique
+  if (stats.unique_events < stats.total_events) {
+    Logger.warn(`⚠️  ${stats.total_events - stats.unique_events} gold rows share an insert_id; check for duplicate hits in silver`);
+  } else {
+    Logger.success('✅ insert_id is unique across gold');
+  }
+
   // Validate visitor preservation
   if (eventStats.unique_visitors === stats.unique_visitors) {
     Logger.success(`Visitor preservation validated (${eventStats.unique_visitors} visitors)`);
@@ -171,7 +276,8 @@ async function performGoldDataQuality(config, bq, stats) {
 if (import.meta.url === `file://${process.argv[1]}`) {
   try {
     const configData = await readFile('./config.json', 'utf8');
-    const config = JSON.parse(configData);
+    // --incremental [--files a,b | --since YYYY-MM-DD --until YYYY-MM-DD] [--start-date YYYY-MM-DD] [--end-date YYYY-MM-DD]
+    const config = applyDateFilterArgs(applyIncrementalArgs(JSON.parse(configData)));
     await transformToGold(config);
   } catch (error) {
     Logger.error(`Gold transformation failed: ${error.message}`);
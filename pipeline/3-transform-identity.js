@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+
+import { readFile } from 'fs/promises';
+import { Logger, BigQueryHelper, loadSqlTemplate } from './utils.js';
+import { applyIncrementalArgs, pendingDates } from './incremental.js';
+import { applyDateFilterArgs, whereClause } from './date-filter.js';
+import { reportedTrafficCondition } from './traffic-filter.js';
+import { sessionsTable } from './3-transform-sessions.js';
+
+// ------------------------------
+// Identity stitching
+// ------------------------------
+//
+// Gold keys hits on distinct_id, so a visitor who logs in shows up both as an anonymous visid
+// and as a known ID. This stage links every distinct_id in silver to the identifiers seen on its
+// hits (visid, mcvisid, post_cust_visid and the login eVar) in {identity}_edges, groups the
+// connected identifiers into clusters in {identity}, and names each cluster: user_id is its
+// login (or custom visitor ID), canonical_id that or the cluster's smallest distinct_id.
+// Gold joins the map on distinct_id. Hits kept out of gold by the traffic filter add no links.
+//
+export function identitySettings(config) {
+  const settings = config.pipeline_config?.identity || {};
+  return {
+    enabled: settings.enabled ?? false,
+    loginColumn: settings.login_column || null,
+    maxIterations: settings.max_iterations ?? 20,
+    maxClusterSize: settings.max_cluster_size ?? 1000
+  };
+}
+
+export function identityTables(config) {
+  const identityTable = config.tables.identity || `${config.tables.gold}_identity`;
+  return { identityTable, edgesTable: `${identityTable}_edges` };
+}
+
+// Join clause that adds user_id and canonical_id (NULL when unresolved) to a query over silver
+export async function identityJoinSql(config, bq) {
+  if (!identitySettings(config).enabled) {
+    return 'CROSS JOIN (SELECT CAST(NULL AS STRING) AS user_id, CAST(NULL AS STRING) AS canonical_id)';
+  }
+
+  const { identityTable } = identityTables(config);
+  if (!(await bq.tableExists(identityTable))) {
+    throw new Error(`Identity table ${identityTable} not found; run npm run identity first`);
+  }
+  return `LEFT JOIN (
+    SELECT node_value AS distinct_id, user_id, canonical_id
+    FROM \`${config.project}.${config.dataset}.${identityTable}\`
+    WHERE node_type = 'distinct_id'
+  ) USING (distinct_id)`;
+}
+
+// Give gold and sessions rows the cluster their visitor now belongs to
+async function restitchExistingRows(config, bq, previousTable) {
+  const targets = [];
+  for (const table of [config.tables.gold, sessionsTable(config)]) {
+    if (await bq.tableExists(table)) targets.push(table);
+  }
+
+  const sql = await loadSqlTemplate('./models/restitch-identity.sql', {
+    project: config.project,
+    dataset: config.dataset,
+    identityTable: identityTables(config).identityTable,
+    previousTable,
+    updates: targets.map(table => `UPDATE \`${config.project}.${config.dataset}.${table}\` target
+SET user_id = changed.user_id, canonical_id = COALESCE(changed.canonical_id, target.distinct_id)
+FROM changed_visitors changed
+WHERE target.distinct_id = changed.distinct_id;`).join('\n\n')
+  });
+  const [rows] = await bq.bq.query(sql);
+
+  const changed = rows[0].changed_visitors;
+  if (changed > 0 && targets.length) {
+    Logger.info(`Restitched ${changed} visitors whose cluster changed in ${targets.join(' and ')}`);
+  }
+}
+
+async function performIdentityDataQuality(config, bq, run) {
+  Logger.info('Running identity data quality checks...');
+
+  const { identityTable, edgesTable } = identityTables(config);
+  const table = (name) => `\`${config.project}.${config.dataset}.${name}\``;
+
+  const [edgeRows] = await bq.bq.query(`
+    SELECT target_type, COUNT(*) AS edges, SUM(hits) AS hits
+    FROM ${table(edgesTable)}
+    GROUP BY target_type
+    ORDER BY edges DESC
+  `);
+  Logger.info('Identity edges (distinct_id → identifier):');
+  for (const row of edgeRows) {
+    Logger.info(`  • ${row.target_type}: ${row.edges} edges over ${row.hits} hits`);
+  }
+
+  const [clusterRows] = await bq.bq.query(`
+    WITH clusters AS (
+      SELECT cluster_key, ANY_VALUE(cluster_size) AS cluster_size, ANY_VALUE(visitor_count) AS visitor_count,
+        ANY_VALUE(known_id_count) AS known_id_count, ANY_VALUE(is_oversized) AS is_oversized,
+        ANY_VALUE(user_id) AS user_id
+      FROM ${table(identityTable)}
+      GROUP BY cluster_key
+    )
+    SELECT
+      CASE
+        WHEN visitor_count <= 1 THEN '1'
+        WHEN visitor_count = 2 THEN '2'
+        WHEN visitor_count <= 5 THEN '3-5'
+        WHEN visitor_count <= 10 THEN '6-10'
+        WHEN visitor_count <= 100 THEN '11-100'
+        ELSE '100+'
+      END AS bucket,
+      MIN(visitor_count) AS sort_key,
+      COUNT(*) AS clusters,
+      SUM(visitor_count) AS visitors,
+      COUNTIF(user_id IS NOT NULL) AS known_clusters,
+      COUNTIF(known_id_count > 1) AS multi_known_clusters,
+      COUNTIF(is_oversized) AS oversized_clusters
+    FROM clusters
+    GROUP BY bucket
+    ORDER BY sort_key
+  `);
+
+  const totals = clusterRows.reduce((acc, row) => ({
+    clusters: acc.clusters + row.clusters,
+    visitors: acc.visitors + row.visitors,
+    known: acc.known + row.known_clusters,
+    multiKnown: acc.multiKnown + row.multi_known_clusters,
+    oversized: acc.oversized + row.oversized_clusters
+  }), { clusters: 0, visitors: 0, known: 0, multiKnown: 0, oversized: 0 });
+
+  Logger.info(`Identity clusters: ${totals.clusters} clusters over ${totals.visitors} visitors, ${totals.known} with a user_id`);
+  Logger.info('Cluster size distribution (visitors per cluster):');
+  for (const row of clusterRows) {
+    Logger.info(`  • ${row.bucket}: ${row.clusters} clusters, ${row.visitors} visitors`);
+  }
+
+  if (run.unconverged_nodes > 0) {
+    Logger.warn(`⚠️  Label propagation stopped after ${run.iterations} iterations with ${run.unconverged_nodes} labels still changing; raise identity.max_iterations`);
+  } else {
+    Logger.success(`✅ Identity clusters converged in ${run.iterations} iterations`);
+  }
+
+  if (totals.oversized > 0) {
+    Logger.warn(`⚠️  ${totals.oversized} clusters exceed identity.max_cluster_size (${identitySettings(config).maxClusterSize} nodes) and were left unresolved (shared devices or logins?)`);
+  }
+  if (totals.multiKnown > 0) {
+    Logger.warn(`⚠️  ${totals.multiKnown} clusters contain more than one known ID; user_id picks the login first, then the smallest value`);
+  }
+
+  return totals;
+}
+
+export async function buildIdentityGraph(config) {
+  Logger.info('=== Identity Stitching Phase ===\n\n');
+
+  const settings = identitySettings(config);
+  if (!settings.enabled) {
+    Logger.info('Identity stitching disabled (pipeline_config.identity.enabled); gold uses distinct_id as canonical_id');
+    return;
+  }
+
+  const { identityTable, edgesTable } = identityTables(config);
+  Logger.info(`Linking identifiers in ${config.tables.silver} → ${identityTable}`);
+  Logger.info(`Login identifier: ${settings.loginColumn || 'none (set identity.login_column)'}`);
+  console.log();
+
+  const bq = new BigQueryHelper(config);
+  await bq.ensureDataset();
+
+  // Clusters can span any dates, so incremental runs rebuild the whole graph and then restitch
+  // the gold and sessions rows outside the pending dates
+  const dates = await pendingDates(config, bq, identityTable);
+  if (dates && !dates.length) {
+    Logger.success('No dates to rebuild; identity graph unchanged');
+    return;
+  }
+  if (!dates && await bq.tableExists(identityTable)) {
+    Logger.info(`Identity table ${identityTable} already exists; skipping creation.`);
+    return;
+  }
+
+  if (settings.loginColumn && !/^[a-z_][a-z0-9_]*$/.test(settings.loginColumn)) {
+    throw new Error(`Invalid identity.login_column: ${settings.loginColumn} (expected a sanitized column name such as post_evar10)`);
+  }
+
+  const previousTable = `${identityTable}_previous`;
+  if (dates) {
+    await bq.executeQuery(`
+      CREATE OR REPLACE TABLE \`${config.project}.${config.dataset}.${previousTable}\` AS
+      SELECT node_value AS distinct_id, user_id, canonical_id
+      FROM \`${config.project}.${config.dataset}.${identityTable}\`
+      WHERE node_type = 'distinct_id'
+    `);
+  }
+
+  Logger.info(`Creating identity edges: ${edgesTable}`);
+  const edgesSql = await loadSqlTemplate('./models/create-identity-edges.sql', {
+    project: config.project,
+    dataset: config.dataset,
+    silverTable: config.tables.silver,
+    edgesTable,
+    sourceFilter: whereClause('distinct_id IS NOT NULL', reportedTrafficCondition(config)),
+    loginIdentifier: settings.loginColumn
+      ? `NULLIF(TRIM(CAST(${settings.loginColumn} AS STRING)), '')`
+      : 'CAST(NULL AS STRING)'
+  });
+  await bq.executeQuery(edgesSql);
+
+  Logger.info(`Resolving identity clusters: ${identityTable}`);
+  const mapSql = await loadSqlTemplate('./models/create-identity-map.sql', {
+    project: config.project,
+    dataset: config.dataset,
+    edgesTable,
+    identityTable,
+    maxIterations: settings.maxIterations,
+    maxClusterSize: settings.maxClusterSize
+  });
+  const [runRows] = await bq.bq.query(mapSql);
+
+  await performIdentityDataQuality(config, bq, runRows[0]);
+  if (dates) await restitchExistingRows(config, bq, previousTable);
+
+  Logger.success('Identity stitching complete');
+}
+
+// Allow running as standalone script
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    const configData = await readFile('./config.json', 'utf8');
+    // --incremental [--files a,b | --since YYYY-MM-DD --until YYYY-MM-DD] [--start-date YYYY-MM-DD] [--end-date YYYY-MM-DD]
+    const config = applyDateFilterArgs(applyIncrementalArgs(JSON.parse(configData)));
+    await buildIdentityGraph(config);
+  } catch (error) {
+    Logger.error(`Identity stitching failed: ${error.message}`);
+    process.exit(1);
+  }
+}
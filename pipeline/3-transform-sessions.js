@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+
+import { readFile } from 'fs/promises';
+import { Logger, BigQueryHelper, loadSqlTemplate } from './utils.js';
+import { applyIncrementalArgs, pendingDates, replacePartitions, dateList } from './incremental.js';
+import { applyDateFilterArgs, dateFilterCondition, whereClause } from './date-filter.js';
+import { identityJoinSql } from './3-transform-identity.js';
+import { reportDate } from './timezone.js';
+import { reportedTrafficCondition } from './traffic-filter.js';
+import { sameHit } from './deduplication.js';
+
+// ------------------------------
+// Visits
+// ------------------------------
+//
+// Silver gives every hit a visit_id; pipeline_config.sessions.mode picks how:
+//
+//   adobe     Adobe's own visit: the visitor (post_visid, else distinct_id) + visit_num +
+//             visit_start_time_gmt. Hits without visit_num get no visit_id.
+//   timeout   A new visit starts after timeout_minutes without a hit from the same distinct_id;
+//             visit_id hashes the distinct_id and the visit's first hit time.
+//
+// Both are stable across rebuilds. An incremental silver run only reads the day before each date
+// it rebuilds, so a timeout visit running into that day keeps the visit_id silver already gave it.
+// The sessions stage then rolls hits up into one row per visit.
+//
+const SESSION_MODES = ['adobe', 'timeout'];
+
+export function sessionSettings(config) {
+  const settings = config.pipeline_config?.sessions || {};
+  const result = {
+    mode: settings.mode || 'adobe',
+    timeoutMinutes: settings.timeout_minutes ?? 30
+  };
+  if (!SESSION_MODES.includes(result.mode)) {
+    throw new Error(`Invalid pipeline_config.sessions.mode "${result.mode}" (expected one of: ${SESSION_MODES.join(', ')})`);
+  }
+  if (!(result.timeoutMinutes > 0)) {
+    throw new Error('pipeline_config.sessions.timeout_minutes must be a positive number');
+  }
+  return result;
+}
+
+export function sessionsTable(config) {
+  return config.tables.sessions || `${config.tables.gold}_sessions`;
+}
+
+// CTEs for the silver template: read silver_base, end in "visits" with a visit_id column.
+// priorVisits is a query for the hit key (deduplication.js HIT_KEY) and visit_id of the context
+// rows an incremental run reads but does not rebuild (timeout mode only).
+export function visitsCte(config, priorVisits = null) {
+  const settings = sessionSettings(config);
+
+  if (settings.mode === 'adobe') {
+    return `visits AS (
+  SELECT
+    *,
+    IF(visit_num IS NULL, NULL, TO_HEX(MD5(CONCAT(
+      COALESCE(CONCAT(CAST(post_visid_high AS STRING), '-', CAST(post_visid_low AS STRING)), distinct_id), '|',
+      CAST(visit_num AS STRING), '|',
+      COALESCE(CAST(visit_start_time_gmt AS STRING), '')
+    )))) AS visit_id
+  FROM silver_base
+)`;
+  }
+
+  const visitHash = `TO_HEX(MD5(CONCAT(
+      distinct_id, '|',
+      CAST(UNIX_MICROS(MIN(ts_utc) OVER (PARTITION BY distinct_id, visit_seq)) AS STRING)
+    )))`;
+
+  return `visit_gaps AS (
+  SELECT
+    base.*,
+    ${priorVisits ? 'prior.visit_id' : 'CAST(NULL AS STRING)'} AS prior_visit_id,
+    LAG(base.ts_utc) OVER (PARTITION BY base.distinct_id ORDER BY base.ts_utc) AS prev_hit_ts
+  FROM silver_base base${priorVisits ? `
+  LEFT JOIN ${priorVisits} prior
+    ON ${sameHit('prior', 'base')}` : ''}
+  WHERE base.ts_utc IS NOT NULL
+),
+
+visit_numbers AS (
+  SELECT
+    * EXCEPT (prev_hit_ts),
+    COUNTIF(prev_hit_ts IS NULL OR TIMESTAMP_DIFF(ts_utc, prev_hit_ts, SECOND) > ${Math.round(settings.timeoutMinutes * 60)})
+      OVER (PARTITION BY distinct_id ORDER BY ts_utc ROWS UNBOUNDED PRECEDING) AS visit_seq
+  FROM visit_gaps
+),
+
+visits AS (
+  SELECT
+    * EXCEPT (visit_seq, prior_visit_id),
+    ${priorVisits
+      ? `COALESCE(FIRST_VALUE(prior_visit_id) OVER (PARTITION BY distinct_id, visit_seq ORDER BY ts_utc), ${visitHash})`
+      : visitHash} AS visit_id
+  FROM visit_numbers
+)`;
+}
+
+async function performSessionsDataQuality(config, bq) {
+  Logger.info('Running sessions data quality checks...');
+
+  const [rows] = await bq.bq.query(`
+    SELECT
+      (SELECT COUNTIF(visit_id IS NULL) FROM \`${config.project}.${config.dataset}.${config.tables.silver}\`) AS hits_without_visit,
+      (SELECT COUNT(*) FROM \`${config.project}.${config.dataset}.${config.tables.silver}\`) AS total_hits,
+      COUNTIF(page_count = 0) AS visits_without_page_view,
+      COUNTIF(duration_seconds > 12 * 3600) AS visits_over_12h
+    FROM \`${config.project}.${config.dataset}.${sessionsTable(config)}\`
+  `);
+  const dq = rows[0];
+
+  const pctWithoutVisit = dq.total_hits ? (dq.hits_without_visit / dq.total_hits) * 100 : 0;
+  if (dq.hits_without_visit > 0) {
+    Logger.warn(`⚠️  ${dq.hits_without_visit} hits (${pctWithoutVisit.toFixed(2)}%) have no visit_id${sessionSettings(config).mode === 'adobe' ? ' (no visit_num; consider sessions.mode "timeout")' : ''}`);
+  } else {
+    Logger.success('✅ Every hit has a visit_id');
+  }
+  if (dq.visits_without_page_view > 0) {
+    Logger.info(`  • ${dq.visits_without_page_view} visits have no page view (no entry/exit page)`);
+  }
+  // Adobe ends a visit after 12 hours; longer ones point at a shared or bot visitor ID
+  if (dq.visits_over_12h > 0) {
+    Logger.warn(`⚠️  ${dq.visits_over_12h} visits last longer than 12 hours`);
+  }
+}
+
+export async function buildSessions(config) {
+  Logger.info('=== Sessions Phase ===\n\n');
+
+  const settings = sessionSettings(config);
+  const table = sessionsTable(config);
+  Logger.info(`Rolling up ${config.tables.silver} visits → ${table}`);
+  Logger.info(`Visit mode: ${settings.mode}${settings.mode === 'timeout' ? ` (${settings.timeoutMinutes} min inactivity)` : ''}`);
+  console.log();
+
+  const bq = new BigQueryHelper(config);
+  await bq.ensureDataset();
+
+  // Incremental runs rebuild every visit with a hit on a pending date (null = full build)
+  const dates = await pendingDates(config, bq, table);
+  if (dates && !dates.length) {
+    Logger.success('No dates to rebuild; sessions unchanged');
+    return;
+  }
+  if (!dates && await bq.tableExists(table)) {
+    Logger.info(`Sessions table ${table} already exists; skipping creation.`);
+    return;
+  }
+
+  // Visits can cross midnight, so they are read by visit_id rather than by date
+  const targetTable = dates ? `${table}_incoming` : table;
+  const silver = `\`${config.project}.${config.dataset}.${config.tables.silver}\``;
+  const sql = await loadSqlTemplate('./models/create-sessions.sql', {
+    project: config.project,
+    dataset: config.dataset,
+    silverTable: config.tables.silver,
+    sessionsTable: targetTable,
+    partitionBy: reportDate(config, 'session_start'),
+    identityJoin: await identityJoinSql(config, bq),
+    sourceFilter: whereClause(
+      dates && `visit_id IN (SELECT visit_id FROM ${silver} WHERE ${reportDate(config)} IN UNNEST(${dateList(dates)}) AND visit_id IS NOT NULL)`,
+      dateFilterCondition(config),
+      reportedTrafficCondition(config)
+    )
+  });
+  await bq.executeQuery(sql);
+
+  if (dates) {
+    const replaced = await replacePartitions(config, bq, {
+      table,
+      incomingTable: targetTable,
+      // Visits starting on a pending date that no longer exist (merged into an earlier one) go too
+      deleteWhere: `target.visit_id IN (SELECT visit_id FROM \`${config.project}.${config.dataset}.${targetTable}\`)
+  OR ${reportDate(config, 'target.session_start', 'target.date_local')} IN UNNEST(${dateList(dates)})`
+    });
+    if (!replaced) return buildSessions(config);
+  }
+
+  const [rows] = await bq.bq.query(`
+    SELECT
+      COUNT(*) AS sessions,
+      COUNT(DISTINCT distinct_id) AS visitors,
+      ROUND(AVG(page_count), 2) AS avg_pages,
+      ROUND(AVG(duration_seconds), 1) AS avg_duration_seconds,
+      ROUND(SAFE_DIVIDE(COUNTIF(is_bounce), COUNT(*)) * 100, 1) AS bounce_rate_pct
+    FROM \`${config.project}.${config.dataset}.${table}\`
+  `);
+  const stats = rows[0];
+
+  Logger.success(`Sessions table ${dates ? 'updated' : 'created'} with ${stats.sessions} visits`);
+  Logger.info('Sessions metrics:');
+  Logger.info(`  • Visitors: ${stats.visitors}`);
+  Logger.info(`  • Avg pages per visit: ${stats.avg_pages}`);
+  Logger.info(`  • Avg duration: ${stats.avg_duration_seconds}s`);
+  Logger.info(`  • Bounce rate: ${stats.bounce_rate_pct}%`);
+
+  await performSessionsDataQuality(config, bq);
+
+  Logger.success('Sessions complete');
+}
+
+// Allow running as standalone script
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    const configData = await readFile('./config.json', 'utf8');
+    // --incremental [--files a,b | --since YYYY-MM-DD --until YYYY-MM-DD] [--start-date YYYY-MM-DD] [--end-date YYYY-MM-DD]
+    const config = applyDateFilterArgs(applyIncrementalArgs(JSON.parse(configData)));
+    await buildSessions(config);
+  } catch (error) {
+    Logger.error(`Sessions build failed: ${error.message}`);
+    process.exit(1);
+  }
+}
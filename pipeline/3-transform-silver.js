@@ -2,47 +2,29 @@
 
 import { readFile } from 'fs/promises';
 import { Logger, BigQueryHelper, loadSqlTemplate } from './utils.js';
+import { applyIncrementalArgs, pendingDates, replacePartitions, dateList, shiftDate, loadIncrementalState, saveIncrementalState } from './incremental.js';
+import { applyDateFilterArgs, dateFilterCondition, describeDateFilter, whereClause } from './date-filter.js';
+import { visitsCte } from './3-transform-sessions.js';
+import { sdrColumnAliases, aliasDefinitions } from './sdr-aliases.js';
+import { measurementCodes } from './measurements.js';
+import { productNameSql } from './products.js';
+import { reportDate } from './timezone.js';
+import { isEvarInstanceCode, evarNumberSql } from './evar-codes.js';
+import { BOT_CLASSES, trafficClassColumn, userAgentPatterns, describeTrafficFilter } from './traffic-filter.js';
 
-async function generateSDRColumnAliases(config, bq) {
-  Logger.info('Generating dynamic SDR-based column aliases...');
-
-  // Query eVars mappings from SDR (only standard eVar range 100-199 = eVar1-100)
-  const evarsSql = `
-    SELECT code, name_override
-    FROM \`${config.project}.${config.dataset}.sdr_evars\`
-    WHERE name_override IS NOT NULL
-      AND name_override != ''
-      AND code BETWEEN 100 AND 199
-    ORDER BY code
-  `;
-  const [evarsRows] = await bq.bq.query(evarsSql);
-
-  // Query props mappings from SDR
-  const propsSql = `
-    SELECT PropertyNumber, Name
-    FROM \`${config.project}.${config.dataset}.sdr_props_raw\`
-    WHERE Name IS NOT NULL AND Name != ''
-    ORDER BY PropertyNumber
-  `;
-  const [propsRows] = await bq.bq.query(propsSql);
-
-  // Generate eVar aliases (prefix with evar_ to avoid conflicts)
-  const evarAliases = evarsRows.map(row => {
-    const evarNum = row.code - 99; // Convert code back to eVar number (code 100 = eVar1)
-    const cleanName = row.name_override.toLowerCase().replace(/[^a-zA-Z0-9]/g, '_');
-    return `    post_evar${evarNum} AS evar_${cleanName},`;
-  }).join('\n');
-
-  // Generate prop aliases (prefix with prop_ to avoid conflicts)
-  const propAliases = propsRows.map(row => {
-    const cleanName = row.Name.toLowerCase().replace(/[^a-zA-Z0-9]/g, '_');
-    return `    prop${row.PropertyNumber} AS prop_${cleanName},`;
-  }).join('\n');
-
-  return {
-    evarAliases,
-    propAliases
-  };
+// eVar instance event codes that mark a page view (page_view_detection.evar_instance_codes):
+// 100-199 for eVar1-100 and 9899 + N for eVarN above 100, the codes used by sdr_evars
+function evarInstanceCodes(config) {
+  const detection = config.pipeline_config.page_view_detection;
+  const codes = detection.evar_instance_codes || [];
+  const invalid = codes.filter(code => !isEvarInstanceCode(code));
+  if (invalid.length) {
+    throw new Error(`Invalid pipeline_config.page_view_detection.evar_instance_codes: ${invalid.join(', ')} (expected eVar instance codes 100-199 or 10000+)`);
+  }
+  if (detection.use_evar_instances && !codes.length) {
+    Logger.warn('page_view_detection.use_evar_instances is on but evar_instance_codes is empty; no hit will match it');
+  }
+  return codes;
 }
 
 async function performSilverDataQuality(config, bq, stats) {
@@ -64,7 +46,10 @@ async function performSilverDataQuality(config, bq, stats) {
       SELECT
         COUNTIF(is_page_view) as page_views,
         COUNTIF(NOT is_page_view) as non_page_views,
-        COUNT(*) as total_hits
+        COUNT(*) as total_hits,
+        COUNTIF(page_view_reason = 'post_page_event') as post_page_event_views,
+        COUNTIF(page_view_reason = 'evar_instance') as evar_instance_views,
+        COUNTIF(page_view_reason = 'url_change') as url_change_views
       FROM \`${config.project}.${config.dataset}.${config.tables.silver}\`
     )
     SELECT
@@ -98,11 +83,47 @@ async function performSilverDataQuality(config, bq, stats) {
   } else {
     Logger.success(`✅ Page view distribution: ${dq.pct_page_views.toFixed(1)}% page views, ${(100-dq.pct_page_views).toFixed(1)}% interactions`);
   }
+  Logger.info(`   By rule: post_page_event ${dq.post_page_event_views}, evar_instance ${dq.evar_instance_views}, url_change ${dq.url_change_views}`);
+
+  // Traffic filter volumes, by class
+  const trafficSql = `
+    SELECT traffic_class, LOGICAL_OR(is_bot) as is_bot, COUNT(*) as hits, COUNT(DISTINCT distinct_id) as visitors
+    FROM \`${config.project}.${config.dataset}.${config.tables.silver}\`
+    WHERE traffic_class != 'human'
+    GROUP BY traffic_class
+    ORDER BY hits DESC
+  `;
+  const [trafficRows] = await bq.bq.query(trafficSql);
+  const flaggedHits = trafficRows.reduce((sum, row) => sum + row.hits, 0);
+  if (flaggedHits) {
+    const botHits = trafficRows.filter(row => row.is_bot).reduce((sum, row) => sum + row.hits, 0);
+    const pctFlagged = dq.total_hits ? (flaggedHits / dq.total_hits) * 100 : 0;
+    Logger.warn(`⚠️  Bot/internal traffic: ${flaggedHits} hits (${pctFlagged.toFixed(2)}%): ${botHits} bot, ${flaggedHits - botHits} internal`);
+    trafficRows.forEach(row => Logger.warn(`   ${row.traffic_class}: ${row.hits} hits from ${row.visitors} visitors`));
+  } else {
+    Logger.success('✅ No bot or internal traffic flagged');
+  }
+}
+
+// A visitor's first hit on a day depends on their last hit the day before (URL-change page
+// views, timeout visits running past midnight), so the day after each pending date is rebuilt
+// too when silver already has it
+async function withFollowingDays(config, bq, dates) {
+  const following = dates.map(d => shiftDate(d, 1)).filter(d => !dates.includes(d));
+  if (!following.length) return dates;
+
+  const [rows] = await bq.bq.query(`
+    SELECT DISTINCT CAST(${reportDate(config)} AS STRING) AS d
+    FROM \`${config.project}.${config.dataset}.${config.tables.silver}\`
+    WHERE ${reportDate(config)} IN UNNEST(${dateList(following)})
+  `);
+  return [...dates, ...rows.map(r => r.d)].sort();
 }
 
 export async function transformToSilver(config) {
   Logger.info('=== Silver Transformation Phase ===\n\n');
   Logger.info(`Transforming ${config.tables.bronze} → ${config.tables.silver} (SDR mappings)`);
+  Logger.info(`Date window: ${describeDateFilter(config)}`);
   console.log();
 
   const bq = new BigQueryHelper(config);
@@ -110,8 +131,16 @@ export async function transformToSilver(config) {
   // Ensure dataset exists
   await bq.ensureDataset();
 
+  // Incremental runs rebuild only the dates touched by the last load (null = full build)
+  const bronzeDates = await pendingDates(config, bq, config.tables.silver, { bronzeDates: true });
+  if (bronzeDates && !bronzeDates.length) {
+    Logger.success('No dates to rebuild; silver unchanged');
+    return;
+  }
+  const dates = bronzeDates && await withFollowingDays(config, bq, bronzeDates);
+
   // Check if Silver table already exists
-  if (await bq.tableExists(config.tables.silver)) {
+  if (!dates && await bq.tableExists(config.tables.silver)) {
     Logger.info(`Silver table ${config.tables.silver} already exists; skipping creation.`);
     return;
   }
@@ -125,10 +154,24 @@ export async function transformToSilver(config) {
   await bq.executeQuery(eventMapSql);
   Logger.success('Event mapping table created');
 
-  Logger.info(`Creating Silver table: ${config.tables.silver}`);
+  // The previous day is read too so URL-change detection sees each visitor's prior hit and
+  // timeout visits continue with the visit_id they already have
+  const silverTable = dates ? `${config.tables.silver}_incoming` : config.tables.silver;
+  const contextDates = dates ? [...new Set(dates.map(d => shiftDate(d, -1)))].filter(d => !dates.includes(d)) : [];
+  if (dates) {
+    Logger.info(`Rebuilding ${dates.length} Silver dates (${dates[0]} → ${dates[dates.length - 1]}) via ${silverTable}`);
+  } else {
+    Logger.info(`Creating Silver table: ${config.tables.silver}`);
+  }
 
   // Generate dynamic SDR-based column aliases
-  const sdrAliases = await generateSDRColumnAliases(config, bq);
+  const sdrAliases = await sdrColumnAliases(config, bq);
+
+  // post_product_list event and merchandising eVar names from the SDR
+  const productNames = await productNameSql(config, bq);
+
+  // Bot and internal traffic rules
+  Logger.info(`Traffic filter: ${describeTrafficFilter(config, (await userAgentPatterns(config)).length)}`);
 
   // Load SQL template with pipeline config parameters and dynamic SDR aliases
   const pipelineConfig = config.pipeline_config;
@@ -136,21 +179,50 @@ export async function transformToSilver(config) {
     project: config.project,
     dataset: config.dataset,
     bronzeTable: config.tables.bronze,
-    silverTable: config.tables.silver,
+    silverTable,
+    partitionBy: reportDate(config),
+    sourceFilter: whereClause(
+      dates && `${reportDate(config)} IN UNNEST(${dateList([...contextDates, ...dates])})`,
+      dateFilterCondition(config)
+    ),
+    outputFilter: dates ? `\n  AND ${reportDate(config)} IN UNNEST(${dateList(dates)})` : '',
     usePostPageEvent: pipelineConfig.page_view_detection.use_post_page_event,
     useEvarInstances: pipelineConfig.page_view_detection.use_evar_instances,
+    evarInstanceCodes: JSON.stringify(evarInstanceCodes(config)),
+    evarNumber: evarNumberSql('SAFE_CAST(event.event_code AS INT64)'),
     useUrlChange: pipelineConfig.page_view_detection.use_url_change,
-    measurementEventCodes: JSON.stringify(pipelineConfig.measurement_event_codes),
-    evarAliases: sdrAliases.evarAliases,
-    propAliases: sdrAliases.propAliases
+    measurementEventCodes: JSON.stringify(measurementCodes(config)),
+    visitsCte: visitsCte(config, contextDates.length ? `(
+  SELECT hitid_high, hitid_low, visit_num, visit_page_num, visit_id
+  FROM \`${config.project}.${config.dataset}.${config.tables.silver}\`
+  WHERE ${reportDate(config)} IN UNNEST(${dateList(contextDates)})
+)` : null),
+    trafficClass: await trafficClassColumn(config),
+    rateDate: reportDate(config),
+    botClasses: JSON.stringify(BOT_CLASSES),
+    ...productNames,
+    evarAliases: aliasDefinitions(sdrAliases.filter(a => a.kind === 'evar')),
+    propAliases: aliasDefinitions(sdrAliases.filter(a => a.kind === 'prop'))
   });
 
   await bq.executeQuery(silverSql);
 
+  if (dates) {
+    const replaced = await replacePartitions(config, bq, {
+      table: config.tables.silver,
+      incomingTable: silverTable,
+      deleteWhere: `${reportDate(config, 'target.ts_utc', 'target.date_local')} IN UNNEST(${dateList(dates)})`
+    });
+    if (!replaced) return transformToSilver(config);
+
+    const state = await loadIncrementalState(config);
+    await saveIncrementalState(config, { ...state, run: { ...state.run, silverDates: dates } });
+  }
+
   // Get row count and validation
   const countSql = `SELECT COUNT(*) as row_count FROM \`${config.project}.${config.dataset}.${config.tables.silver}\``;
   const [rows] = await bq.bq.query(countSql);
-  Logger.success(`Silver table created with ${rows[0].row_count} rows`);
+  Logger.success(`Silver table ${dates ? 'updated' : 'created'} with ${rows[0].row_count} rows`);
 
   // Quality metrics for Silver
   const qualitySql = `
@@ -160,7 +232,10 @@ export async function transformToSilver(config) {
       SUM(CASE WHEN is_page_view THEN 1 ELSE 0 END) as page_views,
       SUM(CASE WHEN NOT is_page_view THEN 1 ELSE 0 END) as link_tracking_hits,
       SUM(ARRAY_LENGTH(events_enhanced)) as total_events,
-      COUNT(DISTINCT DATE(ts_utc)) as unique_days
+      COUNT(DISTINCT ${reportDate(config)}) as unique_days,
+      COUNT(DISTINCT visit_id) as visits,
+      COUNTIF(ARRAY_LENGTH(products) > 0) as hits_with_products,
+      SUM(ARRAY_LENGTH(products)) as products
     FROM \`${config.project}.${config.dataset}.${config.tables.silver}\`
   `;
 
@@ -173,6 +248,8 @@ export async function transformToSilver(config) {
   Logger.info(`  • Page views: ${stats.page_views}`);
   Logger.info(`  • Link tracking hits: ${stats.link_tracking_hits}`);
   Logger.info(`  • Total events: ${stats.total_events}`);
+  Logger.info(`  • Visits: ${stats.visits}`);
+  Logger.info(`  • Products: ${stats.products} on ${stats.hits_with_products} hits`);
   Logger.info(`  • Date range: ${stats.unique_days} unique days`);
 
   // Silver-specific data quality checks
@@ -185,7 +262,8 @@ export async function transformToSilver(config) {
 if (import.meta.url === `file://${process.argv[1]}`) {
   try {
     const configData = await readFile('./config.json', 'utf8');
-    const config = JSON.parse(configData);
+    // --incremental [--files a,b | --since YYYY-MM-DD --until YYYY-MM-DD] [--start-date YYYY-MM-DD] [--end-date YYYY-MM-DD]
+    const config = applyDateFilterArgs(applyIncrementalArgs(JSON.parse(configData)));
     await transformToSilver(config);
   } catch (error) {
     Logger.error(`Silver transformation failed: ${error.message}`);
@@ -4,10 +4,15 @@ import { readFile } from 'fs/promises';
 import { Logger, BigQueryHelper } from './utils.js';
 import { transformToBronze } from './3-transform-bronze.js';
 import { transformToSilver } from './3-transform-silver.js';
+import { buildIdentityGraph, identitySettings, identityTables } from './3-transform-identity.js';
 import { transformToGold } from './3-transform-gold.js';
+import { buildSessions } from './3-transform-sessions.js';
+import { applyIncrementalArgs } from './incremental.js';
+import { applyDateFilterArgs, dateFilterCondition, describeDateFilter } from './date-filter.js';
+import { reportDate, describeTimezone } from './timezone.js';
 
 export async function transform(config) {
-  Logger.info('=== Transformation Phase (Bronze → Silver → Gold) ===\n\n');
+  Logger.info('=== Transformation Phase (Bronze → Silver → Identity → Gold → Sessions) ===\n\n');
   console.log();
 
   try {
@@ -21,11 +26,21 @@ export async function transform(config) {
     await transformToSilver(config);
     Logger.success('✅ Silver transformation complete\n');
 
-    // Step 3: Silver → Gold (eventification)
-    Logger.info('🥇 Step 3: Transform silver to gold (eventification)');
+    // Step 3: Silver → identity graph (stitching)
+    Logger.info('🔗 Step 3: Stitch visitor identities');
+    await buildIdentityGraph(config);
+    Logger.success('✅ Identity stitching complete\n');
+
+    // Step 4: Silver → Gold (eventification)
+    Logger.info('🥇 Step 4: Transform silver to gold (eventification)');
     await transformToGold(config);
     Logger.success('✅ Gold transformation complete\n');
 
+    // Step 5: Silver → sessions (one row per visit)
+    Logger.info('🧭 Step 5: Build sessions table');
+    await buildSessions(config);
+    Logger.success('✅ Sessions complete\n');
+
     // Generate comprehensive transformation summary
     await generateTransformationSummary(config);
 
@@ -41,6 +56,11 @@ async function generateTransformationSummary(config) {
 
   const bq = new BigQueryHelper(config);
 
+  // Bronze and later layers only hold the dateFilter window; raw holds everything loaded
+  Logger.info(`📅 Effective date window: ${describeDateFilter(config)}`);
+  Logger.info(`🕒 Report-suite timezone: ${describeTimezone(config)}`);
+  console.log();
+
   // Tables to analyze
   const transformationTables = [
     { name: config.tables.raw, type: 'Raw', description: 'Original Adobe Analytics data', layer: 0 },
@@ -65,18 +85,23 @@ async function generateTransformationSummary(config) {
               COUNT(DISTINCT CONCAT(CAST(post_visid_high AS STRING), '-', CAST(post_visid_low AS STRING))) as unique_visitors,
               0 as date_range_days,
               CAST(NULL AS TIMESTAMP) as earliest_timestamp,
-              CAST(NULL AS TIMESTAMP) as latest_timestamp
+              CAST(NULL AS TIMESTAMP) as latest_timestamp,
+              0 as outside_window
             FROM \`${config.project}.${config.dataset}.${table.name}\`
           `;
         } else {
-          // Bronze, Silver, Gold have ts_utc and distinct_id
+          // Bronze, Silver, Gold have ts_utc and distinct_id; gold event timestamps are
+          // nudged past the hit's, so its window check uses the hit's original_timestamp
+          const hitTimestamp = table.type === 'Gold' ? 'original_timestamp' : 'ts_utc';
+          const windowCondition = dateFilterCondition(config, hitTimestamp);
           statsSql = `
             SELECT
               COUNT(*) as total_rows,
               COUNT(DISTINCT distinct_id) as unique_visitors,
-              COUNT(DISTINCT DATE(ts_utc)) as date_range_days,
+              COUNT(DISTINCT ${reportDate(config, hitTimestamp)}) as date_range_days,
               MIN(ts_utc) as earliest_timestamp,
-              MAX(ts_utc) as latest_timestamp
+              MAX(ts_utc) as latest_timestamp,
+              ${windowCondition ? `COUNTIF(NOT (${windowCondition}))` : '0'} as outside_window
             FROM \`${config.project}.${config.dataset}.${table.name}\`
             WHERE ts_utc IS NOT NULL
           `;
@@ -90,7 +115,8 @@ async function generateTransformationSummary(config) {
           ...stats,
           total_rows: parseInt(stats.total_rows),
           unique_visitors: parseInt(stats.unique_visitors),
-          date_range_days: parseInt(stats.date_range_days)
+          date_range_days: parseInt(stats.date_range_days),
+          outside_window: parseInt(stats.outside_window)
         });
       } else {
         layerStats.push({
@@ -124,6 +150,11 @@ async function generateTransformationSummary(config) {
 
       Logger.success(`  ${layer.type}: ${rowsFormatted} rows, ${visitorsFormatted} visitors - ${layer.description}`);
 
+      // Existing tables are not rebuilt, so one built under another window keeps its dates
+      if (layer.outside_window > 0) {
+        Logger.warn(`    ${layer.outside_window.toLocaleString()} rows outside the date window; reset ${layer.name} to rebuild it for this window`);
+      }
+
       // Show expansion/reduction from previous layer
       if (index > 0 && layerStats[index - 1] && !layerStats[index - 1].missing && !layerStats[index - 1].error) {
         const prevLayer = layerStats[index - 1];
@@ -203,6 +234,38 @@ async function generateTransformationSummary(config) {
     }
   }
 
+  // Identity graph: edges and how many visitors each stitched person spans
+  const { identityTable, edgesTable } = identityTables(config);
+  if (identitySettings(config).enabled && await bq.tableExists(identityTable)) {
+    try {
+      const identitySql = `
+        WITH clusters AS (
+          SELECT cluster_key, ANY_VALUE(visitor_count) AS visitor_count, ANY_VALUE(user_id) AS user_id
+          FROM \`${config.project}.${config.dataset}.${identityTable}\`
+          GROUP BY cluster_key
+        )
+        SELECT
+          (SELECT COUNT(*) FROM \`${config.project}.${config.dataset}.${edgesTable}\`) AS edges,
+          COUNT(*) AS clusters,
+          COUNTIF(user_id IS NOT NULL) AS known_clusters,
+          COUNTIF(visitor_count > 1) AS stitched_clusters,
+          APPROX_QUANTILES(visitor_count, 100)[OFFSET(50)] AS p50_visitors,
+          APPROX_QUANTILES(visitor_count, 100)[OFFSET(99)] AS p99_visitors,
+          MAX(visitor_count) AS max_visitors
+        FROM clusters
+      `;
+      const [identityRows] = await bq.bq.query(identitySql);
+      const identity = identityRows[0];
+
+      Logger.info('🔗 Identity Stitching:');
+      Logger.info(`  • Edges: ${identity.edges.toLocaleString()}`);
+      Logger.info(`  • Clusters: ${identity.clusters.toLocaleString()} (${identity.known_clusters.toLocaleString()} with a user_id, ${identity.stitched_clusters.toLocaleString()} spanning several visitors)`);
+      Logger.info(`  • Visitors per cluster: p50 ${identity.p50_visitors}, p99 ${identity.p99_visitors}, max ${identity.max_visitors}`);
+    } catch (error) {
+      Logger.warn(`  • Could not get identity statistics: ${error.message}`);
+    }
+  }
+
   console.log();
 }
 
@@ -210,7 +273,8 @@ async function generateTransformationSummary(config) {
 if (import.meta.url === `file://${process.argv[1]}`) {
   try {
     const configData = await readFile('./config.json', 'utf8');
-    const config = JSON.parse(configData);
+    // --incremental [--files a,b | --since YYYY-MM-DD --until YYYY-MM-DD] [--start-date YYYY-MM-DD] [--end-date YYYY-MM-DD]
+    const config = applyDateFilterArgs(applyIncrementalArgs(JSON.parse(configData)));
     await transform(config);
   } catch (error) {
     Logger.error(`Transformation failed: ${error.message}`);
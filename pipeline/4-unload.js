@@ -1,39 +1,79 @@
 #!/usr/bin/env node
 
 import { readFile } from 'fs/promises';
+import { createGzip } from 'zlib';
+import { pipeline } from 'stream/promises';
+import { Transform } from 'stream';
 import { Logger, BigQueryHelper } from './utils.js';
+import { getStorage, parseUri } from './storage.js';
+import { applyDateFilterArgs, dateFilterCondition, describeDateFilter, whereClause } from './date-filter.js';
+
+// EXPORT DATA only writes to GCS. For file:// and mem:// destinations, stream the query
+// results and write a single gzipped JSON-lines shard named like BigQuery's first shard.
+async function exportToStorage(bq, selectSql, exportPrefix) {
+  const target = exportPrefix.includes('*')
+    ? exportPrefix.replace('*', '000000000000')
+    : exportPrefix;
+
+  const rows = bq.bq.createQueryStream({ query: selectSql, useLegacySql: false });
+  const toJsonLines = new Transform({
+    writableObjectMode: true,
+    transform(row, _enc, cb) {
+      cb(null, JSON.stringify(row) + '\n');
+    }
+  });
+  const out = await getStorage(target).createWriteStream(target, { contentEncoding: 'gzip' });
+
+  await pipeline(rows, toJsonLines, createGzip(), out);
+  return target;
+}
 
 export async function unload(config) {
   Logger.info('=== Export Phase ===\n\n');
   Logger.info(`Exporting ${config.project}.${config.dataset}.${config.tables.gold} -> ${config.gcs.exportPrefix}`);
+  Logger.info(`Date window: ${describeDateFilter(config)}`);
   console.log();
 
   const bq = new BigQueryHelper(config);
 
-  // Export all data without date filtering
-
-  // Export query
-  const exportSql = `
-    EXPORT DATA OPTIONS(
-      uri='${config.gcs.exportPrefix}',
-      format='JSON',
-      compression='GZIP'
-    )
-    AS
+  // Export the dateFilter window (everything when none is set). Gold event timestamps are
+  // nudged a few seconds past their hit, so the window applies to the hit's original_timestamp.
+  // Gold has event_name and page_name; the hits_found, events and pagename columns this used to
+  // ask for never existed there (see the README's output schema)
+  const selectSql = `
     SELECT
       ts_utc,
       distinct_id,
+      event_name,
       is_page_view,
-      hits_found,
-      events,
       page_url,
-      pagename,
+      page_name,
       geo_country,
       country_name,         -- denormalized label if mapped
       browser_name,
       operating_system_name,
       user_agent
     FROM \`${config.project}.${config.dataset}.${config.tables.gold}\`
+    ${whereClause(dateFilterCondition(config, 'original_timestamp'))}
+  `;
+
+  if (parseUri(config.gcs.exportPrefix).scheme !== 'gs') {
+    Logger.info('Streaming query results to non-GCS destination...');
+    const target = await exportToStorage(bq, selectSql, config.gcs.exportPrefix);
+    Logger.success('Export complete');
+    Logger.info(`Data exported to: ${target}`);
+    return;
+  }
+
+  // Export query
+  const exportSql = `
+    EXPORT DATA OPTIONS(
+      uri='${config.gcs.exportPrefix}',
+      format='JSON',
+      compression='GZIP'
+    )
+    AS
+    ${selectSql.trim()}
   `;
 
   Logger.info('Starting export job...');
@@ -47,7 +87,8 @@ export async function unload(config) {
 if (import.meta.url === `file://${process.argv[1]}`) {
   try {
     const configData = await readFile('./config.json', 'utf8');
-    const config = JSON.parse(configData);
+    // [--start-date YYYY-MM-DD] [--end-date YYYY-MM-DD]
+    const config = applyDateFilterArgs(JSON.parse(configData));
     await unload(config);
   } catch (error) {
     Logger.error(`Export failed: ${error.message}`);
@@ -2,6 +2,7 @@
 
 import { readFile } from 'fs/promises';
 import { Logger, BigQueryHelper } from './utils.js';
+import { clearIncrementalState } from './incremental.js';
 
 async function listAllTablesAndViews(bq) {
   try {
@@ -49,6 +50,11 @@ export async function reset(config) {
 
   const bq = new BigQueryHelper(config);
 
+  // The incremental state describes the tables being dropped; a later load starts over
+  if (await clearIncrementalState(config)) {
+    Logger.info('Cleared incremental state');
+  }
+
   // List all tables and views in the dataset
   const tableNames = await listAllTablesAndViews(bq);
 
@@ -0,0 +1,203 @@
+import { dirname, basename } from 'path';
+import { createHash } from 'crypto';
+import { Logger } from './utils.js';
+import { getStorage, joinUri } from './storage.js';
+
+// ------------------------------
+// Adobe data feed manifest
+// ------------------------------
+//
+// Adobe delivers a .txt manifest with every data feed delivery:
+//
+//   Datafeed-Manifest-Version: 1.0
+//   Lookup-Files: 1
+//   Data-Files: 1
+//   Total-Records: 611
+//
+//   Lookup-File: rsid_2023-01-01-lookup_data.tar.gz
+//   MD5-Digest: af6de42d8b945d4ec1cf28360085308
+//   File-Size: 63750
+//
+//   Data-File: 01-rsid_2023-01-01.tsv.gz
+//   MD5-Digest: 9c70bf783cb3d0095a4836904b72c991
+//   File-Size: 122534
+//   Record-Count: 611
+//
+// Files are listed relative to the manifest's own folder.
+//
+export function parseAdobeManifest(text) {
+  const header = {};
+  const files = [];
+  let current = null;
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) {
+      current = null;
+      continue;
+    }
+
+    const idx = line.indexOf(':');
+    if (idx < 0) continue;
+    const key = line.slice(0, idx).trim();
+    const value = line.slice(idx + 1).trim();
+
+    if (key === 'Data-File' || key === 'Lookup-File') {
+      current = { kind: key === 'Data-File' ? 'data' : 'lookup', name: value, md5: null, size: null, records: null };
+      files.push(current);
+    } else if (current && key === 'MD5-Digest') {
+      current.md5 = value.toLowerCase();
+    } else if (current && key === 'File-Size') {
+      current.size = Number(value);
+    } else if (current && key === 'Record-Count') {
+      current.records = Number(value);
+    } else if (!current) {
+      header[key] = value;
+    }
+  }
+
+  const toNumber = (v) => (v === undefined ? null : Number(v));
+  return {
+    version: header['Datafeed-Manifest-Version'] || null,
+    declaredDataFiles: toNumber(header['Data-Files']),
+    declaredLookupFiles: toNumber(header['Lookup-Files']),
+    totalRecords: toNumber(header['Total-Records']),
+    dataFiles: files.filter(f => f.kind === 'data'),
+    lookupFiles: files.filter(f => f.kind === 'lookup')
+  };
+}
+
+// Storage backends report MD5 as base64 (GCS md5Hash); Adobe lists hex
+function base64ToHex(b64) {
+  return b64 ? Buffer.from(b64, 'base64').toString('hex') : null;
+}
+
+async function hashObject(uri) {
+  const hash = createHash('md5');
+  for await (const chunk of getStorage(uri).createReadStream(uri)) hash.update(chunk);
+  return hash.digest('hex');
+}
+
+function manifestSettings(config) {
+  const settings = config.pipeline_config?.adobe_manifest || {};
+  return {
+    enabled: settings.enabled ?? true,
+    required: settings.required ?? false,
+    uri: settings.uri || joinUri(dirname(config.gcs.sourceUri), '*.txt'),
+    verifyMd5: settings.verify_md5 ?? true,
+    maxMissingRecords: settings.max_missing_records ?? 0
+  };
+}
+
+export async function loadAdobeManifests(config) {
+  const settings = manifestSettings(config);
+  if (!settings.enabled) return [];
+
+  const uris = await getStorage(settings.uri).list(settings.uri);
+  const manifests = [];
+  for (const uri of uris) {
+    const text = (await getStorage(uri).readFile(uri)).toString('utf8');
+    const parsed = parseAdobeManifest(text);
+    // Skip unrelated .txt files that happen to match the pattern
+    if (!parsed.version && !parsed.dataFiles.length) continue;
+    manifests.push({ uri, dir: dirname(uri), ...parsed });
+  }
+  return manifests;
+}
+
+// Check every file listed in the Adobe manifests: delivered, expected size, matching MD5,
+// and (with a preprocess manifest) that reconstruct() kept as many records as Adobe sent.
+// Returns { manifests, files, records, problems, warnings }; callers decide whether to throw.
+export async function verifyAdobeManifests(config, { preprocessManifest = null, sourceFiles = [] } = {}) {
+  const settings = manifestSettings(config);
+  const result = { manifests: 0, files: 0, records: 0, problems: [], warnings: [] };
+  if (!settings.enabled) return result;
+
+  const manifests = await loadAdobeManifests(config);
+  result.manifests = manifests.length;
+
+  if (!manifests.length) {
+    const message = `No Adobe feed manifest found at ${settings.uri}`;
+    if (settings.required) result.problems.push(message);
+    else result.warnings.push(`${message}; delivered files were not verified`);
+    return result;
+  }
+
+  const listed = new Set();
+
+  for (const manifest of manifests) {
+    const name = basename(manifest.uri);
+
+    if (manifest.declaredDataFiles !== null && manifest.declaredDataFiles !== manifest.dataFiles.length) {
+      result.problems.push(`${name}: declares ${manifest.declaredDataFiles} data files but lists ${manifest.dataFiles.length} (truncated manifest?)`);
+    }
+
+    for (const file of [...manifest.dataFiles, ...manifest.lookupFiles]) {
+      const uri = joinUri(manifest.dir, file.name);
+      listed.add(uri);
+      result.files++;
+
+      const stat = await getStorage(uri).stat(uri);
+      if (!stat) {
+        result.problems.push(`${file.name}: listed in ${name} but not delivered`);
+        continue;
+      }
+
+      if (file.size !== null && stat.size !== file.size) {
+        result.problems.push(`${file.name}: size ${stat.size} bytes, manifest says ${file.size} (incomplete transfer?)`);
+        continue;
+      }
+
+      // Prefer a digest we already have: the object metadata, then the checksum preprocess
+      // computed while reading the file; hash the object only as a last resort
+      const entry = preprocessManifest?.get(uri);
+      const current = entry && !preprocessManifest.staleReason(uri, stat);
+      let md5 = base64ToHex(stat.md5) || (current ? base64ToHex(entry.checksum) : null);
+      if (!md5 && settings.verifyMd5 && file.md5) md5 = await hashObject(uri);
+
+      if (md5 && file.md5 && md5 !== file.md5) {
+        result.problems.push(`${file.name}: MD5 ${md5} does not match manifest ${file.md5}`);
+        continue;
+      }
+
+      if (file.kind !== 'data' || file.records === null) continue;
+      result.records += file.records;
+
+      if (!current || !entry.result) {
+        if (preprocessManifest) result.warnings.push(`${file.name}: not preprocessed yet; record count not checked`);
+        continue;
+      }
+
+      const { records, ok } = entry.result;
+      if (records < file.records) {
+        result.problems.push(`${file.name}: reconstructed ${records} of ${file.records} records (truncated?)`);
+      } else if (file.records - ok > settings.maxMissingRecords) {
+        result.problems.push(`${file.name}: kept ${ok} of ${file.records} records; ${file.records - ok} missing (see ${entry.rejects || 'rejects'})`);
+      } else if (records > file.records) {
+        result.warnings.push(`${file.name}: reconstructed ${records} records, manifest lists ${file.records} (rows split by embedded newlines?)`);
+      }
+    }
+  }
+
+  for (const file of sourceFiles) {
+    if (!listed.has(file)) result.warnings.push(`${basename(file)}: not listed in any Adobe manifest`);
+  }
+
+  return result;
+}
+
+// Log a verification result and throw when it found problems
+export function assertAdobeManifests(check) {
+  for (const warning of check.warnings.slice(0, 10)) Logger.warn(warning);
+  if (check.warnings.length > 10) Logger.warn(`... and ${check.warnings.length - 10} more warnings`);
+
+  if (check.problems.length) {
+    const shown = check.problems.slice(0, 10).map(p => `  - ${p}`).join('\n');
+    const more = check.problems.length > 10 ? `\n  ... and ${check.problems.length - 10} more` : '';
+    throw new Error(`Adobe manifest verification failed for ${check.problems.length} file(s):\n${shown}${more}`);
+  }
+
+  if (check.manifests) {
+    Logger.success(`Adobe manifest verified: ${check.files} files in ${check.manifests} manifest(s), ${check.records} records expected`);
+  }
+}
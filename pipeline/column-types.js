@@ -0,0 +1,88 @@
+import { Logger } from './utils.js';
+
+// ------------------------------
+// Adobe column types
+// ------------------------------
+//
+// prepare() types each raw column from this dictionary (keyed by sanitized column name);
+// anything not listed stays STRING. Override per column with pipeline_config.column_types:
+//
+//   "column_types": { "post_evar12": "INT64", "geo_dma": "STRING" }
+//
+// The sample config ships no overrides: a numeric type on a column that also holds text turns
+// those values into NULL, so only add one for a column known to be numeric.
+//
+// The feed is always loaded as STRING first and cast with SAFE_CAST (see safeCastColumns),
+// so a bad value becomes NULL instead of rejecting the row.
+//
+export const COLUMN_TYPES = ['STRING', 'INT64', 'NUMERIC'];
+
+const INT64_COLUMNS = [
+  // Timestamps (epoch seconds or millis)
+  'hit_time_gmt', 'cust_hit_time_gmt', 'post_cust_hit_time_gmt', 'first_hit_time_gmt',
+  'last_hit_time_gmt', 'last_purchase_time_gmt', 'visit_start_time_gmt',
+
+  // Counters and visitor flags
+  'visit_num', 'visit_page_num', 'last_purchase_num', 'new_visit', 'daily_visitor',
+  'hourly_visitor', 'weekly_visitor', 'monthly_visitor', 'quarterly_visitor',
+  'yearly_visitor', 'duplicate_purchase',
+
+  // Hit classification
+  'page_event', 'post_page_event', 'hit_source', 'exclude_hit', 'visid_type',
+  'post_visid_type', 'va_closer_id', 'va_finder_id', 'va_instance_event', 'va_new_engagement',
+
+  // Lookup ids (joined against lookups/values/*.tsv)
+  'browser', 'os', 'color', 'connection_type', 'country', 'javascript', 'language',
+  'resolution', 'ref_type', 'visit_ref_type', 'search_engine', 'post_search_engine',
+  'visit_search_engine', 'geo_dma', 'mobile_id', 'curr_factor',
+
+  // Dimensions in pixels
+  'browser_height', 'browser_width', 'post_browser_height', 'post_browser_width'
+];
+
+const NUMERIC_COLUMNS = ['curr_rate', 'latitude', 'longitude'];
+
+// Numeric-looking identifiers that must stay STRING: visid/hitid halves are unsigned
+// 64-bit values that overflow INT64, and the preprocess anchors match them as text
+const STRING_ONLY_COLUMNS = [
+  'hitid_high', 'hitid_low', 'visid_high', 'visid_low', 'post_visid_high', 'post_visid_low'
+];
+
+const DEFAULT_TYPES = new Map([
+  ...INT64_COLUMNS.map(name => [name, 'INT64']),
+  ...NUMERIC_COLUMNS.map(name => [name, 'NUMERIC'])
+]);
+
+// Returns a type for each sanitized column name, applying config overrides
+export function resolveColumnTypes(columns, overrides = {}) {
+  const known = new Set(columns);
+
+  for (const [name, type] of Object.entries(overrides)) {
+    if (!COLUMN_TYPES.includes(type)) {
+      throw new Error(`Invalid type "${type}" for column ${name} in pipeline_config.column_types (expected one of: ${COLUMN_TYPES.join(', ')})`);
+    }
+    if (type !== 'STRING' && STRING_ONLY_COLUMNS.includes(name)) {
+      throw new Error(`Column ${name} must stay STRING (unsigned 64-bit identifier)`);
+    }
+    if (!known.has(name)) {
+      Logger.warn(`pipeline_config.column_types names ${name}, which is not in the header`);
+    }
+  }
+
+  return columns.map(name => overrides[name] || DEFAULT_TYPES.get(name) || 'STRING');
+}
+
+// SELECT list that turns an all-STRING staging table into the typed raw schema
+export function safeCastColumns(schema) {
+  return schema
+    .map(field => field.type === 'STRING' ? field.name : `SAFE_CAST(${field.name} AS ${field.type}) AS ${field.name}`)
+    .join(',\n  ');
+}
+
+// One COUNTIF per typed column: values that were present but did not parse
+export function castFailureCounts(schema) {
+  return schema
+    .filter(field => field.type !== 'STRING')
+    .map(field => `COUNTIF(${field.name} NOT IN ('', ':', '-', '--') AND SAFE_CAST(${field.name} AS ${field.type}) IS NULL) AS ${field.name}`)
+    .join(',\n  ');
+}
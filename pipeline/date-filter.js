@@ -0,0 +1,79 @@
+// ------------------------------
+// Date window
+// ------------------------------
+//
+// config.dateFilter { startDate, endDate } (YYYY-MM-DD, inclusive, either may be omitted)
+// limits which hits flow from raw into bronze, silver and gold, and what unload() exports.
+// The window applies to the report date (timezone.js reportDate): DATE(ts_utc) by default, or
+// date_local when timezone.date_basis is "local". --start-date / --end-date override it.
+//
+import { timezoneSettings, reportDate } from './timezone.js';
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Date.parse rolls 2024-02-30 over to March 1st, so the date must survive a round trip
+export function isIsoDate(value) {
+  if (typeof value !== 'string' || !ISO_DATE.test(value)) return false;
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === value;
+}
+
+export function applyDateFilterArgs(config, argv = process.argv) {
+  const value = (flag) => {
+    const i = argv.indexOf(flag);
+    return i >= 0 && argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[i + 1] : null;
+  };
+  const startDate = value('--start-date');
+  const endDate = value('--end-date');
+  if (!startDate && !endDate) return config;
+
+  config.dateFilter = {
+    ...config.dateFilter,
+    ...(startDate && { startDate }),
+    ...(endDate && { endDate })
+  };
+  return config;
+}
+
+// Returns { startDate, endDate } with nulls for open ends, or null when no window is set
+export function resolveDateFilter(config) {
+  const startDate = config.dateFilter?.startDate || null;
+  const endDate = config.dateFilter?.endDate || null;
+  if (!startDate && !endDate) return null;
+
+  for (const [name, value] of [['startDate', startDate], ['endDate', endDate]]) {
+    if (value && !isIsoDate(value)) {
+      throw new Error(`dateFilter.${name} must be a YYYY-MM-DD date, got: ${value}`);
+    }
+  }
+  if (startDate && endDate && startDate > endDate) {
+    throw new Error(`dateFilter.startDate (${startDate}) is after endDate (${endDate})`);
+  }
+  return { startDate, endDate };
+}
+
+// SQL predicate for the window on the report date of a timestamp column (or of localColumn
+// with a local date basis); null when no window is set
+export function dateFilterCondition(config, column = 'ts_utc', localColumn = 'date_local') {
+  const filter = resolveDateFilter(config);
+  if (!filter) return null;
+
+  const date = reportDate(config, column, localColumn);
+  const conditions = [];
+  if (filter.startDate) conditions.push(`${date} >= DATE '${filter.startDate}'`);
+  if (filter.endDate) conditions.push(`${date} <= DATE '${filter.endDate}'`);
+  return conditions.join(' AND ');
+}
+
+export function describeDateFilter(config) {
+  const filter = resolveDateFilter(config);
+  if (!filter) return 'all dates';
+  const basis = timezoneSettings(config).dateBasis === 'local' ? 'local dates' : 'UTC';
+  return `${filter.startDate || 'beginning'} → ${filter.endDate || 'latest'} (${basis})`;
+}
+
+// Join optional SQL conditions into a WHERE clause ('' when there are none)
+export function whereClause(...conditions) {
+  const present = conditions.filter(Boolean);
+  return present.length ? `WHERE ${present.join('\n    AND ')}` : '';
+}
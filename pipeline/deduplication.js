@@ -0,0 +1,64 @@
+// ------------------------------
+// Hit deduplication
+// ------------------------------
+//
+// Feed redeliveries and overlapping hourly files deliver the same hit more than once. Raw
+// records each row's feed file in source_file; bronze ranks the copies of a hit (same
+// hitid_high/hitid_low, and the same visit_num/visit_page_num so colliding IDs of different hits
+// are kept apart; gold's hit_id is built from the same key) and moves every copy but one to the
+// audit table ({bronze}_duplicates):
+//
+//   "deduplication": { "enabled": true, "keep": "latest" }
+//
+// keep "first" (default) keeps the copy from the first source file by name, "latest" the last;
+// Adobe names files by date and hour, so that is delivery order. Rows without a hitid are kept.
+// Full builds rank every copy in bronze; incremental runs rank the incoming copies together with
+// the one already kept, so both end up with the same row and the same audit table.
+//
+const KEEP_POLICIES = { first: 'ASC', latest: 'DESC' };
+
+// Columns identifying one hit; the visit columns may be NULL, so matches compare them with
+// IS NOT DISTINCT FROM
+export const HIT_KEY = 'hitid_high, hitid_low, visit_num, visit_page_num';
+
+export function sameHit(left, right) {
+  return `${left}.hitid_high = ${right}.hitid_high AND ${left}.hitid_low = ${right}.hitid_low
+    AND ${left}.visit_num IS NOT DISTINCT FROM ${right}.visit_num
+    AND ${left}.visit_page_num IS NOT DISTINCT FROM ${right}.visit_page_num`;
+}
+
+export function deduplicationSettings(config) {
+  const settings = config.pipeline_config?.deduplication || {};
+  const result = {
+    enabled: settings.enabled ?? true,
+    keep: settings.keep || 'first'
+  };
+  if (!KEEP_POLICIES[result.keep]) {
+    throw new Error(`Invalid pipeline_config.deduplication.keep "${result.keep}" (expected one of: ${Object.keys(KEEP_POLICIES).join(', ')})`);
+  }
+  return result;
+}
+
+export function duplicatesTable(config) {
+  return config.tables.duplicates || `${config.tables.bronze}_duplicates`;
+}
+
+// ORDER BY for the copies of one hit; the kept copy sorts first
+export function deliveryOrder(config) {
+  return `source_file ${KEEP_POLICIES[deduplicationSettings(config).keep]}`;
+}
+
+// delivery_rank expression for the bronze template (1 = kept copy)
+export function deliveryRankColumn(config) {
+  if (!deduplicationSettings(config).enabled) return '1';
+  return `IF(hitid_high IS NULL OR hitid_low IS NULL, 1,
+    ROW_NUMBER() OVER (PARTITION BY ${HIT_KEY} ORDER BY ${deliveryOrder(config)}))`;
+}
+
+// MERGE condition under which an incoming copy replaces the row already in raw: it sorts first
+// under the keep policy, or it comes from the same file (a reload)
+export function replacesKeptCopy(config, source = 'source', target = 'target') {
+  if (!deduplicationSettings(config).enabled) return 'TRUE';
+  const operator = deduplicationSettings(config).keep === 'first' ? '<=' : '>=';
+  return `${source}.source_file ${operator} ${target}.source_file`;
+}
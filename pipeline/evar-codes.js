@@ -0,0 +1,33 @@
+// ------------------------------
+// eVar instance event codes
+// ------------------------------
+//
+// The feed's event_list reports "Instance of eVarN" as an event code, in two ranges (the same
+// mapping as sdr_evars in create-sdr-maps.sql):
+//
+//   eVar1-100     codes 100-199     (99 + N)
+//   eVar101+      codes 10000+      (9899 + N)
+//
+export function evarInstanceCode(evarNumber) {
+  if (!Number.isInteger(evarNumber) || evarNumber < 1) {
+    throw new Error(`Invalid eVar number: ${evarNumber}`);
+  }
+  return evarNumber <= 100 ? 99 + evarNumber : 9899 + evarNumber;
+}
+
+export function evarNumberForCode(code) {
+  if (!isEvarInstanceCode(code)) return null;
+  return code <= 199 ? code - 99 : code - 9899;
+}
+
+export function isEvarInstanceCode(code) {
+  return Number.isInteger(code) && ((code >= 100 && code <= 199) || code >= 10000);
+}
+
+// SQL for the eVar number of an INT64 instance code expression (NULL for other codes)
+export function evarNumberSql(codeExpr) {
+  return `CASE
+          WHEN ${codeExpr} BETWEEN 100 AND 199 THEN ${codeExpr} - 99
+          WHEN ${codeExpr} >= 10000 THEN ${codeExpr} - 9899
+        END`;
+}
@@ -0,0 +1,64 @@
+// ------------------------------
+// Hit exclusion
+// ------------------------------
+//
+// Adobe leaves some feed rows out of reporting: exclude_hit > 0 (bot rules, IP filters, VISTA)
+// and hit_source 5, 7, 8 and 9 (summary data, full processing data sources, etc.). Bronze tags
+// every row with the first matching rule in exclusion_reason and moves tagged rows to the
+// quarantine table ({bronze}_quarantine by default), so they are kept but never reach silver.
+//
+//   "hit_exclusion": {
+//     "enabled": true,
+//     "exclude_hit": true,
+//     "hit_sources": [5, 7, 8, 9],
+//     "rules": [{ "reason": "qa_suite", "where": "post_evar20 = 'qa'" }]
+//   }
+//
+// rules add custom conditions over the raw feed columns; each row reports the first rule it matches.
+//
+export const DEFAULT_EXCLUDED_HIT_SOURCES = [5, 7, 8, 9];
+
+const REASON_NAME = /^[a-z_][a-z0-9_]*$/;
+
+export function exclusionSettings(config) {
+  const settings = config.pipeline_config?.hit_exclusion || {};
+  const result = {
+    enabled: settings.enabled ?? true,
+    excludeHit: settings.exclude_hit ?? true,
+    hitSources: settings.hit_sources || DEFAULT_EXCLUDED_HIT_SOURCES,
+    rules: settings.rules || []
+  };
+  if (!Array.isArray(result.hitSources) || !result.hitSources.every(Number.isInteger)) {
+    throw new Error('pipeline_config.hit_exclusion.hit_sources must be a list of hit_source values');
+  }
+  for (const rule of result.rules) {
+    if (!rule || !REASON_NAME.test(rule.reason || '') || typeof rule.where !== 'string' || !rule.where.trim()) {
+      throw new Error(`Invalid hit_exclusion rule ${JSON.stringify(rule)}: expected { "reason": "lowercase_name", "where": "SQL condition" }`);
+    }
+  }
+  return result;
+}
+
+export function quarantineTable(config) {
+  return config.tables.quarantine || `${config.tables.bronze}_quarantine`;
+}
+
+// exclusion_reason expression for the bronze template (NULL = reported hit)
+export function exclusionReasonColumn(config) {
+  const settings = exclusionSettings(config);
+  if (!settings.enabled) return 'CAST(NULL AS STRING)';
+
+  const branches = [];
+  if (settings.excludeHit) {
+    branches.push(`WHEN SAFE_CAST(exclude_hit AS INT64) > 0 THEN 'exclude_hit'`);
+  }
+  if (settings.hitSources.length) {
+    branches.push(`WHEN SAFE_CAST(hit_source AS INT64) IN UNNEST(${JSON.stringify(settings.hitSources)}) THEN CONCAT('hit_source_', CAST(SAFE_CAST(hit_source AS INT64) AS STRING))`);
+  }
+  for (const rule of settings.rules) {
+    branches.push(`WHEN ${rule.where} THEN '${rule.reason}'`);
+  }
+  if (!branches.length) return 'CAST(NULL AS STRING)';
+
+  return `CASE\n      ${branches.join('\n      ')}\n      ELSE NULL\n    END`;
+}
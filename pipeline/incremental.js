@@ -0,0 +1,190 @@
+import { readFile, writeFile, unlink } from 'fs/promises';
+import { existsSync } from 'fs';
+import { basename } from 'path';
+import { Logger, loadSqlTemplate } from './utils.js';
+
+// ------------------------------
+// Incremental runs
+// ------------------------------
+//
+// With pipeline_config.incremental.enabled (or --incremental), load() puts only the selected
+// feed files into {raw}_incoming and merges them into raw on hitid; bronze, silver and gold
+// then rebuild just the report-date partitions (timezone.js reportDate) those hits touch. Which files were loaded and
+// which dates are pending live in tmp/incremental-state.json (kept when prepare() clears tmp,
+// cleared by reset() along with the tables it describes).
+//
+// Files are selected by, in order of precedence:
+//   files            explicit names or URIs
+//   since / until    feed date (YYYY-MM-DD) in the file name, inclusive
+//   (neither)        files not loaded before, or changed since they were
+//
+export const INCREMENTAL_STATE_FILE = 'incremental-state.json';
+
+export function incrementalSettings(config) {
+  const settings = config.pipeline_config?.incremental || {};
+  return {
+    enabled: settings.enabled ?? false,
+    files: settings.files || null,
+    since: settings.since || null,
+    until: settings.until || null
+  };
+}
+
+// Fold --incremental, --files a,b, --since YYYY-MM-DD and --until YYYY-MM-DD into config
+export function applyIncrementalArgs(config, argv = process.argv) {
+  const value = (flag) => {
+    const i = argv.indexOf(flag);
+    return i >= 0 && argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[i + 1] : null;
+  };
+  const files = value('--files');
+  const since = value('--since');
+  const until = value('--until');
+  if (!argv.includes('--incremental') && !files && !since && !until) return config;
+
+  const incremental = { ...config.pipeline_config?.incremental, enabled: true };
+  if (files) incremental.files = files.split(',').map(f => f.trim()).filter(Boolean);
+  if (since) incremental.since = since;
+  if (until) incremental.until = until;
+  config.pipeline_config = { ...config.pipeline_config, incremental };
+  return config;
+}
+
+function statePath(config) {
+  return `${config.paths.tmpDir}/${INCREMENTAL_STATE_FILE}`;
+}
+
+export async function loadIncrementalState(config) {
+  const path = statePath(config);
+  if (!existsSync(path)) return { loadedFiles: {}, run: null };
+  return JSON.parse(await readFile(path, 'utf8'));
+}
+
+export async function saveIncrementalState(config, state) {
+  await writeFile(statePath(config), JSON.stringify({ ...state, updatedAt: new Date().toISOString() }, null, 2));
+}
+
+export async function clearIncrementalState(config) {
+  const path = statePath(config);
+  if (!existsSync(path)) return false;
+  await unlink(path);
+  return true;
+}
+
+const FEED_DATE = /(\d{4}-\d{2}-\d{2})/;
+
+// Pick the files this run should load; stats come from the storage backend
+export function selectIncrementalFiles(files, stats, settings, state) {
+  if (settings.files) {
+    const wanted = new Set(settings.files);
+    const selected = files.filter(f => wanted.has(f) || wanted.has(basename(f)));
+    const found = new Set(selected.flatMap(f => [f, basename(f)]));
+    const missing = settings.files.filter(f => !found.has(f));
+    if (missing.length) throw new Error(`Incremental files not found: ${missing.join(', ')}`);
+    return selected;
+  }
+
+  if (settings.since || settings.until) {
+    return files.filter(f => {
+      const date = basename(f).match(FEED_DATE)?.[1];
+      if (!date) {
+        Logger.warn(`No feed date in ${basename(f)}; skipped by the --since/--until window`);
+        return false;
+      }
+      return (!settings.since || date >= settings.since) && (!settings.until || date <= settings.until);
+    });
+  }
+
+  return files.filter(f => {
+    const loaded = state.loadedFiles[f];
+    const stat = stats.get(f);
+    return !loaded || loaded.size !== stat?.size || loaded.generation !== stat?.generation;
+  });
+}
+
+// SQL list literal for a set of YYYY-MM-DD dates
+export function dateList(dates) {
+  return `[${dates.map(d => `DATE '${d}'`).join(', ')}]`;
+}
+
+export function shiftDate(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// Dates pending from the last incremental load; null means "not incremental, build everything".
+// Silver also rebuilds the day after each pending date (run.silverDates), since new hits change
+// the first hits of the next day there; later stages rebuild those too. Silver itself asks for
+// the bronze dates so a rerun does not keep moving a day further.
+export async function pendingDates(config, bq, tableName, { bronzeDates = false } = {}) {
+  if (!incrementalSettings(config).enabled || !(await bq.tableExists(tableName))) return null;
+
+  const state = await loadIncrementalState(config);
+  if (!state.run?.dates) {
+    throw new Error('Incremental run has no affected dates; run npm run load and npm run bronze with --incremental first');
+  }
+  return bronzeDates ? state.run.dates : state.run.silverDates ?? state.run.dates;
+}
+
+// Differences between two INFORMATION_SCHEMA column lists ({ name, type }); null when the
+// incoming rows can be inserted into the existing table by column name
+export function describeSchemaDrift(existing, incoming) {
+  const existingTypes = new Map(existing.map(c => [c.name, c.type]));
+  const incomingTypes = new Map(incoming.map(c => [c.name, c.type]));
+  const added = incoming.filter(c => !existingTypes.has(c.name)).map(c => c.name);
+  const removed = existing.filter(c => !incomingTypes.has(c.name)).map(c => c.name);
+  const retyped = incoming
+    .filter(c => existingTypes.has(c.name) && existingTypes.get(c.name) !== c.type)
+    .map(c => `${c.name} ${existingTypes.get(c.name)} → ${c.type}`);
+  const parts = [
+    added.length && `new columns: ${added.join(', ')}`,
+    removed.length && `dropped columns: ${removed.join(', ')}`,
+    retyped.length && `type changes: ${retyped.join(', ')}`
+  ].filter(Boolean);
+  return parts.length ? parts.join('; ') : null;
+}
+
+async function tableColumns(config, bq, tables) {
+  const [rows] = await bq.bq.query({
+    query: `
+      SELECT table_name, column_name, data_type
+      FROM \`${config.project}.${config.dataset}.INFORMATION_SCHEMA.COLUMNS\`
+      WHERE table_name IN UNNEST(@tables)
+      ORDER BY table_name, ordinal_position
+    `,
+    params: { tables }
+  });
+  return new Map(tables.map(t => [t, rows.filter(r => r.table_name === t).map(r => ({ name: r.column_name, type: r.data_type }))]));
+}
+
+// An incremental run writes the current schema; when the existing table was built with an older
+// one (columns added by a later change, say), both tables are dropped and the caller rebuilds the
+// table in full. Returns true when that happened.
+export async function dropOnSchemaDrift(config, bq, { table, incomingTable }) {
+  const columns = await tableColumns(config, bq, [table, incomingTable]);
+  const drift = describeSchemaDrift(columns.get(table), columns.get(incomingTable));
+  if (!drift) return false;
+
+  Logger.warn(`${table} was built with a different schema (${drift}); rebuilding it in full`);
+  await bq.executeQuery(`DROP TABLE IF EXISTS \`${config.project}.${config.dataset}.${incomingTable}\``);
+  await bq.executeQuery(`DROP TABLE IF EXISTS \`${config.project}.${config.dataset}.${table}\``);
+  return true;
+}
+
+// Swap the rows of table matched by deleteWhere (written against the alias "target")
+// for the contents of incomingTable. Returns false, with both tables dropped, on schema drift.
+export async function replacePartitions(config, bq, { table, incomingTable, deleteWhere }) {
+  if (await dropOnSchemaDrift(config, bq, { table, incomingTable })) return false;
+
+  const columns = (await tableColumns(config, bq, [table])).get(table).map(c => `\`${c.name}\``).join(', ');
+  const sql = await loadSqlTemplate('./models/replace-partitions.sql', {
+    project: config.project,
+    dataset: config.dataset,
+    table,
+    incomingTable,
+    deleteWhere,
+    columns
+  });
+  await bq.executeQuery(sql);
+  return true;
+}
@@ -0,0 +1,97 @@
+import { getStorage, joinUri } from './storage.js';
+
+// ------------------------------
+// Preprocessing manifest
+// ------------------------------
+//
+// A JSON document kept next to the preprocessed output (transformDest) that records,
+// per input file, what we saw (size, generation/mtime, checksum) and what reconstruct()
+// produced. preprocess() uses it to skip files that are already done; validate() uses it
+// to prove every source file was processed against its current contents.
+//
+export const MANIFEST_NAME = '_preprocess-manifest.json';
+const MANIFEST_VERSION = 1;
+
+export class PreprocessManifest {
+  constructor(uri, data = {}) {
+    this.uri = uri;
+    this.data = { version: MANIFEST_VERSION, files: {}, ...data };
+    this._pending = Promise.resolve();
+  }
+
+  static uriFor(transformDest) {
+    return joinUri(transformDest, MANIFEST_NAME);
+  }
+
+  static async load(transformDest) {
+    const uri = PreprocessManifest.uriFor(transformDest);
+    const storage = getStorage(uri);
+
+    if (!(await storage.exists(uri))) {
+      return new PreprocessManifest(uri);
+    }
+
+    const raw = await storage.readFile(uri);
+    try {
+      return new PreprocessManifest(uri, JSON.parse(raw.toString('utf8')));
+    } catch (error) {
+      throw new Error(`Preprocess manifest is not valid JSON: ${uri} (${error.message})`);
+    }
+  }
+
+  get size() {
+    return Object.keys(this.data.files).length;
+  }
+
+  get(inputUri) {
+    return this.data.files[inputUri];
+  }
+
+  // Returns null when the entry is complete and still matches the input file, otherwise
+  // a short human-readable reason the file needs (re)processing.
+  staleReason(inputUri, stat) {
+    const entry = this.get(inputUri);
+    if (!entry) return 'not processed';
+    if (entry.status !== 'complete') return entry.status === 'failed' ? `failed: ${entry.error}` : entry.status;
+    if (!stat) return 'source file missing';
+    if (entry.size !== stat.size) return `size changed (${entry.size} → ${stat.size})`;
+    if (entry.generation !== stat.generation) return `generation changed (${entry.generation} → ${stat.generation})`;
+    if (entry.checksum && stat.md5 && entry.checksum !== stat.md5) return 'checksum changed';
+    return null;
+  }
+
+  markComplete(inputUri, { stat, checksum, outputUri, rejectsUri, result }) {
+    this.data.files[inputUri] = {
+      status: 'complete',
+      size: stat?.size ?? null,
+      generation: stat?.generation ?? null,
+      checksum: checksum || stat?.md5 || null,
+      output: outputUri,
+      rejects: rejectsUri || null,
+      result,
+      updatedAt: new Date().toISOString()
+    };
+    return this.save();
+  }
+
+  markFailed(inputUri, { stat, error }) {
+    this.data.files[inputUri] = {
+      status: 'failed',
+      size: stat?.size ?? null,
+      generation: stat?.generation ?? null,
+      checksum: null,
+      error: error.message,
+      updatedAt: new Date().toISOString()
+    };
+    return this.save();
+  }
+
+  // Writes are chained so concurrent file completions never interleave partial documents
+  save() {
+    this._pending = this._pending.catch(() => {}).then(() => {
+      this.data.updatedAt = new Date().toISOString();
+      return getStorage(this.uri).writeFile(this.uri, JSON.stringify(this.data, null, 2));
+    });
+    return this._pending;
+  }
+}
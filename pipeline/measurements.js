@@ -0,0 +1,100 @@
+import { Logger } from './utils.js';
+
+// ------------------------------
+// Measurement properties
+// ------------------------------
+//
+// Events listed in pipeline_config.measurement_event_codes are not exploded into gold rows;
+// their values become columns on every gold row of the hit (measurements.<column>). A column is
+// named after the code's event_map name (event209 "Page Load Time" → measurement_page_load_time,
+// or measurement_209 when unnamed). Entries are codes or objects:
+//
+//   "measurement_event_codes": [209, { "code": 236, "aggregate": "sum", "name": "scroll_75" }]
+//
+// aggregate is "first" (default; the first occurrence on the hit) or "sum" (all occurrences).
+// An event without a value counts as 1, as Adobe counter events do.
+//
+const AGGREGATES = ['first', 'sum'];
+
+function normalizeEntry(entry) {
+  const spec = typeof entry === 'object' && entry !== null ? entry : { code: entry };
+  const code = Number(spec.code);
+  if (!Number.isInteger(code) || code <= 0) {
+    throw new Error(`Invalid measurement_event_codes entry ${JSON.stringify(entry)}: expected an event code or { "code", "aggregate", "name" }`);
+  }
+  const aggregate = spec.aggregate || 'first';
+  if (!AGGREGATES.includes(aggregate)) {
+    throw new Error(`Invalid aggregate "${aggregate}" for measurement code ${code} (expected one of: ${AGGREGATES.join(', ')})`);
+  }
+  if (spec.name !== undefined && !/^[a-z_][a-z0-9_]*$/.test(spec.name)) {
+    throw new Error(`Invalid name "${spec.name}" for measurement code ${code}: use lowercase letters, digits and _`);
+  }
+  return { code, aggregate, name: spec.name || null };
+}
+
+// Plain list of the configured codes, for NOT IN UNNEST(...) filters
+export function measurementCodes(config) {
+  return (config.pipeline_config?.measurement_event_codes || []).map(entry => normalizeEntry(entry).code);
+}
+
+function cleanName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+// [{ code, aggregate, column, label }] with column names resolved through event_map
+export async function resolveMeasurements(config, bq) {
+  const specs = (config.pipeline_config?.measurement_event_codes || []).map(normalizeEntry);
+  if (!specs.length) return [];
+
+  const [rows] = await bq.bq.query(`
+    SELECT code, name
+    FROM \`${config.project}.${config.dataset}.event_map\`
+    WHERE code IN UNNEST(${JSON.stringify(specs.map(s => s.code))})
+  `);
+  const names = new Map(rows.map(r => [Number(r.code), r.name]));
+
+  const used = new Set();
+  const seenCodes = new Set();
+  const measurements = [];
+  for (const spec of specs) {
+    if (seenCodes.has(spec.code)) {
+      Logger.warn(`measurement_event_codes lists ${spec.code} more than once; using the first entry`);
+      continue;
+    }
+    seenCodes.add(spec.code);
+
+    const label = names.get(spec.code) || null;
+    const name = spec.name || (label && cleanName(label));
+    let column = name ? `measurement_${name}` : `measurement_${spec.code}`;
+    if (used.has(column)) column = `${column}_${spec.code}`;
+    used.add(column);
+
+    measurements.push({ ...spec, column, label });
+  }
+  return measurements;
+}
+
+// Fields of the measurements STRUCT built in events_classified
+export function measurementFields(measurements) {
+  // BigQuery has no empty STRUCT; keep a placeholder that no projection selects
+  if (!measurements.length) return 'CAST(NULL AS FLOAT64) AS _unused';
+
+  return measurements.map(m => {
+    const match = `SAFE_CAST(event.event_code AS INT64) = ${m.code}`;
+    const value = 'COALESCE(event.event_value, 1)';
+    return m.aggregate === 'sum'
+      ? `(SELECT SUM(${value}) FROM UNNEST(events_enhanced) AS event WHERE ${match}) AS ${m.column}`
+      : `(SELECT ${value} FROM UNNEST(events_enhanced) AS event WITH OFFSET AS pos WHERE ${match} ORDER BY pos LIMIT 1) AS ${m.column}`;
+  }).join(',\n      ');
+}
+
+// "    measurements.<column>," lines for the gold projections
+export function measurementSelect(measurements) {
+  return measurements.map(m => `    measurements.${m.column},`).join('\n');
+}
+
+// Hits that carry any measurement (fallback "Action Tracked" rows)
+export function measurementPredicate(measurements) {
+  if (!measurements.length) return 'FALSE';
+  return measurements.map(m => `measurements.${m.column} IS NOT NULL`).join('\n      OR ');
+}
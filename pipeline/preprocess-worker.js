@@ -0,0 +1,16 @@
+// preprocess-worker.js
+//
+// Worker thread entry for reconstructParallel() in 0a-preprocess.js: reconstructs one byte
+// range of a feed file into a local part file and posts the stats back.
+import { parentPort, workerData } from 'worker_threads';
+import { reconstruct, buildAnchorLayout } from './0a-preprocess.js';
+
+const { uri, range, outPath, rejectsPath, canonicalTabs, options, layout } = workerData;
+
+const result = await reconstruct(uri, outPath, rejectsPath, canonicalTabs, {
+  ...options,
+  layout: buildAnchorLayout(layout),
+  range
+});
+
+parentPort.postMessage(result);
@@ -0,0 +1,80 @@
+import { Logger } from './utils.js';
+import { evarNumberSql } from './evar-codes.js';
+
+// ------------------------------
+// Product list
+// ------------------------------
+//
+// Silver parses post_product_list ("category;product;quantity;price;events;merchandising eVars",
+// comma-separated per product) into a products array:
+//
+//   products ARRAY<STRUCT<category, product, quantity, price,
+//                         events ARRAY<STRUCT<event_code, event_name, event_value>>,
+//                         merchandising ARRAY<STRUCT<evar_number, name, value>>>>
+//
+// Product events ("201=4.99" or "event2=4.99") are named from sdr_custom_events and merchandising
+// eVars ("eVar3=red") from sdr_evars. With pipeline_config.products.explode_in_gold, gold emits
+// one row per product for the commerce events in event_codes (default purchase, product view and
+// cart add) and fills product_category/product_name/product_quantity/product_price.
+//
+const DEFAULT_PRODUCT_EVENT_CODES = [1, 2, 12];
+
+export function productSettings(config) {
+  const settings = config.pipeline_config?.products || {};
+  const result = {
+    explodeInGold: settings.explode_in_gold ?? false,
+    eventCodes: settings.event_codes || DEFAULT_PRODUCT_EVENT_CODES
+  };
+  if (!Array.isArray(result.eventCodes) || !result.eventCodes.every(Number.isInteger)) {
+    throw new Error('pipeline_config.products.event_codes must be a list of event codes');
+  }
+  return result;
+}
+
+// SDR names are free text; escape them for a single-quoted BigQuery literal
+function sqlString(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function caseLookup(expression, entries, fallback) {
+  if (!entries.length) return fallback;
+  const branches = entries.map(([key, name]) => `WHEN ${key} THEN ${sqlString(name)}`).join(' ');
+  return `CASE ${expression} ${branches} ELSE ${fallback} END`;
+}
+
+// Name expressions for the silver template (product event_code → name, eVar number → name)
+export async function productNameSql(config, bq) {
+  const [eventRows] = await bq.bq.query(`
+    SELECT code, name_override
+    FROM \`${config.project}.${config.dataset}.sdr_custom_events\`
+    WHERE code IS NOT NULL
+    ORDER BY code
+  `);
+
+  // sdr_evars codes: 100-199 = eVar1-100, 10000+ = eVar101+
+  const [evarRows] = await bq.bq.query(`
+    SELECT
+      ${evarNumberSql('code')} AS evar_number,
+      name_override
+    FROM \`${config.project}.${config.dataset}.sdr_evars\`
+    WHERE code IS NOT NULL
+      AND name_override IS NOT NULL
+      AND name_override != ''
+    ORDER BY code
+  `);
+
+  Logger.info(`Product list names: ${eventRows.length} SDR events, ${evarRows.length} SDR eVars`);
+  return {
+    productEventName: caseLookup('event_code', eventRows.map(r => [r.code, r.name_override]), "CONCAT('Event ', CAST(event_code AS STRING))"),
+    merchandisingEvarName: caseLookup('evar_number', evarRows.map(r => [r.evar_number, r.name_override]), "CONCAT('eVar', CAST(evar_number AS STRING))")
+  };
+}
+
+// Template variables for the gold business-event branch
+export function productGoldVars(config) {
+  const settings = productSettings(config);
+  return {
+    explodeProducts: settings.explodeInGold,
+    productEventCodes: JSON.stringify(settings.eventCodes)
+  };
+}
@@ -0,0 +1,99 @@
+import { Logger } from './utils.js';
+
+// ------------------------------
+// SDR column aliases
+// ------------------------------
+//
+// Silver adds a business-friendly alias for every eVar and prop named in the Solution Design
+// Reference (post_evar5 AS evar_page_name, prop3 AS prop_previous_page). Gold selects the same
+// aliases, optionally narrowed with pipeline_config.gold_columns:
+//
+//   "gold_columns": { "include": ["evar_*", "prop_page_name"], "exclude": ["evar_internal_*"] }
+//
+// Patterns match the alias or its source column and may use * as a wildcard. An empty or
+// missing include list keeps every alias.
+//
+function cleanName(name) {
+  return name.toLowerCase().replace(/[^a-zA-Z0-9]/g, '_');
+}
+
+// [{ kind, number, source, alias, label }] ordered eVars first, then props
+export async function sdrColumnAliases(config, bq) {
+  Logger.info('Generating dynamic SDR-based column aliases...');
+
+  // Query eVars mappings from SDR (only standard eVar range 100-199 = eVar1-100)
+  const [evarsRows] = await bq.bq.query(`
+    SELECT code, name_override
+    FROM \`${config.project}.${config.dataset}.sdr_evars\`
+    WHERE name_override IS NOT NULL
+      AND name_override != ''
+      AND code BETWEEN 100 AND 199
+    ORDER BY code
+  `);
+
+  // Query props mappings from SDR
+  const [propsRows] = await bq.bq.query(`
+    SELECT PropertyNumber, Name
+    FROM \`${config.project}.${config.dataset}.sdr_props_raw\`
+    WHERE Name IS NOT NULL AND Name != ''
+    ORDER BY PropertyNumber
+  `);
+
+  // Prefix with evar_/prop_ to avoid conflicts with feed columns
+  const candidates = [
+    ...evarsRows.map(row => {
+      const number = row.code - 99; // Convert code back to eVar number (code 100 = eVar1)
+      return { kind: 'evar', number, source: `post_evar${number}`, alias: `evar_${cleanName(row.name_override)}`, label: row.name_override };
+    }),
+    ...propsRows.map(row => ({
+      kind: 'prop', number: Number(row.PropertyNumber), source: `prop${row.PropertyNumber}`, alias: `prop_${cleanName(row.Name)}`, label: row.Name
+    }))
+  ];
+
+  // SDRs often reuse a name ("Page Name" on an eVar and two props); later ones get their number
+  const used = new Set();
+  const aliases = [];
+  for (const candidate of candidates) {
+    if (used.has(candidate.source)) continue;
+    let alias = candidate.alias;
+    if (used.has(alias)) {
+      alias = `${candidate.alias}_${candidate.number}`;
+      Logger.warn(`SDR name "${candidate.label}" is used more than once; ${candidate.source} is aliased as ${alias}`);
+    }
+    used.add(candidate.source);
+    used.add(alias);
+    aliases.push({ ...candidate, alias });
+  }
+
+  Logger.info(`SDR aliases: ${aliases.filter(a => a.kind === 'evar').length} eVars, ${aliases.filter(a => a.kind === 'prop').length} props`);
+  return aliases;
+}
+
+function matcher(pattern) {
+  const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+  return (alias) => regex.test(alias.alias) || regex.test(alias.source);
+}
+
+// Apply pipeline_config.gold_columns include/exclude patterns
+export function selectGoldAliases(config, aliases) {
+  const { include = [], exclude = [] } = config.pipeline_config?.gold_columns || {};
+
+  for (const pattern of include) {
+    if (!aliases.some(matcher(pattern))) {
+      Logger.warn(`gold_columns.include pattern "${pattern}" matches no SDR alias`);
+    }
+  }
+
+  const included = include.length ? aliases.filter(a => include.some(p => matcher(p)(a))) : aliases;
+  return included.filter(a => !exclude.some(p => matcher(p)(a)));
+}
+
+// "    post_evar5 AS evar_page_name," lines for silver
+export function aliasDefinitions(aliases) {
+  return aliases.map(a => `    ${a.source} AS ${a.alias},`).join('\n');
+}
+
+// "    evar_page_name," lines for gold
+export function aliasColumns(aliases) {
+  return aliases.map(a => `    ${a.alias},`).join('\n');
+}
@@ -0,0 +1,335 @@
+import { promises as fs, createReadStream, createWriteStream, existsSync } from 'fs';
+import { dirname, join } from 'path';
+import { Readable, Writable } from 'stream';
+import { createHash } from 'crypto';
+import { Storage } from '@google-cloud/storage';
+
+// ------------------------------
+// URI helpers
+// ------------------------------
+//
+// Every storage location in config (sourceUri, transformDest, rejectsDest, exportPrefix)
+// is a URI. The scheme picks the backend:
+//   gs://bucket/path      -> Google Cloud Storage
+//   file:///abs/path      -> local filesystem (plain paths without a scheme are local too)
+//   mem://bucket/path     -> in-memory fake (dry runs and scratch work; lost on exit)
+//
+export function parseUri(uri) {
+  const m = uri.match(/^([a-z][a-z0-9+.-]*):\/\/(.*)$/i);
+  if (!m) return { scheme: 'file', prefix: '', path: uri };
+
+  const scheme = m[1].toLowerCase();
+  if (scheme === 'file') return { scheme, prefix: 'file://', path: m[2] };
+
+  if (scheme === 'gs' || scheme === 'mem') {
+    const [bucket, ...rest] = m[2].split('/');
+    if (!bucket) throw new Error(`Invalid ${scheme}:// URI (missing bucket): ${uri}`);
+    return { scheme, prefix: `${scheme}://${bucket}/`, bucket, path: rest.join('/') };
+  }
+
+  throw new Error(`Unsupported storage scheme "${scheme}://" in ${uri}`);
+}
+
+export function hasWildcard(uri) {
+  return uri.includes('*') || uri.includes('?');
+}
+
+// Convert a filename wildcard (* and ?) into an anchored RegExp
+export function wildcardToRegExp(pattern) {
+  const escaped = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`);
+}
+
+// Join a directory-like URI and a file name without doubling slashes
+export function joinUri(dir, name) {
+  return dir.endsWith('/') ? `${dir}${name}` : `${dir}/${name}`;
+}
+
+// Split "dir/part-*.tsv" into the literal directory and the file pattern
+function splitPattern(path) {
+  const lastSlash = path.lastIndexOf('/');
+  return {
+    directory: lastSlash >= 0 ? path.substring(0, lastSlash + 1) : '',
+    filePattern: lastSlash >= 0 ? path.substring(lastSlash + 1) : path
+  };
+}
+
+// ------------------------------
+// Google Cloud Storage
+// ------------------------------
+export class GcsStorage {
+  constructor() {
+    this.scheme = 'gs';
+    this._client = null;
+  }
+
+  // Created lazily so local and in-memory runs never need cloud credentials
+  get client() {
+    if (!this._client) this._client = new Storage();
+    return this._client;
+  }
+
+  file(uri) {
+    const { bucket, path } = parseUri(uri);
+    return this.client.bucket(bucket).file(path);
+  }
+
+  async list(pattern, { maxResults } = {}) {
+    const { bucket, path } = parseUri(pattern);
+
+    if (!hasWildcard(path)) {
+      const [files] = await this.client.bucket(bucket).getFiles({ prefix: path, maxResults });
+      return files.map(f => `gs://${bucket}/${f.name}`);
+    }
+
+    const { directory, filePattern } = splitPattern(path);
+    const [files] = await this.client.bucket(bucket).getFiles({ prefix: directory });
+    const regex = wildcardToRegExp(filePattern);
+
+    const uris = files
+      .filter(f => !f.name.substring(directory.length).includes('/'))
+      .filter(f => regex.test(f.name.substring(directory.length)))
+      .map(f => `gs://${bucket}/${f.name}`);
+    return maxResults ? uris.slice(0, maxResults) : uris;
+  }
+
+  async stat(uri) {
+    try {
+      const [meta] = await this.file(uri).getMetadata();
+      return {
+        size: Number(meta.size),
+        generation: String(meta.generation),
+        md5: meta.md5Hash || null,
+        contentEncoding: meta.contentEncoding || null
+      };
+    } catch (error) {
+      if (error.code === 404) return null;
+      throw error;
+    }
+  }
+
+  async exists(uri) {
+    const [exists] = await this.file(uri).exists();
+    return exists;
+  }
+
+  createReadStream(uri, { start, end } = {}) {
+    return this.file(uri).createReadStream({ start, end });
+  }
+
+  async createWriteStream(uri, { contentEncoding } = {}) {
+    return this.file(uri).createWriteStream({
+      resumable: false,
+      metadata: contentEncoding ? { contentEncoding } : undefined,
+    });
+  }
+
+  async readFile(uri) {
+    const [data] = await this.file(uri).download();
+    return data;
+  }
+
+  async writeFile(uri, data) {
+    await this.file(uri).save(data, { resumable: false });
+  }
+
+  async delete(uri) {
+    await this.file(uri).delete({ ignoreNotFound: true });
+  }
+}
+
+// ------------------------------
+// Local filesystem
+// ------------------------------
+export class LocalStorage {
+  constructor() {
+    this.scheme = 'file';
+  }
+
+  // file:///abs/path -> /abs/path, file://rel/path -> rel/path, plain paths untouched
+  toPath(uri) {
+    return parseUri(uri).path;
+  }
+
+  async list(pattern, { maxResults } = {}) {
+    const { prefix, path } = parseUri(pattern);
+
+    let uris;
+    if (!hasWildcard(path)) {
+      const stats = await fs.stat(path).catch(() => null);
+      if (!stats) {
+        uris = [];
+      } else if (stats.isDirectory()) {
+        const entries = await fs.readdir(path, { withFileTypes: true });
+        uris = entries
+          .filter(e => e.isFile())
+          .map(e => `${prefix}${join(path, e.name)}`)
+          .sort();
+      } else {
+        uris = [pattern];
+      }
+    } else {
+      const { directory, filePattern } = splitPattern(path);
+      const dir = directory || '.';
+      const entries = await fs.readdir(dir, { withFileTypes: true }).catch(err => {
+        throw new Error(`Cannot read directory ${dir}: ${err.message}`);
+      });
+      const regex = wildcardToRegExp(filePattern);
+      uris = entries
+        .filter(e => e.isFile() && regex.test(e.name))
+        .map(e => `${prefix}${directory}${e.name}`)
+        .sort();
+    }
+
+    return maxResults ? uris.slice(0, maxResults) : uris;
+  }
+
+  async stat(uri) {
+    const stats = await fs.stat(this.toPath(uri)).catch(() => null);
+    if (!stats || !stats.isFile()) return null;
+    return {
+      size: stats.size,
+      generation: String(Math.floor(stats.mtimeMs)),
+      md5: null, // not tracked by the filesystem; hash the stream if needed
+      contentEncoding: null
+    };
+  }
+
+  async exists(uri) {
+    return existsSync(this.toPath(uri));
+  }
+
+  createReadStream(uri, { start, end } = {}) {
+    return createReadStream(this.toPath(uri), { start, end });
+  }
+
+  async createWriteStream(uri) {
+    const path = this.toPath(uri);
+    await fs.mkdir(dirname(path), { recursive: true });
+    return createWriteStream(path);
+  }
+
+  async readFile(uri) {
+    return fs.readFile(this.toPath(uri));
+  }
+
+  async writeFile(uri, data) {
+    const path = this.toPath(uri);
+    await fs.mkdir(dirname(path), { recursive: true });
+    await fs.writeFile(path, data);
+  }
+
+  async delete(uri) {
+    await fs.rm(this.toPath(uri), { force: true });
+  }
+}
+
+// ------------------------------
+// In-memory fake
+// ------------------------------
+//
+// Objects live in a process-wide Map keyed by full URI, so a mem:// sourceUri written by
+// one step is visible to the next step in the same process (e.g. index.js).
+//
+const memoryObjects = new Map();
+let memoryGeneration = 0;
+
+export class MemoryStorage {
+  constructor() {
+    this.scheme = 'mem';
+    this.objects = memoryObjects;
+  }
+
+  put(uri, data) {
+    const buf = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    this.objects.set(uri, { data: buf, generation: String(++memoryGeneration) });
+  }
+
+  async list(pattern, { maxResults } = {}) {
+    const { prefix, path } = parseUri(pattern);
+    const keys = [...this.objects.keys()].filter(k => k.startsWith(prefix)).sort();
+
+    let uris;
+    if (!hasWildcard(path)) {
+      uris = keys.filter(k => k.substring(prefix.length).startsWith(path));
+    } else {
+      const { directory, filePattern } = splitPattern(path);
+      const regex = wildcardToRegExp(filePattern);
+      uris = keys.filter(k => {
+        const key = k.substring(prefix.length);
+        if (!key.startsWith(directory)) return false;
+        const name = key.substring(directory.length);
+        return !name.includes('/') && regex.test(name);
+      });
+    }
+
+    return maxResults ? uris.slice(0, maxResults) : uris;
+  }
+
+  async stat(uri) {
+    const obj = this.objects.get(uri);
+    if (!obj) return null;
+    return {
+      size: obj.data.length,
+      generation: obj.generation,
+      md5: createHash('md5').update(obj.data).digest('base64'),
+      contentEncoding: null
+    };
+  }
+
+  async exists(uri) {
+    return this.objects.has(uri);
+  }
+
+  createReadStream(uri, { start = 0, end } = {}) {
+    const obj = this.objects.get(uri);
+    if (!obj) {
+      const err = new Error(`No such object: ${uri}`);
+      err.code = 'ENOENT';
+      throw err;
+    }
+    // end is inclusive, matching fs.createReadStream
+    const slice = obj.data.subarray(start, end === undefined ? undefined : end + 1);
+    return Readable.from([slice]);
+  }
+
+  async createWriteStream(uri) {
+    const chunks = [];
+    return new Writable({
+      write: (chunk, _enc, cb) => { chunks.push(chunk); cb(); },
+      final: (cb) => { this.put(uri, Buffer.concat(chunks)); cb(); }
+    });
+  }
+
+  async readFile(uri) {
+    const obj = this.objects.get(uri);
+    if (!obj) throw new Error(`No such object: ${uri}`);
+    return obj.data;
+  }
+
+  async writeFile(uri, data) {
+    this.put(uri, data);
+  }
+
+  async delete(uri) {
+    this.objects.delete(uri);
+  }
+}
+
+// ------------------------------
+// Backend selection
+// ------------------------------
+const backends = {};
+
+export function getStorage(uri) {
+  const { scheme } = parseUri(uri);
+  if (!backends[scheme]) {
+    if (scheme === 'gs') backends[scheme] = new GcsStorage();
+    else if (scheme === 'mem') backends[scheme] = new MemoryStorage();
+    else backends[scheme] = new LocalStorage();
+  }
+  return backends[scheme];
+}
@@ -0,0 +1,73 @@
+// ------------------------------
+// Report-suite timezone
+// ------------------------------
+//
+// Adobe reports count days in the report suite's timezone, while ts_utc is UTC. Bronze adds
+// ts_local (DATETIME) and date_local (DATE) in the configured timezone, which silver, gold and
+// sessions carry along:
+//
+//   "timezone": {
+//     "report_suite": "America/New_York",
+//     "by_rsid": { "mysuite-eu": "Europe/Berlin" },
+//     "rsid_column": "username",
+//     "date_basis": "local"
+//   }
+//
+// by_rsid overrides report_suite for rows whose rsid_column holds that report suite (multi-suite
+// feeds). date_basis picks whether tables are partitioned and days are counted by date_local or
+// by DATE(ts_utc) (the default). Incremental runs, the dateFilter window and the traffic filter's
+// daily rate follow it.
+//
+const DATE_BASES = ['utc', 'local'];
+const COLUMN_NAME = /^[a-z_][a-z0-9_]*$/;
+
+function validateTimezone(timezone, setting) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    throw new Error(`Invalid ${setting} "${timezone}": expected an IANA timezone such as "America/New_York"`);
+  }
+}
+
+export function timezoneSettings(config) {
+  const settings = config.pipeline_config?.timezone || {};
+  const result = {
+    reportSuite: settings.report_suite || 'UTC',
+    byRsid: settings.by_rsid || {},
+    rsidColumn: settings.rsid_column || 'username',
+    dateBasis: settings.date_basis || 'utc'
+  };
+
+  validateTimezone(result.reportSuite, 'pipeline_config.timezone.report_suite');
+  for (const [rsid, timezone] of Object.entries(result.byRsid)) {
+    validateTimezone(timezone, `pipeline_config.timezone.by_rsid["${rsid}"]`);
+  }
+  if (!COLUMN_NAME.test(result.rsidColumn)) {
+    throw new Error(`Invalid pipeline_config.timezone.rsid_column "${result.rsidColumn}"`);
+  }
+  if (!DATE_BASES.includes(result.dateBasis)) {
+    throw new Error(`Invalid pipeline_config.timezone.date_basis "${result.dateBasis}" (expected one of: ${DATE_BASES.join(', ')})`);
+  }
+  return result;
+}
+
+// Timezone name per row for the bronze template: a literal, or a CASE over the rsid column
+export function reportSuiteTimezone(config) {
+  const settings = timezoneSettings(config);
+  const entries = Object.entries(settings.byRsid);
+  if (!entries.length) return `'${settings.reportSuite}'`;
+
+  const branches = entries.map(([rsid, timezone]) => `WHEN '${rsid.replace(/[\\']/g, '\\$&')}' THEN '${timezone}'`).join(' ');
+  return `CASE CAST(${settings.rsidColumn} AS STRING) ${branches} ELSE '${settings.reportSuite}' END`;
+}
+
+// Day a row belongs to for partitioning and daily counts, per date_basis
+export function reportDate(config, utcColumn = 'ts_utc', localColumn = 'date_local') {
+  return timezoneSettings(config).dateBasis === 'local' ? localColumn : `DATE(${utcColumn})`;
+}
+
+export function describeTimezone(config) {
+  const settings = timezoneSettings(config);
+  const overrides = Object.keys(settings.byRsid).length;
+  return `${settings.reportSuite}${overrides ? ` (+${overrides} by ${settings.rsidColumn})` : ''}, days by ${settings.dateBasis === 'local' ? 'date_local' : 'UTC date'}`;
+}
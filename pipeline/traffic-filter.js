@@ -0,0 +1,166 @@
+import { readFile } from 'fs/promises';
+import { isIP } from 'net';
+
+// ------------------------------
+// Bot and internal traffic
+// ------------------------------
+//
+// Adobe's own bot rules only cover what exclude_hit marks. Silver classifies every hit in
+// traffic_class, checked in this order, and sets is_bot for the two bot classes:
+//
+//   internal_visitor   post_cust_visid is one of internal_visids (QA and staff accounts)
+//   internal_ip        the ip column falls in ip_ranges (CIDRs, "start-end" ranges or single IPs)
+//   bot_user_agent     user_agent matches a pattern in user_agent_file (one RE2 regex per line,
+//                      case-insensitive; blank lines and # comments are skipped)
+//   bot_rate           on that report day, the visitor's busiest minute exceeds max_hits_per_minute
+//                      or their hit count exceeds max_hits_per_day (never for a NULL distinct_id)
+//   human              everything else
+//
+//   "traffic_filter": {
+//     "enabled": true,
+//     "user_agent_file": "./bot-user-agents.txt",
+//     "ip_ranges": ["10.0.0.0/8", "203.0.113.10-203.0.113.20"],
+//     "internal_visids": ["qa-tester-1"],
+//     "max_hits_per_minute": 60,
+//     "max_hits_per_day": 5000,
+//     "exclude_in_gold": false
+//   }
+//
+// Flagged rows stay in gold and sessions by default, carrying is_bot/traffic_class so reports can
+// filter them, so turning the filter on changes no counts. exclude_in_gold: true keeps everything
+// but human traffic out of gold, sessions and the identity graph.
+//
+export const BOT_CLASSES = ['bot_user_agent', 'bot_rate'];
+
+const COLUMN_NAME = /^[a-z_][a-z0-9_]*$/;
+
+function sqlString(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function positiveLimit(value, setting) {
+  if (value == null) return null;
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new Error(`Invalid pipeline_config.traffic_filter.${setting} "${value}" (expected a positive integer)`);
+  }
+  return value;
+}
+
+export function trafficSettings(config) {
+  const settings = config.pipeline_config?.traffic_filter || {};
+  const result = {
+    enabled: settings.enabled ?? true,
+    userAgentFile: settings.user_agent_file || null,
+    ipColumn: settings.ip_column || 'ip',
+    ipRanges: settings.ip_ranges || [],
+    internalVisids: (settings.internal_visids || []).map(String),
+    maxHitsPerMinute: positiveLimit(settings.max_hits_per_minute, 'max_hits_per_minute'),
+    maxHitsPerDay: positiveLimit(settings.max_hits_per_day, 'max_hits_per_day'),
+    excludeInGold: settings.exclude_in_gold ?? false
+  };
+  if (!COLUMN_NAME.test(result.ipColumn)) {
+    throw new Error(`Invalid pipeline_config.traffic_filter.ip_column "${result.ipColumn}"`);
+  }
+  result.ipRanges.forEach(parseIpRange);
+  return result;
+}
+
+// "a.b.c.d/n", "start-end" or a single address, as { kind, ... } with the address family
+export function parseIpRange(range) {
+  const text = String(range).trim();
+  const invalid = () => new Error(`Invalid pipeline_config.traffic_filter.ip_ranges entry "${range}" (expected a CIDR, "start-end" or an IP address)`);
+
+  const cidr = text.match(/^([^/]+)\/(\d+)$/);
+  if (cidr) {
+    const family = isIP(cidr[1]);
+    const prefix = Number(cidr[2]);
+    if (!family || prefix > (family === 4 ? 32 : 128)) throw invalid();
+    return { kind: 'cidr', family, address: cidr[1], prefix };
+  }
+
+  const [start, end, ...rest] = text.split('-').map(part => part.trim());
+  if (end !== undefined) {
+    if (rest.length || !isIP(start) || isIP(start) !== isIP(end)) throw invalid();
+    return { kind: 'range', family: isIP(start), start, end };
+  }
+
+  if (!isIP(text)) throw invalid();
+  return { kind: 'cidr', family: isIP(text), address: text, prefix: isIP(text) === 4 ? 32 : 128 };
+}
+
+function ipRangeCondition(range, ipExpr) {
+  const parsed = parseIpRange(range);
+  const bytes = parsed.family === 4 ? 4 : 16;
+  const match = parsed.kind === 'cidr'
+    ? `NET.IP_TRUNC(${ipExpr}, ${parsed.prefix}) = NET.IP_TRUNC(NET.IP_FROM_STRING(${sqlString(parsed.address)}), ${parsed.prefix})`
+    : `${ipExpr} BETWEEN NET.IP_FROM_STRING(${sqlString(parsed.start)}) AND NET.IP_FROM_STRING(${sqlString(parsed.end)})`;
+  // IF keeps IP_TRUNC off addresses of the other family, where the prefix may be out of range
+  return `IF(BYTE_LENGTH(${ipExpr}) = ${bytes}, ${match}, FALSE)`;
+}
+
+// User-agent patterns from user_agent_file, one per line
+export async function userAgentPatterns(config) {
+  const { userAgentFile } = trafficSettings(config);
+  if (!userAgentFile) return [];
+
+  let content;
+  try {
+    content = await readFile(userAgentFile, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read pipeline_config.traffic_filter.user_agent_file "${userAgentFile}": ${error.message}`);
+  }
+  return content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+// traffic_class expression for the silver template; rate columns come from the visitor_rates CTE
+export async function trafficClassColumn(config) {
+  const settings = trafficSettings(config);
+  if (!settings.enabled) return `'human'`;
+
+  const branches = [];
+  if (settings.internalVisids.length) {
+    branches.push(`WHEN CAST(post_cust_visid AS STRING) IN (${settings.internalVisids.map(sqlString).join(', ')}) THEN 'internal_visitor'`);
+  }
+  if (settings.ipRanges.length) {
+    const ipExpr = `NET.SAFE_IP_FROM_STRING(CAST(${settings.ipColumn} AS STRING))`;
+    const conditions = settings.ipRanges.map(range => ipRangeCondition(range, ipExpr));
+    branches.push(`WHEN ${conditions.join('\n        OR ')} THEN 'internal_ip'`);
+  }
+  const patterns = await userAgentPatterns(config);
+  if (patterns.length) {
+    const regex = `(?i)${patterns.map(pattern => `(?:${pattern})`).join('|')}`;
+    branches.push(`WHEN REGEXP_CONTAINS(user_agent, ${sqlString(regex)}) THEN 'bot_user_agent'`);
+  }
+  const rateLimits = [
+    settings.maxHitsPerMinute && `peak_hits_per_minute > ${settings.maxHitsPerMinute}`,
+    settings.maxHitsPerDay && `hits_per_day > ${settings.maxHitsPerDay}`
+  ].filter(Boolean);
+  if (rateLimits.length) {
+    branches.push(`WHEN ${rateLimits.join(' OR ')} THEN 'bot_rate'`);
+  }
+  if (!branches.length) return `'human'`;
+
+  return `CASE\n      ${branches.join('\n      ')}\n      ELSE 'human'\n    END`;
+}
+
+// Source condition for gold and sessions: only human traffic when exclude_in_gold is on
+export function reportedTrafficCondition(config) {
+  const settings = trafficSettings(config);
+  return settings.enabled && settings.excludeInGold ? `traffic_class = 'human'` : null;
+}
+
+export function describeTrafficFilter(config, patternCount) {
+  const settings = trafficSettings(config);
+  if (!settings.enabled) return 'off';
+  const rules = [
+    settings.internalVisids.length && `${settings.internalVisids.length} internal visids`,
+    settings.ipRanges.length && `${settings.ipRanges.length} IP ranges`,
+    patternCount && `${patternCount} user-agent patterns`,
+    settings.maxHitsPerMinute && `>${settings.maxHitsPerMinute} hits/minute`,
+    settings.maxHitsPerDay && `>${settings.maxHitsPerDay} hits/day`
+  ].filter(Boolean);
+  return `${rules.length ? rules.join(', ') : 'no rules'}; flagged rows ${settings.excludeInGold ? 'excluded from' : 'kept in'} gold`;
+}
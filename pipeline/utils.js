@@ -1,7 +1,7 @@
 import { BigQuery } from '@google-cloud/bigquery';
-import { Storage } from '@google-cloud/storage';
 import { readFile } from 'fs/promises';
 import { existsSync } from 'fs';
+import { getStorage, hasWildcard } from './storage.js';
 
 export class Logger {
   static info(message) {
@@ -58,9 +58,10 @@ export class BigQueryHelper {
     }
   }
 
-  async executeQuery(sql) {
+  async executeQuery(sql, params = undefined) {
     const [job] = await this.bq.createQueryJob({
       query: sql,
+      params,
       useLegacySql: false
     });
 
@@ -199,36 +200,21 @@ export class BigQueryHelper {
   }
 }
 
+// Logging checks over the scheme-specific backends in storage.js
 export class StorageHelper {
-  constructor() {
-    this.storage = new Storage();
-  }
-
   async checkUriExists(uri) {
     try {
-      // Parse gs://bucket/path format
-      const match = uri.match(/^gs:\/\/([^\/]+)\/(.+)$/);
-      if (!match) {
-        throw new Error(`Invalid GCS URI format: ${uri}`);
-      }
-
-      let [, bucketName, path] = match;
-
-      // Handle wildcards - strip the wildcard and use the directory as prefix
-      if (path.includes('*')) {
-        // For gs://bucket/path/to/*.tsv.gz, check gs://bucket/path/to/
-        path = path.substring(0, path.lastIndexOf('/') + 1);
-        Logger.info(`Checking for files in: gs://${bucketName}/${path} (wildcard pattern)`);
+      if (hasWildcard(uri)) {
+        Logger.info(`Checking for files matching: ${uri} (wildcard pattern)`);
       }
 
-      const bucket = this.storage.bucket(bucketName);
-      const [files] = await bucket.getFiles({ prefix: path, maxResults: 5 });
+      const files = await getStorage(uri).list(uri);
 
       if (files.length > 0) {
-        Logger.info(`Found ${files.length} file(s) in bucket with prefix: ${path}`);
+        Logger.info(`Found ${files.length} file(s) matching: ${uri}`);
         // Show first few filenames for confirmation
         files.slice(0, 3).forEach(file => {
-          Logger.info(`  • ${file.name}`);
+          Logger.info(`  • ${file}`);
         });
         if (files.length > 3) {
           Logger.info(`  ... and ${files.length - 3} more files`);
@@ -237,57 +223,28 @@ export class StorageHelper {
 
       return files.length > 0;
     } catch (error) {
-      Logger.error(`GCS check failed for ${uri}: ${error.message}`);
+      Logger.error(`Storage check failed for ${uri}: ${error.message}`);
       return false;
     }
   }
 
   async getFileCount(uri) {
     try {
-      // Parse gs://bucket/path format
-      const match = uri.match(/^gs:\/\/([^\/]+)\/(.+)$/);
-      if (!match) {
-        throw new Error(`Invalid GCS URI format: ${uri}`);
-      }
-
-      let [, bucketName, path] = match;
-      const bucket = this.storage.bucket(bucketName);
-
-      // Handle wildcards by converting to prefix
-      if (path.includes('*')) {
-        const prefix = path.substring(0, path.lastIndexOf('/') + 1);
-        const pattern = path.substring(path.lastIndexOf('/') + 1);
+      const storage = getStorage(uri);
 
-        // Get all files with the prefix
-        const [files] = await bucket.getFiles({ prefix });
-
-        // Filter files that match the wildcard pattern
-        const matchingFiles = files.filter(file => {
-          const fileName = file.name.substring(prefix.length);
-          return this.matchesWildcard(fileName, pattern);
-        });
-
-        return matchingFiles.length;
-      } else {
-        // No wildcard, check if single file exists
-        const [files] = await bucket.getFiles({ prefix: path, maxResults: 1 });
+      if (hasWildcard(uri)) {
+        const files = await storage.list(uri);
         return files.length;
       }
+
+      // No wildcard, check if single file exists
+      const files = await storage.list(uri, { maxResults: 1 });
+      return files.length;
     } catch (error) {
-      Logger.error(`GCS file count failed for ${uri}: ${error.message}`);
+      Logger.error(`File count failed for ${uri}: ${error.message}`);
       return 0;
     }
   }
-
-  matchesWildcard(fileName, pattern) {
-    // Convert wildcard pattern to regex
-    const regexPattern = pattern
-      .replace(/\./g, '\\.')  // Escape dots
-      .replace(/\*/g, '.*');  // Convert * to .*
-
-    const regex = new RegExp(`^${regexPattern}$`);
-    return regex.test(fileName);
-  }
 }
 
 export async function loadSqlTemplate(templatePath, variables = {}) {
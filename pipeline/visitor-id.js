@@ -0,0 +1,108 @@
+// ------------------------------
+// Visitor ID precedence
+// ------------------------------
+//
+// Bronze derives distinct_id from the first source in pipeline_config.visitor_id_precedence
+// that has a value, and records which one in distinct_id_source. Entries are either a
+// built-in source name or a column reference:
+//
+//   "visitor_id_precedence": [
+//     "mcvisid",
+//     { "column": "post_evar12", "prefix": "crm:", "name": "crm_id" },
+//     "post_visid",
+//     "fallback"
+//   ]
+//
+// A plain column name works too ("post_evar12"). "fallback" always resolves, so it must be last;
+// without it, rows with no usable identifier get a NULL distinct_id (source "none").
+//
+export const DEFAULT_VISITOR_ID_PRECEDENCE = ['post_visid', 'mcvisid', 'post_cust_visid', 'fallback'];
+
+const COLUMN_NAME = /^[a-z_][a-z0-9_]*$/;
+
+// Adobe writes these placeholders for "no value"
+const present = (column) => `COALESCE(CAST(${column} AS STRING), '') NOT IN ('', ':', '-', '--')`;
+const text = (column) => `CAST(${column} AS STRING)`;
+
+const BUILT_IN_SOURCES = {
+  post_visid: {
+    condition: `${present('post_visid_high')} AND ${present('post_visid_low')}`,
+    value: `CONCAT(${text('post_visid_high')}, '-', ${text('post_visid_low')})`
+  },
+  visid: {
+    condition: `${present('visid_high')} AND ${present('visid_low')}`,
+    value: `CONCAT(${text('visid_high')}, '-', ${text('visid_low')})`
+  },
+  mcvisid: {
+    condition: present('mcvisid'),
+    value: text('mcvisid')
+  },
+  post_cust_visid: {
+    condition: present('post_cust_visid'),
+    value: `CONCAT('cust:', ${text('post_cust_visid')})`
+  },
+  cust_visid: {
+    condition: present('cust_visid'),
+    value: `CONCAT('cust:', ${text('cust_visid')})`
+  },
+  fallback: {
+    condition: 'TRUE',
+    value: `CONCAT('fp:', TO_HEX(MD5(CONCAT(
+        COALESCE(ip, ''), '|',
+        COALESCE(user_agent, ''), '|',
+        COALESCE(accept_language, '')
+      ))))`
+  }
+};
+
+function resolveSource(entry) {
+  if (typeof entry === 'string' && BUILT_IN_SOURCES[entry]) {
+    return { name: entry, ...BUILT_IN_SOURCES[entry] };
+  }
+
+  const { column, prefix = '', name } = typeof entry === 'string' ? { column: entry } : entry || {};
+  if (!column || !COLUMN_NAME.test(column)) {
+    throw new Error(`Invalid visitor_id_precedence entry ${JSON.stringify(entry)}: expected one of ${Object.keys(BUILT_IN_SOURCES).join(', ')}, a sanitized column name, or { "column", "prefix", "name" }`);
+  }
+  if (name !== undefined && (!COLUMN_NAME.test(name) || BUILT_IN_SOURCES[name])) {
+    throw new Error(`Invalid visitor_id_precedence name ${JSON.stringify(name)}: use lowercase letters, digits and _, and not a built-in source name`);
+  }
+  const value = prefix ? `CONCAT('${prefix.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}', ${text(column)})` : text(column);
+  return { name: name || column, condition: present(column), value };
+}
+
+export function resolveVisitorIdSources(config) {
+  const precedence = config.pipeline_config?.visitor_id_precedence || DEFAULT_VISITOR_ID_PRECEDENCE;
+  if (!Array.isArray(precedence) || !precedence.length) {
+    throw new Error('pipeline_config.visitor_id_precedence must be a non-empty list');
+  }
+
+  const sources = precedence.map(resolveSource);
+  const names = sources.map(s => s.name);
+  const duplicate = names.find((n, i) => names.indexOf(n) !== i);
+  if (duplicate) throw new Error(`visitor_id_precedence lists ${duplicate} twice`);
+
+  const fallback = names.indexOf('fallback');
+  if (fallback >= 0 && fallback < names.length - 1) {
+    throw new Error(`visitor_id_precedence: "fallback" always resolves, so ${names.slice(fallback + 1).join(', ')} after it would never be used`);
+  }
+  return sources;
+}
+
+// distinct_id and distinct_id_source select expressions for the bronze template; a list of
+// just "fallback" needs no CASE at all
+export function visitorIdColumns(config) {
+  const sources = resolveVisitorIdSources(config);
+  const otherwise = sources[sources.length - 1].condition === 'TRUE' ? sources.pop() : null;
+  const caseOf = (pick) => !sources.length ? pick(otherwise) : [
+    'CASE',
+    ...sources.map(s => `      WHEN ${s.condition}\n        THEN ${pick(s)}`),
+    `      ELSE ${pick(otherwise)}`,
+    '    END'
+  ].join('\n');
+
+  return [
+    `${caseOf(s => (s ? s.value : 'CAST(NULL AS STRING)'))} AS distinct_id`,
+    `${caseOf(s => `'${s ? s.name : 'none'}'`)} AS distinct_id_source`
+  ].join(',\n\n    ');
+}
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import { parseAdobeManifest, verifyAdobeManifests } from '../pipeline/adobe-manifest.js';
+import { PreprocessManifest } from '../pipeline/manifest.js';
+import { MemoryStorage } from '../pipeline/storage.js';
+
+const SAMPLE = [
+  'Datafeed-Manifest-Version: 1.0',
+  'Lookup-Files: 1',
+  'Data-Files: 1',
+  'Total-Records: 611',
+  '',
+  'Lookup-File: rsid_2023-01-01-lookup_data.tar.gz',
+  'MD5-Digest: AF6DE42D8B945D4EC1CF28360085308',
+  'File-Size: 63750',
+  '',
+  'Data-File: 01-rsid_2023-01-01.tsv.gz',
+  'MD5-Digest: 9c70bf783cb3d0095a4836904b72c991',
+  'File-Size: 122534',
+  'Record-Count: 611',
+  ''
+].join('\r\n');
+
+test('parses the header and every listed file', () => {
+  assert.deepEqual(parseAdobeManifest(SAMPLE), {
+    version: '1.0',
+    declaredDataFiles: 1,
+    declaredLookupFiles: 1,
+    totalRecords: 611,
+    dataFiles: [{ kind: 'data', name: '01-rsid_2023-01-01.tsv.gz', md5: '9c70bf783cb3d0095a4836904b72c991', size: 122534, records: 611 }],
+    lookupFiles: [{ kind: 'lookup', name: 'rsid_2023-01-01-lookup_data.tar.gz', md5: 'af6de42d8b945d4ec1cf28360085308', size: 63750, records: null }]
+  });
+});
+
+const memory = new MemoryStorage();
+const md5Hex = (data) => createHash('md5').update(data).digest('hex');
+
+// Delivers one data file under mem://<bucket>/in/ with a manifest listing it; `listed`
+// overrides what the manifest says about the file
+function deliver(bucket, data, listed = {}) {
+  const file = { size: data.length, md5: md5Hex(data), records: 3, ...listed };
+  memory.put(`mem://${bucket}/in/01-rsid_2024-01-01.tsv`, data);
+  memory.put(`mem://${bucket}/in/rsid_2024-01-01.txt`, [
+    'Datafeed-Manifest-Version: 1.0',
+    'Data-Files: 1',
+    '',
+    'Data-File: 01-rsid_2024-01-01.tsv',
+    `MD5-Digest: ${file.md5}`,
+    `File-Size: ${file.size}`,
+    `Record-Count: ${file.records}`
+  ].join('\n'));
+  return { gcs: { sourceUri: `mem://${bucket}/in/*.tsv` } };
+}
+
+const DATA = Buffer.from('a\tb\nc\td\ne\tf\n');
+
+test('a delivery that matches its manifest has no problems', async () => {
+  const check = await verifyAdobeManifests(deliver('manifest-ok', DATA));
+  assert.deepEqual(check, { manifests: 1, files: 1, records: 3, problems: [], warnings: [] });
+});
+
+test('reports size and MD5 mismatches', async () => {
+  const size = await verifyAdobeManifests(deliver('manifest-size', DATA, { size: 99 }));
+  assert.deepEqual(size.problems, [`01-rsid_2024-01-01.tsv: size ${DATA.length} bytes, manifest says 99 (incomplete transfer?)`]);
+
+  const md5 = await verifyAdobeManifests(deliver('manifest-md5', DATA, { md5: md5Hex('other') }));
+  assert.deepEqual(md5.problems, [`01-rsid_2024-01-01.tsv: MD5 ${md5Hex(DATA)} does not match manifest ${md5Hex('other')}`]);
+});
+
+test('compares record counts with what preprocessing kept', async () => {
+  const withResult = async (bucket, result, listed) => {
+    const config = deliver(bucket, DATA, listed);
+    const uri = `mem://${bucket}/in/01-rsid_2024-01-01.tsv`;
+    const preprocessManifest = await PreprocessManifest.load(`mem://${bucket}/out`);
+    await preprocessManifest.markComplete(uri, { stat: await memory.stat(uri), outputUri: `mem://${bucket}/out/01-rsid_2024-01-01.tsv`, rejectsUri: 'rejects.jsonl', result });
+    return verifyAdobeManifests(config, { preprocessManifest, sourceFiles: [uri] });
+  };
+
+  const truncated = await withResult('records-truncated', { records: 2, ok: 2 });
+  assert.deepEqual(truncated.problems, ['01-rsid_2024-01-01.tsv: reconstructed 2 of 3 records (truncated?)']);
+
+  const rejected = await withResult('records-rejected', { records: 3, ok: 1 });
+  assert.deepEqual(rejected.problems, ['01-rsid_2024-01-01.tsv: kept 1 of 3 records; 2 missing (see rejects.jsonl)']);
+
+  const split = await withResult('records-split', { records: 4, ok: 4 });
+  assert.deepEqual(split.problems, []);
+  assert.deepEqual(split.warnings, ['01-rsid_2024-01-01.tsv: reconstructed 4 records, manifest lists 3 (rows split by embedded newlines?)']);
+});
+
+test('reports files that were listed but not delivered', async () => {
+  const config = deliver('manifest-missing', DATA);
+  await memory.delete('mem://manifest-missing/in/01-rsid_2024-01-01.tsv');
+  const check = await verifyAdobeManifests(config);
+  assert.deepEqual(check.problems, ['01-rsid_2024-01-01.tsv: listed in rsid_2024-01-01.txt but not delivered']);
+});
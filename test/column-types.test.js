@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveColumnTypes, safeCastColumns, castFailureCounts } from '../pipeline/column-types.js';
+
+test('types columns from the dictionary and leaves the rest STRING', () => {
+  assert.deepEqual(
+    resolveColumnTypes(['hit_time_gmt', 'visit_num', 'curr_rate', 'post_evar12', 'hitid_high']),
+    ['INT64', 'INT64', 'NUMERIC', 'STRING', 'STRING']
+  );
+});
+
+test('applies overrides, including back to STRING', () => {
+  assert.deepEqual(
+    resolveColumnTypes(['post_evar12', 'geo_dma'], { post_evar12: 'INT64', geo_dma: 'STRING' }),
+    ['INT64', 'STRING']
+  );
+});
+
+test('rejects unknown types and numeric hitid/visid halves', () => {
+  assert.throws(() => resolveColumnTypes(['post_evar12'], { post_evar12: 'FLOAT64' }), /Invalid type "FLOAT64" for column post_evar12/);
+  for (const name of ['hitid_high', 'hitid_low', 'visid_high', 'visid_low', 'post_visid_high', 'post_visid_low']) {
+    assert.throws(() => resolveColumnTypes([name], { [name]: 'INT64' }), new RegExp(`Column ${name} must stay STRING`));
+  }
+  assert.deepEqual(resolveColumnTypes(['hitid_high'], { hitid_high: 'STRING' }), ['STRING']);
+});
+
+test('casts typed columns and counts values that do not parse', () => {
+  const schema = [
+    { name: 'hitid_high', type: 'STRING' },
+    { name: 'visit_num', type: 'INT64' },
+    { name: 'curr_rate', type: 'NUMERIC' }
+  ];
+  assert.equal(
+    safeCastColumns(schema),
+    'hitid_high,\n  SAFE_CAST(visit_num AS INT64) AS visit_num,\n  SAFE_CAST(curr_rate AS NUMERIC) AS curr_rate'
+  );
+  assert.equal(
+    castFailureCounts(schema),
+    "COUNTIF(visit_num NOT IN ('', ':', '-', '--') AND SAFE_CAST(visit_num AS INT64) IS NULL) AS visit_num,\n  " +
+    "COUNTIF(curr_rate NOT IN ('', ':', '-', '--') AND SAFE_CAST(curr_rate AS NUMERIC) IS NULL) AS curr_rate"
+  );
+  assert.equal(castFailureCounts([{ name: 'pagename', type: 'STRING' }]), '');
+});
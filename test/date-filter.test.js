@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isIsoDate, resolveDateFilter, dateFilterCondition, describeDateFilter, applyDateFilterArgs, whereClause } from '../pipeline/date-filter.js';
+
+test('accepts only calendar dates in YYYY-MM-DD form', () => {
+  assert.equal(isIsoDate('2024-02-29'), true);
+  assert.equal(isIsoDate('2024-02-30'), false);
+  assert.equal(isIsoDate('2023-02-29'), false);
+  assert.equal(isIsoDate('2024-13-01'), false);
+  assert.equal(isIsoDate('2024-1-05'), false);
+  assert.equal(isIsoDate(20240105), false);
+});
+
+test('rejects impossible and reversed windows', () => {
+  assert.throws(() => resolveDateFilter({ dateFilter: { startDate: '2024-02-30' } }), /dateFilter\.startDate must be a YYYY-MM-DD date, got: 2024-02-30/);
+  assert.throws(() => resolveDateFilter({ dateFilter: { startDate: '2024-02-01', endDate: '2024-01-31' } }), /is after endDate/);
+  assert.equal(resolveDateFilter({}), null);
+});
+
+test('builds the window condition with open ends', () => {
+  assert.equal(
+    dateFilterCondition({ dateFilter: { startDate: '2024-01-01', endDate: '2024-01-31' } }),
+    "DATE(ts_utc) >= DATE '2024-01-01' AND DATE(ts_utc) <= DATE '2024-01-31'"
+  );
+  assert.equal(dateFilterCondition({ dateFilter: { endDate: '2024-01-31' } }, 'original_timestamp'), "DATE(original_timestamp) <= DATE '2024-01-31'");
+  assert.equal(whereClause(null, 'a = 1', 'b = 2'), 'WHERE a = 1\n    AND b = 2');
+  assert.equal(whereClause(null), '');
+});
+
+test('a local date basis puts the window on date_local', () => {
+  const config = {
+    dateFilter: { startDate: '2024-01-01' },
+    pipeline_config: { timezone: { report_suite: 'America/New_York', date_basis: 'local' } }
+  };
+  assert.equal(dateFilterCondition(config), "date_local >= DATE '2024-01-01'");
+  assert.equal(dateFilterCondition(config, 'ts_utc', "DATE(ts_utc, 'America/New_York')"), "DATE(ts_utc, 'America/New_York') >= DATE '2024-01-01'");
+  assert.equal(describeDateFilter(config), '2024-01-01 → latest (local dates)');
+  assert.equal(describeDateFilter({ dateFilter: { endDate: '2024-01-31' } }), 'beginning → 2024-01-31 (UTC)');
+});
+
+test('command-line dates override the configured window', () => {
+  const config = applyDateFilterArgs({ dateFilter: { startDate: '2024-01-01', endDate: '2024-01-31' } }, ['node', 'x', '--end-date', '2024-01-15']);
+  assert.deepEqual(config.dateFilter, { startDate: '2024-01-01', endDate: '2024-01-15' });
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { deduplicationSettings, duplicatesTable, deliveryOrder, deliveryRankColumn, replacesKeptCopy, sameHit } from '../pipeline/deduplication.js';
+
+const config = (deduplication) => ({
+  tables: { bronze: 'adobe_bronze' },
+  pipeline_config: deduplication === undefined ? {} : { deduplication }
+});
+
+test('defaults to keeping the first delivery', () => {
+  assert.deepEqual(deduplicationSettings(config()), { enabled: true, keep: 'first' });
+  assert.equal(deliveryOrder(config()), 'source_file ASC');
+  assert.equal(deliveryOrder(config({ keep: 'latest' })), 'source_file DESC');
+});
+
+test('rejects unknown keep policies', () => {
+  assert.throws(() => deduplicationSettings(config({ keep: 'newest' })), /deduplication\.keep "newest"/);
+});
+
+test('ranks copies on hitid plus visit_num/visit_page_num so colliding hitids stay apart', () => {
+  const rank = deliveryRankColumn(config());
+  assert.match(rank, /PARTITION BY hitid_high, hitid_low, visit_num, visit_page_num ORDER BY source_file ASC\)/);
+  assert.match(rank, /^IF\(hitid_high IS NULL OR hitid_low IS NULL, 1,/);
+});
+
+test('matches copies on the same key, with NULL visit numbers equal', () => {
+  const match = sameHit('i', 'b');
+  assert.match(match, /i\.hitid_high = b\.hitid_high AND i\.hitid_low = b\.hitid_low/);
+  assert.match(match, /i\.visit_num IS NOT DISTINCT FROM b\.visit_num/);
+  assert.match(match, /i\.visit_page_num IS NOT DISTINCT FROM b\.visit_page_num/);
+});
+
+test('models rank, audit and merge on the same key', () => {
+  const model = (name) => readFileSync(new URL(`../models/${name}.sql`, import.meta.url), 'utf8');
+  for (const name of ['dedupe-incoming-hits', 'merge-raw-incoming']) {
+    assert.doesNotMatch(model(name), /PARTITION BY hitid_high, hitid_low ORDER BY/, name);
+  }
+  for (const name of ['remove-duplicate-hits', 'merge-raw-incoming', 'quarantine-excluded-hits', 'dedupe-incoming-hits']) {
+    assert.match(model(name), /visit_page_num IS NOT DISTINCT FROM/, name);
+  }
+  assert.match(model('create-gold'), /CAST\(visit_num AS STRING\), ''\), '-', COALESCE\(CAST\(visit_page_num AS STRING\)/);
+});
+
+test('disabled deduplication keeps every row', () => {
+  assert.equal(deliveryRankColumn(config({ enabled: false })), '1');
+  assert.equal(replacesKeptCopy(config({ enabled: false })), 'TRUE');
+});
+
+test('incremental merge follows the keep policy and lets reloads replace their rows', () => {
+  assert.equal(replacesKeptCopy(config()), 'source.source_file <= target.source_file');
+  assert.equal(replacesKeptCopy(config({ keep: 'latest' })), 'source.source_file >= target.source_file');
+});
+
+test('audit table defaults to {bronze}_duplicates', () => {
+  assert.equal(duplicatesTable(config()), 'adobe_bronze_duplicates');
+  assert.equal(duplicatesTable({ tables: { bronze: 'b', duplicates: 'dups' } }), 'dups');
+});
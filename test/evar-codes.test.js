@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { evarInstanceCode, evarNumberForCode, isEvarInstanceCode, evarNumberSql } from '../pipeline/evar-codes.js';
+
+test('maps eVar numbers to the instance codes sdr_evars uses', () => {
+  assert.equal(evarInstanceCode(1), 100);
+  assert.equal(evarInstanceCode(100), 199);
+  assert.equal(evarInstanceCode(101), 10000);
+  assert.equal(evarInstanceCode(200), 10099);
+  assert.equal(evarInstanceCode(250), 10149);
+  assert.throws(() => evarInstanceCode(0), /Invalid eVar number/);
+});
+
+test('maps instance codes back to eVar numbers', () => {
+  for (const evar of [1, 2, 50, 100, 101, 150, 200, 250]) {
+    assert.equal(evarNumberForCode(evarInstanceCode(evar)), evar);
+  }
+  assert.equal(evarNumberForCode(10000), 101);
+  assert.equal(evarNumberForCode(1), null);
+  assert.equal(evarNumberForCode(200), null);
+});
+
+test('accepts every extended code from 10000', () => {
+  assert.ok(isEvarInstanceCode(100));
+  assert.ok(isEvarInstanceCode(199));
+  assert.ok(isEvarInstanceCode(10000));
+  assert.ok(isEvarInstanceCode(10099));
+  assert.ok(!isEvarInstanceCode(99));
+  assert.ok(!isEvarInstanceCode(200));
+  assert.ok(!isEvarInstanceCode(9999));
+  assert.ok(!isEvarInstanceCode('100'));
+});
+
+test('SQL mapping uses the same offsets', () => {
+  const sql = evarNumberSql('code');
+  assert.match(sql, /WHEN code BETWEEN 100 AND 199 THEN code - 99/);
+  assert.match(sql, /WHEN code >= 10000 THEN code - 9899/);
+});
+
+test('agrees with the sdr_evars and event_map models', async () => {
+  const sdrMaps = await readFile(new URL('../models/create-sdr-maps.sql', import.meta.url), 'utf8');
+  assert.match(sdrMaps, /WHEN evar_number >= 101 THEN 10000 \+ \(evar_number - 101\)/);
+  const eventMap = await readFile(new URL('../models/create-event-map.sql', import.meta.url), 'utf8');
+  assert.match(eventMap, /THEN 9899 \+ SAFE_CAST/);
+});
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { eventTimestampSql } from '../pipeline/3-transform-gold.js';
+
+const config = (event_timestamp_offset) => ({ pipeline_config: { event_timestamp_offset } });
+
+test('nudges business events 5 seconds apart by default', () => {
+  assert.equal(eventTimestampSql(config()), 'TIMESTAMP_ADD(ts_utc, INTERVAL (event_index + 1) * 5 SECOND)');
+  assert.equal(eventTimestampSql(config('seconds')), eventTimestampSql(config()));
+});
+
+test('nudges by whole milliseconds or not at all', () => {
+  assert.equal(eventTimestampSql(config('milliseconds')), 'TIMESTAMP_ADD(ts_utc, INTERVAL (event_index + 1) MILLISECOND)');
+  assert.equal(eventTimestampSql(config('none')), 'ts_utc');
+});
+
+test('rejects unknown offsets', () => {
+  assert.throws(() => eventTimestampSql(config('minutes')), /event_timestamp_offset "minutes" \(expected one of: none, milliseconds, seconds\)/);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exclusionSettings, exclusionReasonColumn, quarantineTable } from '../pipeline/hit-exclusion.js';
+
+const withExclusion = (hit_exclusion) => ({ pipeline_config: { hit_exclusion } });
+
+test('excludes exclude_hit rows and hit sources 5, 7, 8 and 9 by default', () => {
+  assert.equal(
+    exclusionReasonColumn({}),
+    "CASE\n" +
+    "      WHEN SAFE_CAST(exclude_hit AS INT64) > 0 THEN 'exclude_hit'\n" +
+    "      WHEN SAFE_CAST(hit_source AS INT64) IN UNNEST([5,7,8,9]) THEN CONCAT('hit_source_', CAST(SAFE_CAST(hit_source AS INT64) AS STRING))\n" +
+    "      ELSE NULL\n" +
+    "    END"
+  );
+});
+
+test('custom rules follow the built-in ones in order', () => {
+  const column = exclusionReasonColumn(withExclusion({
+    exclude_hit: false,
+    hit_sources: [],
+    rules: [{ reason: 'qa_suite', where: "post_evar20 = 'qa'" }, { reason: 'internal_ip', where: "ip LIKE '10.%'" }]
+  }));
+  assert.equal(column, "CASE\n      WHEN post_evar20 = 'qa' THEN 'qa_suite'\n      WHEN ip LIKE '10.%' THEN 'internal_ip'\n      ELSE NULL\n    END");
+});
+
+test('reports every hit when disabled or when no rule is left', () => {
+  assert.equal(exclusionReasonColumn(withExclusion({ enabled: false, rules: [{ reason: 'qa', where: 'TRUE' }] })), 'CAST(NULL AS STRING)');
+  assert.equal(exclusionReasonColumn(withExclusion({ exclude_hit: false, hit_sources: [] })), 'CAST(NULL AS STRING)');
+});
+
+test('rejects invalid rules before any SQL is built', () => {
+  for (const rule of [
+    { reason: "qa'; DROP TABLE hits; --", where: 'TRUE' },
+    { reason: 'QA Suite', where: 'TRUE' },
+    { reason: 'qa_suite' },
+    { reason: 'qa_suite', where: '  ' },
+    null
+  ]) {
+    assert.throws(() => exclusionReasonColumn(withExclusion({ rules: [rule] })), /Invalid hit_exclusion rule/);
+  }
+  assert.throws(() => exclusionSettings(withExclusion({ hit_sources: ['5'] })), /hit_sources must be a list of hit_source values/);
+});
+
+test('quarantines next to bronze unless a table is configured', () => {
+  assert.equal(quarantineTable({ tables: { bronze: 'hits_bronze' } }), 'hits_bronze_quarantine');
+  assert.equal(quarantineTable({ tables: { bronze: 'hits_bronze', quarantine: 'excluded_hits' } }), 'excluded_hits');
+});
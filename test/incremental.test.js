@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  dateList, shiftDate, describeSchemaDrift, selectIncrementalFiles, pendingDates,
+  saveIncrementalState, loadIncrementalState, clearIncrementalState, INCREMENTAL_STATE_FILE
+} from '../pipeline/incremental.js';
+
+const withTmpDir = async (fn) => {
+  const tmpDir = await mkdtemp(join(tmpdir(), 'incremental-'));
+  try {
+    await fn({ paths: { tmpDir }, pipeline_config: { incremental: { enabled: true } } }, tmpDir);
+  } finally {
+    await rm(tmpDir, { recursive: true, force: true });
+  }
+};
+
+const fakeBq = (exists) => ({ tableExists: async () => exists });
+
+test('shifts dates across month and year ends', () => {
+  assert.equal(shiftDate('2024-02-28', 1), '2024-02-29');
+  assert.equal(shiftDate('2024-03-01', -1), '2024-02-29');
+  assert.equal(shiftDate('2023-12-31', 1), '2024-01-01');
+  assert.equal(dateList(['2024-01-06', '2024-01-07']), "[DATE '2024-01-06', DATE '2024-01-07']");
+});
+
+test('matching schemas are not drift, whatever the column order', () => {
+  const columns = [{ name: 'hit_id', type: 'STRING' }, { name: 'ts_utc', type: 'TIMESTAMP' }];
+  assert.equal(describeSchemaDrift(columns, [...columns].reverse()), null);
+});
+
+test('describes added, dropped and retyped columns', () => {
+  const existing = [{ name: 'hit_id', type: 'STRING' }, { name: 'pagename', type: 'STRING' }, { name: 'visit_num', type: 'STRING' }];
+  const incoming = [{ name: 'hit_id', type: 'STRING' }, { name: 'page_name', type: 'STRING' }, { name: 'visit_num', type: 'INT64' }];
+  assert.equal(
+    describeSchemaDrift(existing, incoming),
+    'new columns: page_name; dropped columns: pagename; type changes: visit_num STRING → INT64'
+  );
+});
+
+test('selects new or changed files by default', () => {
+  const files = ['a_2024-01-06.tsv', 'b_2024-01-07.tsv', 'c_2024-01-08.tsv'];
+  const stats = new Map(files.map(f => [f, { size: 10, generation: '1' }]));
+  const state = { loadedFiles: {
+    'a_2024-01-06.tsv': { size: 10, generation: '1' },
+    'b_2024-01-07.tsv': { size: 9, generation: '1' }
+  } };
+  assert.deepEqual(selectIncrementalFiles(files, stats, {}, state), ['b_2024-01-07.tsv', 'c_2024-01-08.tsv']);
+  assert.deepEqual(selectIncrementalFiles(files, stats, { since: '2024-01-07', until: '2024-01-07' }, state), ['b_2024-01-07.tsv']);
+  assert.throws(() => selectIncrementalFiles(files, stats, { files: ['d.tsv'] }, state), /not found: d\.tsv/);
+});
+
+test('pending dates prefer the silver dates except for silver itself', async () => {
+  await withTmpDir(async (config) => {
+    await saveIncrementalState(config, { loadedFiles: {}, run: { dates: ['2024-01-06'], silverDates: ['2024-01-06', '2024-01-07'] } });
+    assert.deepEqual(await pendingDates(config, fakeBq(true), 'gold'), ['2024-01-06', '2024-01-07']);
+    assert.deepEqual(await pendingDates(config, fakeBq(true), 'silver', { bronzeDates: true }), ['2024-01-06']);
+    assert.equal(await pendingDates(config, fakeBq(false), 'gold'), null);
+  });
+});
+
+test('clearing the state forgets loaded files', async () => {
+  await withTmpDir(async (config, tmpDir) => {
+    await saveIncrementalState(config, { loadedFiles: { 'a.tsv': { size: 1 } }, run: null });
+    assert.equal(await clearIncrementalState(config), true);
+    assert.equal(existsSync(join(tmpDir, INCREMENTAL_STATE_FILE)), false);
+    assert.deepEqual(await loadIncrementalState(config), { loadedFiles: {}, run: null });
+    assert.equal(await clearIncrementalState(config), false);
+  });
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { gzipSync } from 'zlib';
+import { readTarEntries, readLookupArchive, diffColumns, diffRows } from '../pipeline/0b-lookups.js';
+import { MemoryStorage } from '../pipeline/storage.js';
+
+// One tar member: a 512-byte header (name, octal size, type, ustar prefix) plus padded data
+function tarEntry(name, content, { type = '0', prefix = '' } = {}) {
+  const data = Buffer.from(content);
+  const header = Buffer.alloc(512);
+  header.write(name, 0, 100);
+  header.write(data.length.toString(8).padStart(11, '0'), 124);
+  header.write(type, 156);
+  header.write('ustar\x0000', 257);
+  header.write(prefix, 345, 155);
+  return Buffer.concat([header, data, Buffer.alloc(Math.ceil(data.length / 512) * 512 - data.length)]);
+}
+
+const tar = (...entries) => Buffer.concat([...entries, Buffer.alloc(1024)]);
+
+const LONG_DIR = `lookup_data/${'nested/'.repeat(20)}`;
+
+const archive = tar(
+  tarEntry('PaxHeader/column_headers.tsv', '30 path=ignored/column_headers.tsv\n', { type: 'x' }),
+  tarEntry('./column_headers.tsv', 'hit_time_gmt\thitid_high\thitid_low\n'),
+  tarEntry('event.tsv', '1\tPurchase\n', { prefix: 'lookup_data/2024-01-01' }),
+  tarEntry('././@LongLink', `${LONG_DIR}browser.tsv`, { type: 'L' }),
+  tarEntry(`${LONG_DIR}browser.tsv`.slice(0, 100), '1\tChrome\n'),
+  tarEntry('lookup_data/', '', { type: '5' }),
+  tarEntry('readme.txt', 'not a lookup\n')
+);
+
+test('reads ustar prefixes and GNU long names and skips PAX headers', () => {
+  const entries = [...readTarEntries(archive)].map(({ name, data }) => [name, data.toString()]);
+  assert.deepEqual(entries, [
+    ['column_headers.tsv', 'hit_time_gmt\thitid_high\thitid_low\n'],
+    ['lookup_data/2024-01-01/event.tsv', '1\tPurchase\n'],
+    [`${LONG_DIR}browser.tsv`, '1\tChrome\n'],
+    ['readme.txt', 'not a lookup\n']
+  ]);
+});
+
+const memory = new MemoryStorage();
+
+test('maps archive entries to their lookup files', async () => {
+  memory.put('mem://lookups/rsid_2024-01-01-lookup_data.tar.gz', gzipSync(archive));
+  const files = await readLookupArchive('mem://lookups/rsid_2024-01-01-lookup_data.tar.gz');
+  assert.deepEqual([...files.keys()].sort(), ['columns.csv', 'events.tsv', 'values/browser.tsv']);
+  assert.equal(files.get('events.tsv').source, 'lookup_data/2024-01-01/event.tsv');
+  assert.equal(files.get('values/browser.tsv').content, '1\tChrome\n');
+
+  memory.put('mem://lookups/duplicate.tar', tar(tarEntry('a/browser.tsv', '1\tChrome\n'), tarEntry('b/browser.tsv', '1\tFirefox\n')));
+  await assert.rejects(readLookupArchive('mem://lookups/duplicate.tar'), /two entries for values\/browser\.tsv: b\/browser\.tsv/);
+});
+
+test('summarizes column changes', () => {
+  assert.equal(diffColumns('a,b,c\n', 'a,c,d,e\n'), '3 → 4 columns; added: d, e; removed: b');
+  assert.equal(diffColumns('a,b,c\n', 'c,b,a\n'), '3 → 3 columns; same columns in a different order');
+});
+
+test('summarizes lookup rows by key', () => {
+  assert.equal(
+    diffRows('1\tChrome\n2\tFirefox\n3\tSafari\n', '1\tChrome\n2\tFirefox ESR\r\n4\tEdge\n'),
+    '1 added, 1 removed, 1 changed (2: "Firefox" → "Firefox ESR")'
+  );
+  assert.equal(diffRows('1\tChrome\n', '1\tChrome\n'), '0 added, 0 removed, 0 changed');
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PreprocessManifest, MANIFEST_NAME } from '../pipeline/manifest.js';
+import { MemoryStorage } from '../pipeline/storage.js';
+
+const INPUT = 'mem://feed/in/01-rsid_2024-01-01.tsv.gz';
+const stat = { size: 100, generation: '7', md5: 'abc=' };
+
+async function completedManifest() {
+  const manifest = await PreprocessManifest.load('mem://feed/out');
+  await manifest.markComplete(INPUT, { stat, outputUri: 'mem://feed/out/01-rsid_2024-01-01.tsv.gz', result: { records: 3, ok: 3 } });
+  return manifest;
+}
+
+test('an unchanged input needs no reprocessing', async () => {
+  const manifest = await completedManifest();
+  assert.equal(manifest.staleReason(INPUT, stat), null);
+  assert.equal(manifest.staleReason('mem://feed/in/other.tsv', stat), 'not processed');
+  assert.equal(manifest.staleReason(INPUT, null), 'source file missing');
+});
+
+test('a changed size, generation or checksum makes the entry stale', async () => {
+  const manifest = await completedManifest();
+  assert.equal(manifest.staleReason(INPUT, { ...stat, size: 120 }), 'size changed (100 → 120)');
+  assert.equal(manifest.staleReason(INPUT, { ...stat, generation: '8' }), 'generation changed (7 → 8)');
+  assert.equal(manifest.staleReason(INPUT, { ...stat, md5: 'def=' }), 'checksum changed');
+});
+
+test('a failed run is retried and the manifest survives a reload', async () => {
+  const manifest = await completedManifest();
+  await manifest.markFailed(INPUT, { stat, error: new Error('No valid triple anchors found') });
+  assert.equal(manifest.staleReason(INPUT, stat), 'failed: No valid triple anchors found');
+
+  assert.equal(manifest.uri, `mem://feed/out/${MANIFEST_NAME}`);
+  const reloaded = await PreprocessManifest.load('mem://feed/out');
+  assert.equal(reloaded.size, 1);
+  assert.equal(reloaded.get(INPUT).status, 'failed');
+
+  new MemoryStorage().put(manifest.uri, '{ not json');
+  await assert.rejects(PreprocessManifest.load('mem://feed/out'), /Preprocess manifest is not valid JSON/);
+});
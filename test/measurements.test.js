@@ -0,0 +1,53 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  measurementCodes, resolveMeasurements, measurementFields, measurementSelect, measurementPredicate
+} from '../pipeline/measurements.js';
+import { Logger } from '../pipeline/utils.js';
+
+mock.method(Logger, 'warn', () => {});
+
+const withCodes = (measurement_event_codes) => ({ project: 'p', dataset: 'd', pipeline_config: { measurement_event_codes } });
+const EVENT_MAP = [{ code: 209, name: 'Page Load Time' }, { code: 236, name: 'Scroll 75%' }, { code: 240, name: 'Page-Load time' }];
+const fakeBq = { bq: { query: async () => [EVENT_MAP] } };
+
+test('lists codes and rejects invalid entries', () => {
+  assert.deepEqual(measurementCodes(withCodes([209, '236', { code: 240, aggregate: 'sum' }])), [209, 236, 240]);
+  assert.deepEqual(measurementCodes({}), []);
+  assert.throws(() => measurementCodes(withCodes(['event209'])), /Invalid measurement_event_codes entry "event209"/);
+  assert.throws(() => measurementCodes(withCodes([{ code: 209, aggregate: 'max' }])), /Invalid aggregate "max" for measurement code 209/);
+  assert.throws(() => measurementCodes(withCodes([{ code: 209, name: 'Load Time' }])), /Invalid name "Load Time"/);
+});
+
+test('names columns from event_map, the configured name or the code', async () => {
+  const measurements = await resolveMeasurements(withCodes([209, { code: 236, name: 'scroll_75', aggregate: 'sum' }, 240, 300, 209]), fakeBq);
+  assert.deepEqual(measurements.map(m => [m.code, m.column, m.aggregate]), [
+    [209, 'measurement_page_load_time', 'first'],
+    [236, 'measurement_scroll_75', 'sum'],
+    [240, 'measurement_page_load_time_240', 'first'],
+    [300, 'measurement_300', 'first']
+  ]);
+  assert.match(Logger.warn.mock.calls.at(-1).arguments[0], /lists 209 more than once/);
+  assert.deepEqual(await resolveMeasurements(withCodes([]), fakeBq), []);
+});
+
+const MEASUREMENTS = [
+  { code: 209, aggregate: 'first', column: 'measurement_page_load_time' },
+  { code: 236, aggregate: 'sum', column: 'measurement_scroll_75' }
+];
+
+test('builds the first and sum measurement fields', () => {
+  assert.equal(
+    measurementFields(MEASUREMENTS),
+    '(SELECT COALESCE(event.event_value, 1) FROM UNNEST(events_enhanced) AS event WITH OFFSET AS pos WHERE SAFE_CAST(event.event_code AS INT64) = 209 ORDER BY pos LIMIT 1) AS measurement_page_load_time,\n      ' +
+    '(SELECT SUM(COALESCE(event.event_value, 1)) FROM UNNEST(events_enhanced) AS event WHERE SAFE_CAST(event.event_code AS INT64) = 236) AS measurement_scroll_75'
+  );
+  assert.equal(measurementFields([]), 'CAST(NULL AS FLOAT64) AS _unused');
+});
+
+test('selects measurement columns and flags hits that carry one', () => {
+  assert.equal(measurementSelect(MEASUREMENTS), '    measurements.measurement_page_load_time,\n    measurements.measurement_scroll_75,');
+  assert.equal(measurementPredicate(MEASUREMENTS), 'measurements.measurement_page_load_time IS NOT NULL\n      OR measurements.measurement_scroll_75 IS NOT NULL');
+  assert.equal(measurementPredicate([]), 'FALSE');
+  assert.equal(measurementSelect([]), '');
+});
@@ -0,0 +1,125 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { buildAnchorLayout, resolveCanonicalTabs, reconstruct, reconstructParallel, findRecordBoundary } from '../pipeline/0a-preprocess.js';
+import { MemoryStorage } from '../pipeline/storage.js';
+import { Logger } from '../pipeline/utils.js';
+
+// Progress and fallback messages would interleave with the test runner's own stdout stream
+for (const level of ['info', 'warn', 'success']) mock.method(Logger, level, () => {});
+
+// 16 columns with the triple anchor in columns 3-5
+const layout = buildAnchorLayout({ hitTimeColumn: 3, headerColumns: 16 });
+const CANONICAL_TABS = 15;
+
+const record = (i, first = `r${i}`, last = `page ${i}`) =>
+  [first, 'x', String(1700000000 + i), String(1000000000 + i), String(2000000000 + i), ...Array(10).fill('v'), last].join('\t');
+
+// Over 64 KB so file reads arrive in several chunks, with records continued across lines by
+// an embedded newline, an escaped newline or CRLF endings, and lines that are rejected
+function feedFixture() {
+  const lines = [];
+  for (let i = 0; i < 900; i++) {
+    if (i % 7 === 0) lines.push(record(i, `r\n${i}`));
+    else if (i % 11 === 0) lines.push(record(i, `r${i}`, `pa\\\nge ${i}`));
+    else if (i % 5 === 0) lines.push(`${record(i)}\r`);
+    else if (i % 97 === 0) lines.push(Array(21).fill('z').join('\t'));
+    else lines.push(record(i));
+  }
+  return Buffer.from(lines.join('\n') + '\n');
+}
+
+const memory = new MemoryStorage();
+
+async function compareWithSerial(mode) {
+  const data = feedFixture();
+  memory.put(`mem://fixture/${mode}/feed.tsv`, data);
+  const options = { mode, layout };
+  const serial = await reconstruct(`mem://fixture/${mode}/feed.tsv`, `mem://fixture/${mode}/serial.tsv`, `mem://fixture/${mode}/serial-rejected.jsonl`, CANONICAL_TABS, options);
+
+  // Worker threads have their own in-memory store, so the parallel run reads a local copy
+  const tmpDir = await mkdtemp(join(tmpdir(), 'preprocess-'));
+  try {
+    const input = join(tmpDir, 'feed.tsv');
+    await writeFile(input, data);
+    const parallel = await reconstructParallel(input, `mem://fixture/${mode}/parallel.tsv`, `mem://fixture/${mode}/parallel-rejected.jsonl`, CANONICAL_TABS, options, { workers: 3, size: data.length });
+
+    assert.equal(parallel.chunks, 3);
+    assert.ok(serial.bad > 0 && serial.ok > 800);
+    for (const key of ['records', 'ok', 'bad', 'realigned', 'lines', 'rejectReasons']) {
+      assert.deepEqual(parallel[key], serial[key], key);
+    }
+    assert.ok((await memory.readFile(`mem://fixture/${mode}/parallel.tsv`)).equals(await memory.readFile(`mem://fixture/${mode}/serial.tsv`)));
+    assert.ok((await memory.readFile(`mem://fixture/${mode}/parallel-rejected.jsonl`)).equals(await memory.readFile(`mem://fixture/${mode}/serial-rejected.jsonl`)));
+  } finally {
+    await rm(tmpDir, { recursive: true, force: true });
+  }
+}
+
+test('parallel anchor-mode reconstruction is byte-identical to a serial run', () => compareWithSerial('anchor'));
+
+test('parallel escape-mode reconstruction is byte-identical to a serial run', () => compareWithSerial('escape'));
+
+test('record boundaries skip continued records and stop at the end of the window', async () => {
+  const data = feedFixture();
+  const uri = 'mem://fixture/boundary/feed.tsv';
+  memory.put(uri, data);
+  const text = data.toString('latin1');
+  const find = (target, mode = 'anchor') => findRecordBoundary(uri, target, data.length, CANONICAL_TABS, layout, mode);
+
+  const startOf = (i) => text.indexOf(`r${i}\t`);
+
+  // Record 7 starts with an embedded newline: the line "r" does not close record 6, so the
+  // anchor line after it is not a boundary either
+  assert.equal(await find(startOf(6)), startOf(8));
+
+  // Record 10 ends in CRLF and still closes its record
+  assert.equal(await find(startOf(9)), startOf(11));
+  assert.equal(await find(startOf(9), 'escape'), startOf(11));
+
+  // Record 11 is continued by an escaped newline: escape mode knows record 12 is next, anchor
+  // mode splits the record by tab count and only trusts record 13
+  assert.equal(await find(startOf(10), 'escape'), startOf(12));
+  assert.equal(await find(startOf(10)), startOf(13));
+
+  assert.equal(await find(text.lastIndexOf('r899')), null);
+});
+
+// 40 records, every third one split over two lines by an embedded newline
+const smallFeed = 'mem://fixture/discovery/feed.tsv';
+memory.put(smallFeed, Array.from({ length: 40 }, (_, i) => record(i, i % 3 ? `r${i}` : `r\n${i}`)).join('\n') + '\n');
+const headerless = buildAnchorLayout({ hitTimeColumn: 3 });
+
+test('discovery strategies resolve the canonical tab count', async () => {
+  assert.deepEqual(await resolveCanonicalTabs(smallFeed, layout, { canonicalTabs: 20 }), { canonicalTabs: 20, strategy: 'config' });
+
+  const full = await resolveCanonicalTabs(smallFeed, headerless, { discovery: 'full' });
+  assert.equal(full.canonicalTabs, CANONICAL_TABS);
+  assert.equal(full.strategy, 'full');
+  assert.equal(full.validAnchors, 40);
+
+  // header never reads the file
+  assert.deepEqual(await resolveCanonicalTabs('mem://fixture/discovery/missing.tsv', layout, { discovery: 'header' }), { canonicalTabs: CANONICAL_TABS, strategy: 'header' });
+  await assert.rejects(resolveCanonicalTabs(smallFeed, headerless, { discovery: 'header' }), /needs sanitize-map\.tsv or columns\.csv/);
+
+  const sample = await resolveCanonicalTabs(smallFeed, headerless, { discovery: 'sample', discoverySampleLines: 30 });
+  assert.equal(sample.strategy, 'sample');
+  assert.equal(sample.sampled, true);
+  assert.equal(sample.canonicalTabs, CANONICAL_TABS);
+
+  // auto takes the header when there is one, and samples otherwise
+  assert.equal((await resolveCanonicalTabs(smallFeed, layout, { discovery: 'auto' })).strategy, 'header');
+  assert.equal((await resolveCanonicalTabs(smallFeed, headerless, { discovery: 'auto', discoverySampleLines: 30 })).strategy, 'sample');
+});
+
+test('ambiguous samples fall back to full discovery', async () => {
+  const fallback = await resolveCanonicalTabs(smallFeed, headerless, { discovery: 'sample', discoverySampleLines: 5 });
+  assert.match(Logger.warn.mock.calls.at(-1).arguments[0], /is ambiguous \(3 anchors, mode covers 100%\); falling back to full discovery/);
+  assert.equal(fallback.strategy, 'full');
+  assert.equal(fallback.sampled, false);
+  assert.equal(fallback.canonicalTabs, CANONICAL_TABS);
+
+  await assert.rejects(resolveCanonicalTabs(smallFeed, layout, { discovery: 'guess' }), /Unknown discovery strategy "guess"/);
+});
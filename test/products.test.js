@@ -0,0 +1,49 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { productSettings, productNameSql, productGoldVars } from '../pipeline/products.js';
+import { Logger } from '../pipeline/utils.js';
+
+mock.method(Logger, 'info', () => {});
+
+const withProducts = (products) => ({ project: 'p', dataset: 'd', pipeline_config: { products } });
+
+// Answers the sdr_custom_events and sdr_evars queries
+const fakeBq = (events, evars) => ({
+  bq: { query: async (sql) => [sql.includes('sdr_custom_events') ? events : evars] }
+});
+
+test('gold explodes purchase, product view and cart add only when enabled', () => {
+  assert.deepEqual(productSettings({}), { explodeInGold: false, eventCodes: [1, 2, 12] });
+  assert.deepEqual(productGoldVars(withProducts({ explode_in_gold: true, event_codes: [1, 14] })), { explodeProducts: true, productEventCodes: '[1,14]' });
+  assert.throws(() => productSettings(withProducts({ event_codes: ['purchase'] })), /event_codes must be a list of event codes/);
+  assert.throws(() => productSettings(withProducts({ event_codes: 1 })), /event_codes must be a list of event codes/);
+});
+
+test('names product events and merchandising eVars from the SDR', async () => {
+  const names = await productNameSql(withProducts(), fakeBq(
+    [{ code: 200, name_override: 'Add to Wishlist' }, { code: 201, name_override: "Seller's Fee" }],
+    [{ evar_number: 3, name_override: 'Color' }, { evar_number: 101, name_override: 'Size \\ Fit' }]
+  ));
+  assert.equal(
+    names.productEventName,
+    "CASE event_code WHEN 200 THEN 'Add to Wishlist' WHEN 201 THEN 'Seller\\'s Fee' ELSE CONCAT('Event ', CAST(event_code AS STRING)) END"
+  );
+  assert.equal(
+    names.merchandisingEvarName,
+    "CASE evar_number WHEN 3 THEN 'Color' WHEN 101 THEN 'Size \\\\ Fit' ELSE CONCAT('eVar', CAST(evar_number AS STRING)) END"
+  );
+});
+
+test('falls back to generic names without an SDR', async () => {
+  const names = await productNameSql(withProducts(), fakeBq([], []));
+  assert.deepEqual(names, {
+    productEventName: "CONCAT('Event ', CAST(event_code AS STRING))",
+    merchandisingEvarName: "CONCAT('eVar', CAST(evar_number AS STRING))"
+  });
+});
+
+test('maps extended eVar codes in the SDR query', async () => {
+  const queries = [];
+  await productNameSql(withProducts(), { bq: { query: async (sql) => { queries.push(sql); return [[]]; } } });
+  assert.match(queries[1], /WHEN code BETWEEN 100 AND 199 THEN code - 99\s+WHEN code >= 10000 THEN code - 9899/);
+});
@@ -0,0 +1,81 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { sdrColumnAliases, selectGoldAliases, aliasDefinitions, aliasColumns } from '../pipeline/sdr-aliases.js';
+import { Logger } from '../pipeline/utils.js';
+
+for (const level of ['info', 'warn']) mock.method(Logger, level, () => {});
+
+const SDR_EVARS = [
+  { code: 100, name_override: 'Page Name' },
+  { code: 104, name_override: 'Internal Campaign' },
+  { code: 199, name_override: 'Login State' },
+  { code: 10000, name_override: 'Order Channel' }, // eVar101
+  { code: 10149, name_override: 'Cart Id' }         // eVar250
+];
+const SDR_PROPS = [
+  { PropertyNumber: 3, Name: 'Page Name' },
+  { PropertyNumber: 7, Name: 'Search Term' }
+];
+
+// Answers the two SDR queries, applying the eVar code range the way BigQuery would
+const fakeBq = {
+  bq: {
+    query: async (sql) => {
+      if (sql.includes('sdr_props_raw')) return [SDR_PROPS];
+      const [, low, high] = sql.match(/code BETWEEN (\d+) AND (\d+)/);
+      return [SDR_EVARS.filter(row => row.code >= Number(low) && row.code <= Number(high))];
+    }
+  }
+};
+
+const config = { project: 'p', dataset: 'd' };
+
+test('aliases eVar1-100 (codes 100-199) and props, not the extended eVar101+ codes', async () => {
+  const aliases = await sdrColumnAliases(config, fakeBq);
+  assert.deepEqual(aliases.map(a => [a.source, a.alias]), [
+    ['post_evar1', 'evar_page_name'],
+    ['post_evar5', 'evar_internal_campaign'],
+    ['post_evar100', 'evar_login_state'],
+    ['prop3', 'prop_page_name'],
+    ['prop7', 'prop_search_term']
+  ]);
+  assert.ok(!aliases.some(a => a.number > 100 && a.kind === 'evar'));
+});
+
+test('gives a reused SDR name its number', async () => {
+  const sdr = { bq: { query: async (sql) => sql.includes('sdr_props_raw')
+    ? [[{ PropertyNumber: 3, Name: 'Page Name' }, { PropertyNumber: 4, Name: 'Page-Name' }]]
+    : [[]] } };
+  const aliases = await sdrColumnAliases(config, sdr);
+  assert.deepEqual(aliases.map(a => a.alias), ['prop_page_name', 'prop_page_name_4']);
+});
+
+const ALIASES = [
+  { kind: 'evar', number: 1, source: 'post_evar1', alias: 'evar_page_name' },
+  { kind: 'evar', number: 5, source: 'post_evar5', alias: 'evar_internal_campaign' },
+  { kind: 'prop', number: 3, source: 'prop3', alias: 'prop_page_name' }
+];
+const withColumns = (gold_columns) => ({ pipeline_config: { gold_columns } });
+
+test('keeps every alias without an include list', () => {
+  assert.deepEqual(selectGoldAliases({}, ALIASES), ALIASES);
+  assert.deepEqual(selectGoldAliases(withColumns({ include: [] }), ALIASES), ALIASES);
+});
+
+test('include and exclude patterns match the alias or its source column', () => {
+  const pick = (gold_columns) => selectGoldAliases(withColumns(gold_columns), ALIASES).map(a => a.alias);
+  assert.deepEqual(pick({ include: ['evar_*'] }), ['evar_page_name', 'evar_internal_campaign']);
+  assert.deepEqual(pick({ include: ['prop3', 'post_evar5'] }), ['evar_internal_campaign', 'prop_page_name']);
+  assert.deepEqual(pick({ exclude: ['evar_internal_*'] }), ['evar_page_name', 'prop_page_name']);
+  assert.deepEqual(pick({ include: ['*page*'], exclude: ['prop*'] }), ['evar_page_name']);
+});
+
+test('warns about include patterns that match nothing', () => {
+  selectGoldAliases(withColumns({ include: ['evar_missing'] }), ALIASES);
+  assert.match(Logger.warn.mock.calls.at(-1).arguments[0], /gold_columns\.include pattern "evar_missing" matches no SDR alias/);
+});
+
+test('renders silver definitions and gold columns', () => {
+  assert.equal(aliasDefinitions(ALIASES.slice(0, 2)), '    post_evar1 AS evar_page_name,\n    post_evar5 AS evar_internal_campaign,');
+  assert.equal(aliasColumns(ALIASES.slice(2)), '    prop_page_name,');
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { visitsCte, sessionSettings } from '../pipeline/3-transform-sessions.js';
+
+const config = (sessions) => ({ pipeline_config: { sessions } });
+
+test('rejects unknown session modes and timeouts', () => {
+  assert.throws(() => sessionSettings(config({ mode: 'daily' })), /sessions\.mode "daily"/);
+  assert.throws(() => sessionSettings(config({ mode: 'timeout', timeout_minutes: 0 })), /timeout_minutes/);
+});
+
+test('timeout visits hash the visit start on a full build', () => {
+  const sql = visitsCte(config({ mode: 'timeout', timeout_minutes: 30 }));
+  assert.match(sql, /> 1800\)/);
+  assert.match(sql, /CAST\(NULL AS STRING\) AS prior_visit_id/);
+  assert.doesNotMatch(sql, /LEFT JOIN|COALESCE/);
+});
+
+test('timeout visits continuing from context rows keep their visit_id', () => {
+  const sql = visitsCte(config({ mode: 'timeout' }), '(SELECT hitid_high, hitid_low, visit_num, visit_page_num, visit_id FROM silver)');
+  assert.match(sql, /LEFT JOIN \(SELECT hitid_high, hitid_low, visit_num, visit_page_num, visit_id FROM silver\) prior/);
+  assert.match(sql, /ON prior\.hitid_high = base\.hitid_high AND prior\.hitid_low = base\.hitid_low\n    AND prior\.visit_num IS NOT DISTINCT FROM base\.visit_num/);
+  assert.match(sql, /COALESCE\(FIRST_VALUE\(prior_visit_id\) OVER \(PARTITION BY distinct_id, visit_seq ORDER BY ts_utc\), TO_HEX/);
+});
+
+test('adobe visits ignore prior visit ids', () => {
+  assert.equal(visitsCte(config({ mode: 'adobe' }), '(SELECT 1)'), visitsCte(config({ mode: 'adobe' })));
+});
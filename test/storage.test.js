@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parseUri, hasWildcard, wildcardToRegExp, joinUri, getStorage, MemoryStorage, LocalStorage } from '../pipeline/storage.js';
+
+test('parses bare paths, file://, gs:// and mem:// URIs', () => {
+  assert.deepEqual(parseUri('data/feed.tsv'), { scheme: 'file', prefix: '', path: 'data/feed.tsv' });
+  assert.deepEqual(parseUri('/abs/feed.tsv'), { scheme: 'file', prefix: '', path: '/abs/feed.tsv' });
+  assert.deepEqual(parseUri('file:///abs/feed.tsv'), { scheme: 'file', prefix: 'file://', path: '/abs/feed.tsv' });
+  assert.deepEqual(parseUri('GS://bucket/dir/part-*.tsv'), { scheme: 'gs', prefix: 'gs://bucket/', bucket: 'bucket', path: 'dir/part-*.tsv' });
+  assert.deepEqual(parseUri('mem://scratch'), { scheme: 'mem', prefix: 'mem://scratch/', bucket: 'scratch', path: '' });
+});
+
+test('rejects bucketless and unsupported URIs', () => {
+  assert.throws(() => parseUri('gs:///dir/file.tsv'), /Invalid gs:\/\/ URI \(missing bucket\)/);
+  assert.throws(() => parseUri('mem://'), /Invalid mem:\/\/ URI/);
+  assert.throws(() => parseUri('s3://bucket/file.tsv'), /Unsupported storage scheme "s3:\/\/"/);
+});
+
+test('wildcards match whole file names only', () => {
+  const regex = wildcardToRegExp('part-?.tsv*');
+  assert.equal(regex.test('part-1.tsv.gz'), true);
+  assert.equal(regex.test('part-12.tsv'), false);
+  assert.equal(wildcardToRegExp('a.tsv').test('aXtsv'), false);
+  assert.equal(hasWildcard('gs://b/part-*'), true);
+  assert.equal(hasWildcard('gs://b/part-1'), false);
+  assert.equal(joinUri('mem://b/dir/', 'f.tsv'), 'mem://b/dir/f.tsv');
+  assert.equal(joinUri('mem://b/dir', 'f.tsv'), 'mem://b/dir/f.tsv');
+});
+
+test('memory listing does not descend into subdirectories', async () => {
+  const storage = new MemoryStorage();
+  storage.put('mem://list-test/feed/a_2024-01-06.tsv', 'a');
+  storage.put('mem://list-test/feed/b_2024-01-07.tsv', 'bb');
+  storage.put('mem://list-test/feed/old/c_2024-01-05.tsv', 'c');
+  storage.put('mem://other/feed/d.tsv', 'd');
+
+  assert.deepEqual(await storage.list('mem://list-test/feed/*.tsv'), [
+    'mem://list-test/feed/a_2024-01-06.tsv',
+    'mem://list-test/feed/b_2024-01-07.tsv'
+  ]);
+  assert.deepEqual(await storage.list('mem://list-test/feed/*.tsv', { maxResults: 1 }), ['mem://list-test/feed/a_2024-01-06.tsv']);
+  assert.equal((await storage.list('mem://list-test/feed/')).length, 3);
+  assert.equal((await storage.stat('mem://list-test/feed/b_2024-01-07.tsv')).size, 2);
+  assert.equal(await storage.stat('mem://list-test/feed/missing.tsv'), null);
+  assert.equal(getStorage('mem://list-test/x') instanceof MemoryStorage, true);
+});
+
+test('local listing matches files in the directory only', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'storage-'));
+  try {
+    await mkdir(join(dir, 'sub'));
+    await writeFile(join(dir, 'a.tsv'), 'a');
+    await writeFile(join(dir, 'b.txt'), 'b');
+    await writeFile(join(dir, 'sub', 'c.tsv'), 'c');
+
+    const storage = new LocalStorage();
+    assert.deepEqual(await storage.list(`file://${dir}/*.tsv`), [`file://${dir}/a.tsv`]);
+    assert.deepEqual(await storage.list(dir), [join(dir, 'a.tsv'), join(dir, 'b.txt')]);
+    assert.equal(getStorage(dir) instanceof LocalStorage, true);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
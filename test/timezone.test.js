@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { timezoneSettings, reportSuiteTimezone, reportDate, describeTimezone } from '../pipeline/timezone.js';
+
+const withTimezone = (timezone) => ({ pipeline_config: { timezone } });
+
+test('a single report suite timezone is a literal', () => {
+  assert.equal(reportSuiteTimezone({}), "'UTC'");
+  assert.equal(reportSuiteTimezone(withTimezone({ report_suite: 'America/New_York' })), "'America/New_York'");
+});
+
+test('by_rsid overrides become a CASE over the rsid column', () => {
+  const config = withTimezone({
+    report_suite: 'America/New_York',
+    by_rsid: { 'suite-eu': 'Europe/Berlin', 'suite-jp': 'Asia/Tokyo' },
+    rsid_column: 'rsid'
+  });
+  assert.equal(
+    reportSuiteTimezone(config),
+    "CASE CAST(rsid AS STRING) WHEN 'suite-eu' THEN 'Europe/Berlin' WHEN 'suite-jp' THEN 'Asia/Tokyo' ELSE 'America/New_York' END"
+  );
+  assert.equal(describeTimezone(config), 'America/New_York (+2 by rsid), days by UTC date');
+});
+
+test('escapes quotes and backslashes in rsids', () => {
+  const config = withTimezone({ by_rsid: { "o'brien": 'Europe/Dublin', 'back\\slash': 'Europe/London' } });
+  assert.equal(
+    reportSuiteTimezone(config),
+    "CASE CAST(username AS STRING) WHEN 'o\\'brien' THEN 'Europe/Dublin' WHEN 'back\\\\slash' THEN 'Europe/London' ELSE 'UTC' END"
+  );
+});
+
+test('the report date follows date_basis', () => {
+  assert.equal(reportDate({}), 'DATE(ts_utc)');
+  assert.equal(reportDate(withTimezone({ date_basis: 'utc' }), 'original_timestamp'), 'DATE(original_timestamp)');
+  assert.equal(reportDate(withTimezone({ date_basis: 'local' })), 'date_local');
+  assert.equal(reportDate(withTimezone({ date_basis: 'local' }), 'target.ts_utc', 'target.date_local'), 'target.date_local');
+});
+
+test('rejects invalid timezones and settings', () => {
+  assert.throws(
+    () => timezoneSettings(withTimezone({ report_suite: 'Mars/Olympus' })),
+    /Invalid pipeline_config\.timezone\.report_suite "Mars\/Olympus": expected an IANA timezone/
+  );
+  assert.throws(
+    () => timezoneSettings(withTimezone({ by_rsid: { 'suite-eu': 'CET+1' } })),
+    /Invalid pipeline_config\.timezone\.by_rsid\["suite-eu"\] "CET\+1"/
+  );
+  assert.throws(() => timezoneSettings(withTimezone({ rsid_column: 'user name' })), /Invalid pipeline_config\.timezone\.rsid_column/);
+  assert.throws(() => timezoneSettings(withTimezone({ date_basis: 'server' })), /expected one of: utc, local/);
+});
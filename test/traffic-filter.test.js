@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { trafficSettings, parseIpRange, userAgentPatterns, trafficClassColumn, reportedTrafficCondition } from '../pipeline/traffic-filter.js';
+
+const config = (traffic_filter) => ({ pipeline_config: { traffic_filter } });
+
+test('flags traffic but keeps it in gold by default', () => {
+  const settings = trafficSettings(config());
+  assert.equal(settings.enabled, true);
+  assert.equal(settings.excludeInGold, false);
+  assert.equal(reportedTrafficCondition(config()), null);
+  assert.equal(reportedTrafficCondition(config({ exclude_in_gold: true })), `traffic_class = 'human'`);
+  assert.equal(reportedTrafficCondition(config({ enabled: false, exclude_in_gold: true })), null);
+});
+
+test('parses CIDRs, ranges and single addresses for both families', () => {
+  assert.deepEqual(parseIpRange('10.0.0.0/8'), { kind: 'cidr', family: 4, address: '10.0.0.0', prefix: 8 });
+  assert.deepEqual(parseIpRange('2001:db8::/32'), { kind: 'cidr', family: 6, address: '2001:db8::', prefix: 32 });
+  assert.deepEqual(parseIpRange(' 203.0.113.10 - 203.0.113.20 '), { kind: 'range', family: 4, start: '203.0.113.10', end: '203.0.113.20' });
+  assert.deepEqual(parseIpRange('2001:db8::1-2001:db8::ff'), { kind: 'range', family: 6, start: '2001:db8::1', end: '2001:db8::ff' });
+  assert.deepEqual(parseIpRange('198.51.100.7'), { kind: 'cidr', family: 4, address: '198.51.100.7', prefix: 32 });
+  assert.deepEqual(parseIpRange('::1'), { kind: 'cidr', family: 6, address: '::1', prefix: 128 });
+});
+
+test('rejects malformed ranges', () => {
+  for (const range of ['10.0.0.0/33', '2001:db8::/129', '10.0.0.1-2001:db8::1', '10.0.0.1-10.0.0.2-10.0.0.3', 'example.com', '10.0.0/8']) {
+    assert.throws(() => parseIpRange(range), /Invalid pipeline_config\.traffic_filter\.ip_ranges entry/, range);
+  }
+  assert.throws(() => trafficSettings(config({ ip_ranges: ['nope'] })), /ip_ranges entry "nope"/);
+  assert.throws(() => trafficSettings(config({ max_hits_per_minute: 0 })), /max_hits_per_minute "0"/);
+});
+
+test('builds one case-insensitive regex from bot-user-agents.txt', async () => {
+  const filter = config({ user_agent_file: new URL('../bot-user-agents.txt', import.meta.url).pathname });
+  const patterns = await userAgentPatterns(filter);
+  assert.ok(patterns.length > 0);
+  assert.ok(patterns.every(p => !p.startsWith('#') && p.trim() === p && p));
+
+  const sql = await trafficClassColumn(filter);
+  const literal = sql.match(/REGEXP_CONTAINS\(user_agent, '(.*)'\) THEN 'bot_user_agent'/)[1];
+  assert.ok(literal.startsWith('(?i)'));
+  // The patterns are plain enough for JavaScript to read RE2's syntax
+  const regex = new RegExp(literal.slice(4).replace(/\\\\/g, '\\'), 'i');
+  assert.equal(regex.test('Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)'), true);
+  assert.equal(regex.test('python-requests/2.31.0'), true);
+  assert.equal(regex.test('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36'), false);
+});
+
+test('classifies in rule order and ends in human', async () => {
+  const sql = await trafficClassColumn(config({
+    internal_visids: ['qa-1', "o'brien"],
+    ip_ranges: ['10.0.0.0/8', '2001:db8::1-2001:db8::ff'],
+    max_hits_per_minute: 60,
+    max_hits_per_day: 5000
+  }));
+  const order = ['internal_visitor', 'internal_ip', 'bot_rate', 'human'].map(name => sql.indexOf(`'${name}'`));
+  assert.deepEqual([...order].sort((a, b) => a - b), order);
+  assert.match(sql, /IN \('qa-1', 'o\\'brien'\) THEN 'internal_visitor'/);
+  assert.match(sql, /IF\(BYTE_LENGTH\(NET\.SAFE_IP_FROM_STRING\(CAST\(ip AS STRING\)\)\) = 4, NET\.IP_TRUNC\(/);
+  assert.match(sql, /= 16, NET\.SAFE_IP_FROM_STRING\(CAST\(ip AS STRING\)\) BETWEEN NET\.IP_FROM_STRING\('2001:db8::1'\)/);
+  assert.match(sql, /WHEN peak_hits_per_minute > 60 OR hits_per_day > 5000 THEN 'bot_rate'/);
+});
+
+test('classifies everything as human without rules or when off', async () => {
+  assert.equal(await trafficClassColumn(config()), `'human'`);
+  assert.equal(await trafficClassColumn(config({ enabled: false, max_hits_per_day: 10 })), `'human'`);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveVisitorIdSources, visitorIdColumns, DEFAULT_VISITOR_ID_PRECEDENCE } from '../pipeline/visitor-id.js';
+
+const config = (visitor_id_precedence) => ({ pipeline_config: { visitor_id_precedence } });
+
+test('defaults to post_visid, mcvisid, post_cust_visid and the fallback', () => {
+  assert.deepEqual(resolveVisitorIdSources(config()).map(s => s.name), DEFAULT_VISITOR_ID_PRECEDENCE);
+});
+
+test('resolves column entries with a prefix and a name', () => {
+  const [source] = resolveVisitorIdSources(config([{ column: 'post_evar12', prefix: "crm's:", name: 'crm_id' }]));
+  assert.equal(source.name, 'crm_id');
+  assert.equal(source.value, "CONCAT('crm\\'s:', CAST(post_evar12 AS STRING))");
+  assert.equal(resolveVisitorIdSources(config(['post_evar12']))[0].name, 'post_evar12');
+});
+
+test('rejects unusable precedence lists', () => {
+  assert.throws(() => resolveVisitorIdSources(config([])), /non-empty list/);
+  assert.throws(() => resolveVisitorIdSources(config(['post_evar12; DROP'])), /Invalid visitor_id_precedence entry/);
+  assert.throws(() => resolveVisitorIdSources(config(['mcvisid', 'mcvisid'])), /mcvisid twice/);
+  assert.throws(() => resolveVisitorIdSources(config(['fallback', 'mcvisid'])), /mcvisid after it would never be used/);
+  assert.throws(() => resolveVisitorIdSources(config([{ column: 'post_evar12', name: 'mcvisid' }])), /not a built-in source name/);
+});
+
+test('ends in the fallback expression when fallback is last', () => {
+  const sql = visitorIdColumns(config(['mcvisid', 'fallback']));
+  assert.match(sql, /WHEN COALESCE\(CAST\(mcvisid AS STRING\), ''\) NOT IN/);
+  assert.match(sql, /ELSE CONCAT\('fp:'/);
+  assert.match(sql, /ELSE 'fallback'\n    END AS distinct_id_source$/);
+});
+
+test('leaves rows without an identifier NULL when there is no fallback', () => {
+  const sql = visitorIdColumns(config(['mcvisid']));
+  assert.match(sql, /ELSE CAST\(NULL AS STRING\)\n    END AS distinct_id/);
+  assert.match(sql, /ELSE 'none'\n    END AS distinct_id_source$/);
+});
+
+test('a fallback-only list emits the fallback without a CASE', () => {
+  const sql = visitorIdColumns(config(['fallback']));
+  assert.doesNotMatch(sql, /CASE|WHEN|ELSE/);
+  assert.match(sql, /^CONCAT\('fp:', TO_HEX\(MD5\(/);
+  assert.match(sql, /'fallback' AS distinct_id_source$/);
+});